@@ -0,0 +1,162 @@
+import { sleep } from './utils.js';
+import { SOL_MINT } from './config.js';
+
+// Base fee per signature in lamports
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * Exact accounting of one landed swap, from transaction metadata
+ * @typedef {Object} SwapAccounting
+ * @property {number} fee - Total transaction fee in lamports (base + priority)
+ * @property {number} priorityFee - Priority fee portion in lamports
+ * @property {number} rentDeposits - Lamports deposited into newly created accounts
+ * @property {number} rentRefunds - Lamports refunded from closed accounts
+ * @property {number} rentNet - Net rent paid by the wallet (deposits - refunds)
+ * @property {number} accountsCreated - Accounts created by the transaction (token accounts left open)
+ * @property {number} inputSpent - Input token spent, in smallest units
+ * @property {number} outputReceived - Output token received, in smallest units
+ */
+
+/**
+ * Sum a wallet's token balance for a mint from pre/post token balances
+ * @param {Object[]} balances - meta.preTokenBalances or meta.postTokenBalances
+ * @param {string} owner - Wallet address
+ * @param {string} mint - Token mint address
+ * @returns {bigint} Amount in smallest units
+ */
+function tokenAmount(balances, owner, mint) {
+  return (balances || [])
+    .filter(b => b.owner === owner && b.mint === mint)
+    .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+}
+
+/**
+ * Sum lamports held by accounts a transaction created (deposits) or closed (refunds)
+ * Account 0 is the fee payer; accounts opened and closed within the transaction net out
+ * @param {Object} meta - Transaction metadata
+ * @returns {{deposits: number, refunds: number, created: number, closed: number}} Lamports and account counts
+ */
+function sumRentMovements(meta) {
+  const rent = { deposits: 0, refunds: 0, created: 0, closed: 0 };
+  meta.preBalances.forEach((pre, i) => {
+    const post = meta.postBalances[i];
+    if (i > 0 && pre === 0 && post > 0) {
+      rent.deposits += post;
+      rent.created++;
+    } else if (i > 0 && pre > 0 && post === 0) {
+      rent.refunds += pre;
+      rent.closed++;
+    }
+  });
+  return rent;
+}
+
+/**
+ * Parse fee, rent and token movements of a swap transaction
+ * @param {Object} tx - Transaction from getTransaction
+ * @param {string} owner - Wallet address (fee payer)
+ * @param {string} inputMint - Input token mint
+ * @param {string} outputMint - Output token mint
+ * @returns {SwapAccounting}
+ */
+export function parseSwapAccounting(tx, owner, inputMint, outputMint) {
+  const { meta } = tx;
+  const fee = meta.fee;
+  const signatureCount = tx.transaction.signatures.length;
+  const priorityFee = Math.max(0, fee - LAMPORTS_PER_SIGNATURE * signatureCount);
+  
+  // Fee payer is always account 0; lamports it lost beyond the fee
+  const lamportsLost = (meta.preBalances[0] - meta.postBalances[0]) - fee;
+  
+  // Accounts created by this transaction hold their rent deposit, closed ones refund theirs
+  const { deposits: rentDeposits, refunds, created: accountsCreated } = sumRentMovements(meta);
+  
+  let inputSpent = tokenAmount(meta.preTokenBalances, owner, inputMint)
+    - tokenAmount(meta.postTokenBalances, owner, inputMint);
+  let outputReceived = tokenAmount(meta.postTokenBalances, owner, outputMint)
+    - tokenAmount(meta.preTokenBalances, owner, outputMint);
+  
+  // Without a native SOL leg, everything lost beyond the fee went into rent.
+  // With one, the swapped SOL moves through the wallet's lamports too: rent is then taken as the
+  // deposits into new accounts minus the refunds of closed ones, and the remaining lamport movement
+  // is the SOL leg (plus wrapped SOL left in ATAs)
+  let rentNet = lamportsLost;
+  let rentRefunds = Math.max(0, rentDeposits - rentNet);
+  if (inputMint === SOL_MINT || outputMint === SOL_MINT) {
+    rentNet = rentDeposits - refunds;
+    rentRefunds = refunds;
+    const nativeSpent = BigInt(lamportsLost - rentNet);
+    if (inputMint === SOL_MINT) {
+      inputSpent += nativeSpent;
+    } else {
+      outputReceived -= nativeSpent;
+    }
+  }
+  
+  return {
+    fee,
+    priorityFee,
+    rentDeposits,
+    rentRefunds,
+    rentNet,
+    accountsCreated,
+    inputSpent: Number(inputSpent),
+    outputReceived: Number(outputReceived),
+  };
+}
+
+/**
+ * Fetch a landed transaction with its metadata
+ * getTransaction can briefly return null right after confirmation, so it is retried
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {number} attempts - Max fetch attempts
+ * @returns {Promise<Object>} Transaction from getTransaction
+ */
+async function fetchTransaction(connection, signature, attempts) {
+  for (let i = 0; i < attempts; i++) {
+    const tx = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    if (tx?.meta) {
+      return tx;
+    }
+    await sleep(1000 * (i + 1));
+  }
+  throw new Error('transaction metadata not available');
+}
+
+/**
+ * Fetch a landed transaction and parse its accounting
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {string} owner - Wallet address
+ * @param {string} inputMint - Input token mint
+ * @param {string} outputMint - Output token mint
+ * @param {number} attempts - Max fetch attempts
+ * @returns {Promise<SwapAccounting>}
+ */
+export async function fetchSwapAccounting(connection, signature, owner, inputMint, outputMint, attempts = 5) {
+  const tx = await fetchTransaction(connection, signature, attempts);
+  return parseSwapAccounting(tx, owner, inputMint, outputMint);
+}
+
+/**
+ * Fetch the fee and rent movements of a landed account setup / cleanup transaction
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {number} attempts - Max fetch attempts
+ * @returns {Promise<{fee: number, rentDeposits: number, rentRefunds: number, accountsCreated: number, accountsClosed: number}>}
+ */
+export async function fetchRentAccounting(connection, signature, attempts = 5) {
+  const { meta } = await fetchTransaction(connection, signature, attempts);
+  const rent = sumRentMovements(meta);
+  return {
+    fee: meta.fee,
+    rentDeposits: rent.deposits,
+    rentRefunds: rent.refunds,
+    accountsCreated: rent.created,
+    accountsClosed: rent.closed,
+  };
+}
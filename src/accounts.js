@@ -0,0 +1,121 @@
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+
+// SPL Token programs
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+// Instruction indexes
+const ATA_CREATE_IDEMPOTENT = 1;
+const TOKEN_CLOSE_ACCOUNT = 9;
+
+/**
+ * Derive the associated token account address for an owner and mint
+ * @param {PublicKey} owner - Wallet public key
+ * @param {string|PublicKey} mint - Token mint address
+ * @param {PublicKey} programId - Token program owning the mint (Token or Token-2022)
+ * @returns {PublicKey} Associated token account address
+ */
+export function getAssociatedTokenAddress(owner, mint, programId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), programId.toBuffer(), new PublicKey(mint).toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return address;
+}
+
+/**
+ * Read the raw amount from SPL token account data
+ * Layout: mint (32) | owner (32) | amount (u64 LE) | ...
+ * @param {Buffer} data - Token account data
+ * @returns {bigint} Amount in smallest units
+ */
+export function decodeTokenAmount(data) {
+  return data.readBigUInt64LE(64);
+}
+
+/**
+ * Get a token account balance, 0 if the account doesn't exist
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} tokenAccount - Token account address
+ * @returns {Promise<bigint>} Amount in smallest units
+ */
+export async function getTokenBalance(connection, tokenAccount) {
+  const info = await connection.getAccountInfo(tokenAccount);
+  return info ? decodeTokenAmount(info.data) : 0n;
+}
+
+/**
+ * Token account owned by a wallet
+ * @typedef {Object} TokenAccount
+ * @property {PublicKey} address - Token account address
+ * @property {string} mint - Mint address
+ * @property {bigint} amount - Balance in smallest units
+ * @property {number} lamports - Rent held by the account
+ * @property {PublicKey} programId - Token program owning the account
+ */
+
+/**
+ * List every token account of a wallet, under both the Token and Token-2022 programs
+ * Layout: mint (32) | owner (32) | amount (u64 LE) | ...
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} owner - Wallet public key
+ * @returns {Promise<TokenAccount[]>} Token accounts
+ */
+export async function getTokenAccounts(connection, owner) {
+  const accounts = [];
+  for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+    const { value } = await connection.getTokenAccountsByOwner(owner, { programId });
+    for (const { pubkey, account } of value) {
+      accounts.push({
+        address: pubkey,
+        mint: new PublicKey(account.data.subarray(0, 32)).toBase58(),
+        amount: decodeTokenAmount(account.data),
+        lamports: account.lamports,
+        programId,
+      });
+    }
+  }
+  return accounts;
+}
+
+/**
+ * Build an instruction creating an associated token account, a no-op if it already exists
+ * @param {PublicKey} payer - Pays the rent deposit
+ * @param {PublicKey} owner - Wallet public key
+ * @param {string|PublicKey} mint - Token mint address
+ * @param {PublicKey} programId - Token program owning the mint
+ * @returns {TransactionInstruction}
+ */
+export function createAssociatedTokenAccountInstruction(payer, owner, mint, programId = TOKEN_PROGRAM_ID) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: getAssociatedTokenAddress(owner, mint, programId), isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(mint), isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: programId, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([ATA_CREATE_IDEMPOTENT]),
+  });
+}
+
+/**
+ * Build an instruction closing an empty token account, sending its rent to the owner
+ * @param {TokenAccount} account - Token account (must hold no tokens)
+ * @param {PublicKey} owner - Wallet public key (account owner and rent destination)
+ * @returns {TransactionInstruction}
+ */
+export function createCloseAccountInstruction(account, owner) {
+  return new TransactionInstruction({
+    programId: account.programId,
+    keys: [
+      { pubkey: account.address, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false },
+    ],
+    data: Buffer.from([TOKEN_CLOSE_ACCOUNT]),
+  });
+}
@@ -0,0 +1,237 @@
+import { config } from './config.js';
+import { getAssociatedTokenAddress, decodeTokenAmount } from './accounts.js';
+import { getUsdPrice, getSwapAmountInSmallestUnits, formatAmount } from './jupiter.js';
+import { getToken, getAmountSpec, parsePair, resolveToken } from './tokens.js';
+
+/**
+ * Resolve a list of token symbols, SOL first and without duplicates
+ * @param {Connection} connection - Solana connection
+ * @param {string[]} symbols - Token symbols or mints (e.g. from a cycle or pair)
+ * @returns {Promise<Token[]>} Tokens to track balances for
+ */
+export async function resolveBalanceTokens(connection, symbols) {
+  const tokens = [await resolveToken(connection, 'SOL')];
+  for (const symbol of symbols) {
+    const token = await resolveToken(connection, symbol);
+    if (!tokens.includes(token)) {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Read a wallet's SOL and token balances in a single RPC call
+ * Native SOL is the wallet's lamports; other tokens are read from their associated token accounts
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} owner - Wallet public key
+ * @param {Token[]} tokens - Tokens to read
+ * @returns {Promise<Object<string, bigint>>} Balances in smallest units by symbol
+ */
+export async function getWalletBalances(connection, owner, tokens) {
+  const splTokens = tokens.filter(t => !t.native);
+  const addresses = [owner, ...splTokens.map(t => getAssociatedTokenAddress(owner, t.mint, t.programId))];
+  const [ownerInfo, ...tokenInfos] = await connection.getMultipleAccountsInfo(addresses);
+  
+  const balances = { SOL: BigInt(ownerInfo?.lamports || 0) };
+  splTokens.forEach((token, i) => {
+    balances[token.symbol] = tokenInfos[i] ? decodeTokenAmount(tokenInfos[i].data) : 0n;
+  });
+  return balances;
+}
+
+/**
+ * Format balances for display, with the change against earlier balances if given
+ * @param {Object<string, bigint>} balances - Balances by symbol
+ * @param {Token[]} tokens - Tokens to show
+ * @param {Object<string, bigint>} before - Earlier balances (optional)
+ * @returns {string[]} One line per token
+ */
+export function formatBalances(balances, tokens, before = null) {
+  return tokens.map(token => {
+    const amount = balances[token.symbol] ?? 0n;
+    let line = formatAmount(Number(amount), token);
+    if (before?.[token.symbol] !== undefined) {
+      const change = Number(amount - before[token.symbol]);
+      line += ` (${change >= 0 ? '+' : '-'}${formatAmount(Math.abs(change), token)})`;
+    }
+    return line;
+  });
+}
+
+/**
+ * Balance of a token a swap may spend
+ * @param {Token} token - Input token
+ * @param {Object<string, bigint>} balances - Wallet balances
+ * @returns {bigint} Smallest units (SOL legs must leave the reserve untouched)
+ */
+function getSpendable(token, balances) {
+  const available = token.native
+    ? balances.SOL - BigInt(Math.round(config.solReserve * 1e9))
+    : balances[token.symbol] ?? 0n;
+  return available > 0n ? available : 0n;
+}
+
+/**
+ * Draw the amount of one swap leg and check whether the wallet can fund it
+ * @param {string} leg - Swap direction, e.g. 'USDC->USDT'
+ * @param {Object<string, bigint>} balances - Wallet balances
+ * @param {number} amountFactor - Multiplier on the swap amount
+ * @returns {{amount: number, reason: string|null}} Amount in smallest units, and why the leg can't be funded (null if it can)
+ */
+function checkFunding(leg, balances, amountFactor) {
+  const input = getToken(parsePair(leg)[0]);
+  const available = getSpendable(input, balances);
+  const amount = Math.floor(getSwapAmountInSmallestUnits(input, available) * amountFactor);
+  
+  if (amount <= 0 || available < BigInt(amount)) {
+    const reason = `${input.symbol} balance too low (${formatAmount(Number(available), input)} available, ${formatAmount(amount, input)} needed)`;
+    return { amount, reason };
+  }
+  return { amount, reason: null };
+}
+
+/**
+ * Draw a swap amount for a single swap, reading the balance when the amount is a share of it
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} owner - Wallet public key
+ * @param {Token} token - Input token (resolved)
+ * @returns {Promise<number>} Amount in smallest units
+ */
+export async function pickSwapAmount(connection, owner, token) {
+  if (!getAmountSpec(token).percent) {
+    return getSwapAmountInSmallestUnits(token);
+  }
+  const balances = await getWalletBalances(connection, owner, [token]);
+  return getSwapAmountInSmallestUnits(token, getSpendable(token, balances));
+}
+
+/**
+ * Value share of each token in the wallet, for rebalancing
+ * @param {Object<string, bigint>} balances - Wallet balances
+ * @param {Token[]} tokens - Tokens of the cycle
+ * @returns {Promise<Object|null>} { shares (0-1), prices (USD), total (USD) } by symbol, null if the wallet holds nothing
+ */
+async function getValueShares(balances, tokens) {
+  const prices = {};
+  const values = {};
+  for (const token of tokens) {
+    prices[token.symbol] = await getUsdPrice(token);
+    values[token.symbol] = Number(balances[token.symbol] ?? 0n) / Math.pow(10, token.decimals) * prices[token.symbol];
+  }
+  
+  const total = Object.values(values).reduce((sum, v) => sum + v, 0);
+  if (total <= 0) {
+    return null;
+  }
+  
+  const shares = {};
+  for (const token of tokens) {
+    shares[token.symbol] = values[token.symbol] / total;
+  }
+  return { shares, prices, total };
+}
+
+/**
+ * Rebalancing: pick the leg that keeps every token's value share inside the target band
+ * Inside the band the cycle order is kept; outside it the most corrective leg wins
+ * @param {string[]} legs - Fundable legs, in cycle order starting at the preferred one
+ * @param {number[]} amounts - Drawn amount of each leg, in smallest units
+ * @param {Object<string, bigint>} balances - Wallet balances
+ * @param {Token[]} tokens - Tokens of the cycle
+ * @returns {Promise<string>} Chosen leg
+ */
+async function pickRebalanceLeg(legs, amounts, balances, tokens) {
+  const valuation = await getValueShares(balances, tokens);
+  if (!valuation) {
+    return legs[0];
+  }
+  
+  const { shares, prices, total } = valuation;
+  const target = 1 / tokens.length;
+  const deviation = share => Math.abs(share - target);
+  const inBand = share => deviation(share) <= config.rebalanceBand;
+  
+  // Shares of the leg's input and output token after the swap
+  const project = leg => {
+    const [input, output] = parsePair(leg).map(getToken);
+    const moved = amounts[legs.indexOf(leg)] / Math.pow(10, input.decimals) * prices[input.symbol] / total;
+    return {
+      input: shares[input.symbol] - moved,
+      output: shares[output.symbol] + moved,
+      correction: shares[input.symbol] - shares[output.symbol],
+    };
+  };
+  
+  if (Object.values(shares).every(inBand)) {
+    const keepsBand = legs.find(leg => {
+      const projected = project(leg);
+      return inBand(projected.input) && inBand(projected.output);
+    });
+    if (keepsBand) {
+      return keepsBand;
+    }
+  }
+  
+  // Move value from the most overweight token into the most underweight one
+  return legs.reduce((best, leg) => (project(leg).correction > project(best).correction ? leg : best));
+}
+
+/**
+ * Pre-flight check before a batch swap: read balances, skip legs the wallet can't fund
+ * and pick the next leg (cycle order, or by balance in rebalance mode)
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} owner - Wallet public key
+ * @param {string[]} legs - Legs of the swap cycle
+ * @param {number} directionIndex - Wallet position in the cycle
+ * @param {number} amountFactor - Multiplier on the swap amount (randomized amounts, default: 1)
+ * @param {Object<string, bigint>} pending - Input amounts of the wallet's swaps in flight by symbol, not spendable (optional)
+ * @returns {Promise<Object>} { legIndex, amount, skipped: [{ direction, reason }], stop, balances }
+ */
+export async function planSwap(connection, owner, legs, directionIndex, amountFactor = 1, pending = {}) {
+  const tokens = await resolveBalanceTokens(connection, legs.flatMap(parsePair));
+  const balances = await getWalletBalances(connection, owner, tokens);
+  const available = { ...balances };
+  for (const [symbol, amount] of Object.entries(pending)) {
+    available[symbol] = (available[symbol] ?? 0n) - amount;
+  }
+  
+  // Fees come out of SOL: below the reserve nothing else is attempted
+  const reserve = BigInt(Math.round(config.solReserve * 1e9));
+  if (balances.SOL < reserve) {
+    return {
+      legIndex: null,
+      amount: null,
+      skipped: [],
+      stop: `SOL balance ${(Number(balances.SOL) / 1e9).toFixed(6)} is below the ${config.solReserve} SOL reserve`,
+      balances,
+    };
+  }
+  
+  // Legs in cycle order, starting with the one the cycle would pick next
+  const ordered = legs.map((leg, i) => (directionIndex + i) % legs.length);
+  const checks = ordered.map(index => ({ index, ...checkFunding(legs[index], available, amountFactor) }));
+  const fundable = checks.filter(c => !c.reason);
+  const skip = check => ({ direction: legs[check.index], reason: check.reason });
+  
+  if (fundable.length === 0) {
+    return { legIndex: null, amount: null, skipped: checks.map(skip), stop: 'no leg of the swap cycle can be funded', balances };
+  }
+  
+  if (config.directionMode === 'rebalance') {
+    const cycleTokens = tokens.filter(t => legs.some(leg => parsePair(leg).map(getToken).includes(t)));
+    const leg = await pickRebalanceLeg(fundable.map(c => legs[c.index]), fundable.map(c => c.amount), available, cycleTokens);
+    const chosen = fundable.find(c => legs[c.index] === leg);
+    return { legIndex: chosen.index, amount: chosen.amount, skipped: [], stop: null, balances };
+  }
+  
+  // Cycle mode: legs passed over before the first fundable one are skipped
+  const firstFundable = checks.findIndex(c => !c.reason);
+  return {
+    legIndex: fundable[0].index,
+    amount: fundable[0].amount,
+    skipped: checks.slice(0, firstFundable).map(skip),
+    stop: null,
+    balances,
+  };
+}
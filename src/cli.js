@@ -0,0 +1,190 @@
+import { config, isSecretSetting, parseConfigValue, setConfigValue } from './config.js';
+import { isPair } from './tokens.js';
+
+// Subcommands; a bare pair (e.g. USDC_TO_USDT) means `swap`, no command means `batch`
+export const COMMANDS = ['swap', 'batch', 'resume', 'daemon', 'balance', 'cleanup', 'quote', 'history', 'report', 'config', 'wallet', 'help'];
+
+// Flags handled by the CLI itself rather than mapped onto config
+const CLI_FLAGS = {
+  global: ['yes', 'json', 'help', 'config', 'profile'],
+  history: ['status', 'wallet', 'since', 'limit'],
+  report: ['export'],
+};
+
+// Short flag names for the most used config fields
+const CONFIG_ALIASES = {
+  amount: 'swapAmount',
+  slippage: 'slippageBps',
+  fee: 'priorityFeeLamports',
+  delay: 'swapDelayMs',
+  retries: 'maxRetries',
+  count: 'batchCount',
+  volume: 'batchVolumeUsd',
+  concurrency: 'swapConcurrency',
+  cycle: 'swapCycle',
+  provider: 'swapProvider',
+};
+
+/**
+ * Convert a config field name to its flag name (swapAmount -> swap-amount)
+ * @param {string} key - Config field
+ * @returns {string} Flag name without dashes
+ */
+function toFlagName(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/**
+ * Config fields settable from the command line, by flag name
+ * @returns {Map<string, string>} Flag name -> config field
+ */
+function getConfigFlags() {
+  const flags = new Map();
+  for (const key of Object.keys(config)) {
+    // Secrets are never taken from the command line (they would end up in shell history and `ps`)
+    if (!isSecretSetting(key)) {
+      flags.set(toFlagName(key), key);
+    }
+  }
+  for (const [alias, key] of Object.entries(CONFIG_ALIASES)) {
+    flags.set(alias, key);
+  }
+  return flags;
+}
+
+/**
+ * Parse the command line into a command, positional arguments and flags
+ * Flags are `--name`, `--name=value` or `--no-name`, and may appear anywhere
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, args: string[], flags: Object}} Parsed command line
+ */
+export function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, ...value] = arg.slice(2).split('=');
+    if (value.length > 0) {
+      flags[key] = value.join('=');
+    } else if (key.startsWith('no-')) {
+      flags[key.slice(3)] = 'false';
+    } else {
+      flags[key] = true;
+    }
+  }
+  
+  // Legacy forms: `USDC_TO_USDT` swaps once, no arguments starts an interactive batch
+  if (positional.length === 0) {
+    return { command: 'batch', args: [], flags };
+  }
+  if (isPair(positional[0])) {
+    return { command: 'swap', args: positional, flags };
+  }
+  
+  const command = positional[0].toLowerCase();
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${positional[0]} (see --help)`);
+  }
+  return { command, args: positional.slice(1), flags };
+}
+
+/**
+ * Convert a flag value to the type of the config field it overrides
+ * @param {string} flag - Flag name, for error messages
+ * @param {string} key - Config field
+ * @param {string|boolean} value - Raw flag value (true for a bare flag)
+ * @returns {*} Typed value
+ */
+function coerceFlag(flag, key, value) {
+  if (value === true && typeof config[key] !== 'boolean') {
+    throw new Error(`--${flag} expects a value (--${flag}=...)`);
+  }
+  try {
+    return parseConfigValue(key, value);
+  } catch (error) {
+    throw new Error(`--${flag} ${error.message}`);
+  }
+}
+
+/**
+ * Apply config flags on top of the config file and environment configuration
+ * Any config field can be set with its kebab-case name (--swap-amount=0.01, --dry-run),
+ * the common ones also with a short alias (--amount, --slippage, --fee, --delay, --retries, --count, --volume, --concurrency)
+ * @param {string} command - Subcommand, to allow its own flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Set<string>} Config fields that were set from the command line
+ */
+export function applyConfigOverrides(command, flags) {
+  const configFlags = getConfigFlags();
+  const cliFlags = [...CLI_FLAGS.global, ...(CLI_FLAGS[command] || [])];
+  const overridden = new Set();
+  
+  for (const [flag, value] of Object.entries(flags)) {
+    if (cliFlags.includes(flag)) {
+      continue;
+    }
+    const key = configFlags.get(flag);
+    if (!key) {
+      throw new Error(`Unknown flag: --${flag} (see --help)`);
+    }
+    setConfigValue(key, coerceFlag(flag, key, value), 'cli');
+    overridden.add(key);
+  }
+  return overridden;
+}
+
+/**
+ * Print command line usage
+ */
+export function printUsage() {
+  console.log(`
+Usage: npm run start -- <command> [arguments] [--flags]
+
+Commands:
+  swap <A->B>          Swap once per wallet (also: a bare pair such as USDC_TO_USDT)
+  batch [count]        Batch swaps along SWAP_CYCLE (default command; prompts for the count)
+  resume [runId]       Continue an interrupted or stopped batch
+  daemon               Run every day: DAILY_SWAPS / DAILY_VOLUME_USD spread over ACTIVE_HOURS
+  balance [tokens...]  Show SOL and token balances
+  cleanup [tokens...]  Close empty token accounts and reclaim their rent (lists them with --dry-run)
+  quote <A->B>         Get a quote without sending anything
+  history [runId]      List past runs, or the attempts of one run
+  report [runId]       Summary and cost analytics of a run (latest by default)
+  config               Show the effective configuration and where each value comes from
+  wallet <import|list|export [file]>
+
+Flags:
+  --yes                Don't prompt (use --count or BATCH_COUNT for batches)
+  --json               Machine-readable output on stdout (progress goes to stderr)
+  --quiet              Only warnings and errors on the console (LOG_FILE still gets everything)
+  --config=<file>      Config file (default: CONFIG_FILE or seeker.config.json)
+  --profile=<name>     Config file profile (default: CONFIG_PROFILE)
+  --amount, --slippage, --fee, --delay, --retries, --count, --volume, --concurrency, --cycle, --provider
+                       Override SWAP_AMOUNT, SLIPPAGE_BPS, PRIORITY_FEE, SWAP_DELAY_MS, MAX_RETRIES,
+                       BATCH_COUNT, BATCH_VOLUME_USD, SWAP_CONCURRENCY, SWAP_CYCLE, SWAP_PROVIDER
+  --<setting>=value    Override any other setting by its kebab-case name,
+                       e.g. --dry-run, --backend=paper, --log-format=json, --priority-fee-strategy=adaptive
+  history: --status=... --wallet=... --since=YYYY-MM-DD --limit=N
+  report: --export[=csv,json,html]  Also write the report to REPORT_DIR (all three formats by default)
+
+Quote pairs in the shell: npm run start -- swap "SOL->USDC"`);
+}
+
+/**
+ * Send human-readable progress to stderr so stdout carries only the JSON result
+ */
+export function enableJsonOutput() {
+  console.log = (...args) => console.error(...args);
+}
+
+/**
+ * Write a JSON document to stdout (bigints as strings)
+ * @param {*} value - Value to print
+ */
+export function printJson(value) {
+  const json = JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+  process.stdout.write(json + '\n');
+}
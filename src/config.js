@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
+import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,57 +14,528 @@ export const TOKENS = {
   USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
 };
 
+// Wrapped SOL mint (used for SOL price quotes)
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
 // Token decimals
 export const DECIMALS = {
   USDC: 6,
   USDT: 6,
 };
 
-// Configuration
-export const config = {
+// Config file with named profiles (JSON, keys are setting names as below), see seeker.config.example.json
+const DEFAULT_CONFIG_FILE = join(__dirname, '..', 'seeker.config.json');
+
+// BIP44 account indices are hardened, so they stay below 2^31
+const MAX_WALLET_INDEX = 2 ** 31 - 1;
+// Wallets one run may derive from WALLET_INDICES
+const MAX_WALLET_COUNT = 1000;
+
+/**
+ * Settings, in display order
+ * Each one has a type, a default, the env var(s) it is read from and optional range checks
+ * Layers: defaults < config file < config file profile < env < command line
+ */
+const SETTINGS = {
   // Mnemonic (support both SOLANA_MNEMONIC and MNEMONIC)
-  mnemonic: process.env.SOLANA_MNEMONIC || process.env.MNEMONIC || '',
+  mnemonic: { env: ['SOLANA_MNEMONIC', 'MNEMONIC'], type: 'string', default: '', secret: true },
+  
+  // Encrypted keystore (used instead of a plaintext mnemonic when the file exists)
+  keystorePath: { env: 'KEYSTORE_PATH', type: 'path', default: join(__dirname, '..', 'keystore.json') },
+  keystorePassword: { env: 'KEYSTORE_PASSWORD', type: 'string', default: '', secret: true }, // Optional, skips the startup prompt
+  
+  // solana-keygen JSON keypair file(s), comma separated (takes precedence over mnemonic/keystore)
+  keypairPath: { env: 'KEYPAIR_PATH', type: 'string', default: '' },
+  
+  // Multi-wallet derivation
+  // Indices accept a list and/or ranges, e.g. "0", "0-4", "0,2,5-7"
+  walletIndices: { env: 'WALLET_INDICES', type: 'string', default: '0' },
+  bip39Passphrase: { env: 'BIP39_PASSPHRASE', type: 'string', default: '', secret: true }, // Optional BIP39 passphrase ("25th word")
+  derivationPath: { env: 'DERIVATION_PATH', type: 'string', default: "m/44'/501'/{index}'/0'" }, // {index} is replaced per wallet
+  walletOrder: { env: 'WALLET_ORDER', type: 'enum', values: ['sequential', 'round-robin'], default: 'sequential' },
   
   // Jupiter API (new endpoint: api.jup.ag)
-  jupApiKey: process.env.JUP_API_KEY || '',
-  jupApiUrl: 'https://api.jup.ag/swap/v1',
+  jupApiKey: { env: 'JUP_API_KEY', type: 'string', default: '', secret: true },
+  jupApiUrl: { env: 'JUP_API_URL', type: 'url', default: 'https://api.jup.ag/swap/v1' },
+  jupUltraApiUrl: { env: 'JUP_ULTRA_API_URL', type: 'url', default: 'https://api.jup.ag/ultra/v1' },
+  
+  // Swap provider: 'jupiter' (v1 quote/swap at JUP_API_URL), 'ultra' (order/execute), 'self-hosted'
+  // (Jupiter-compatible API at SELF_HOSTED_API_URL, no key or rate limit) or 'best-of' (best net output of BEST_OF_PROVIDERS)
+  swapProvider: { env: 'SWAP_PROVIDER', type: 'enum', values: ['jupiter', 'ultra', 'self-hosted', 'best-of'], default: 'jupiter' },
+  selfHostedApiUrl: { env: 'SELF_HOSTED_API_URL', type: 'url', default: '' },
+  bestOfProviders: { env: 'BEST_OF_PROVIDERS', type: 'string', default: 'jupiter,ultra' },
+  
+  // Jupiter rate limit (shared token bucket for every API call)
+  jupRateLimit: { env: 'JUP_RATE_LIMIT', type: 'integer', default: 100, min: 1 }, // Requests per window
+  jupRateWindowMs: { env: 'JUP_RATE_WINDOW_MS', type: 'integer', default: 300000, min: 1 }, // 5 minutes
+  jupRateBurst: { env: 'JUP_RATE_BURST', type: 'integer', default: 10, min: 1 }, // Max requests back to back
+  jupMaxRetries: { env: 'JUP_MAX_RETRIES', type: 'integer', default: 5, min: 0 }, // Retries on HTTP 429
   
   // Solana RPC
-  rpcUrl: process.env.RPC_URL || 'https://api.mainnet-beta.solana.com',
+  rpcUrl: { env: 'RPC_URL', type: 'url', default: 'https://api.mainnet-beta.solana.com' },
+  
+  // RPC endpoint pool: comma separated "url" or "url|proxyUrl" entries (default: RPC_URL)
+  // Reads and sends go to the healthiest endpoint, with automatic failover
+  rpcUrls: { env: 'RPC_URLS', type: 'endpoints', default: '' },
+  rpcHealthCheckMs: { env: 'RPC_HEALTH_CHECK_MS', type: 'integer', default: 30000, min: 1000 },
+  
+  // Extra RPC endpoints that signed swaps are also broadcast to (comma separated)
+  sendRpcUrls: { env: 'SEND_RPC_URLS', type: 'urls', default: [] },
   
   // Proxy (optional)
-  proxyUrl: process.env.PROXY_URL || '',
+  proxyUrl: { env: 'PROXY_URL', type: 'url', default: '' },
   
   // Swap settings
-  swapAmount: parseFloat(process.env.SWAP_AMOUNT) || 0.001, // Fixed amount per swap
-  swapDelayMs: parseInt(process.env.SWAP_DELAY_MS) || 3000, // 3s delay to respect API rate limit (100 tx / 5min)
-  slippageBps: parseInt(process.env.SLIPPAGE_BPS) || 50, // 0.5%
+  // Amount per swap in input token units: fixed ("0.001"), a range drawn from per swap ("1-5")
+  // or a share of the input token balance ("10%")
+  swapAmount: { env: 'SWAP_AMOUNT', type: 'string', default: '0.001' },
+  swapAmounts: { env: 'SWAP_AMOUNTS', type: 'string', default: '' }, // Per-token overrides, e.g. "SOL:0.00001,USDC:1-5"
+  // Batch swaps walk this token cycle, one leg per swap (e.g. USDC->SOL->USDT->USDC)
+  swapCycle: { env: 'SWAP_CYCLE', type: 'string', default: 'USDC->USDT->USDC' },
+  // Extra tokens for pairs and cycles: "SYMBOL:mint[:decimals]", comma separated
+  customTokens: { env: 'CUSTOM_TOKENS', type: 'string', default: '' },
+  // Direction selection: 'cycle' (SWAP_CYCLE order) or 'rebalance' (keep token value shares in a band)
+  directionMode: { env: 'DIRECTION_MODE', type: 'enum', values: ['cycle', 'rebalance'], default: 'cycle' },
+  // Max deviation from an equal value share
+  rebalanceBand: { env: 'REBALANCE_BAND', type: 'number', default: 0.1, min: 0, max: 1, exclusive: true },
+  // SOL kept for fees; batches stop when the wallet drops below it
+  solReserve: { env: 'SOL_RESERVE', type: 'number', default: 0.005, min: 0 },
+  // Create missing token accounts of the swap cycle before a batch, instead of inside its first swaps
+  createTokenAccounts: { env: 'CREATE_TOKEN_ACCOUNTS', type: 'boolean', default: false },
+  
+  // Route control for quotes (per-pair overrides in PAIR_ROUTES, JSON keyed by "A->B")
+  routeDexes: { env: 'JUP_DEXES', type: 'string', default: '' }, // Only these DEXes, comma separated
+  routeExcludeDexes: { env: 'JUP_EXCLUDE_DEXES', type: 'string', default: '' },
+  onlyDirectRoutes: { env: 'ONLY_DIRECT_ROUTES', type: 'boolean', default: false },
+  maxAccounts: { env: 'MAX_ACCOUNTS', type: 'integer', default: 0, min: 0 }, // 0 = Jupiter default
+  restrictIntermediateTokens: { env: 'RESTRICT_INTERMEDIATE_TOKENS', type: 'boolean', default: false },
+  pairRoutes: { env: 'PAIR_ROUTES', type: 'string', default: '' },
+  
+  // Quote guards (0 disables a guard): a failing quote is re-quoted, then the swap is skipped
+  maxPriceImpactPct: { env: 'MAX_PRICE_IMPACT_PCT', type: 'number', default: 1, min: 0 },
+  minOutRatio: { env: 'MIN_OUT_RATIO', type: 'number', default: 0.99, min: 0, max: 1 }, // Output / input USD value
+  guardRequotes: { env: 'GUARD_REQUOTES', type: 'integer', default: 2, min: 0 },
+  guardMaxSkips: { env: 'GUARD_MAX_SKIPS', type: 'integer', default: 10, min: 1 }, // Consecutive skips before the batch stops
+  // Batch stops once slippage plus fees reach this many USD (0 = no budget)
+  lossBudgetUsd: { env: 'LOSS_BUDGET_USD', type: 'number', default: 0, min: 0 },
+  // Extra delay between swaps; the Jupiter rate limiter already paces API calls, so 0 is fine
+  swapDelayMs: { env: 'SWAP_DELAY_MS', type: 'integer', default: 0, min: 0 },
+  // Batch swaps in flight at once (1 = strictly sequential)
+  swapConcurrency: { env: 'SWAP_CONCURRENCY', type: 'integer', default: 1, min: 1, max: 16 },
+  slippageBps: { env: 'SLIPPAGE_BPS', type: 'integer', default: 50, min: 0, max: 10000 }, // 0.5%
   
   // Priority fee settings (in lamports, 0 = auto)
   // Low fee: 1000-10000, Medium: 10000-50000, High: 50000+
-  priorityFeeLamports: parseInt(process.env.PRIORITY_FEE) || 1000, // Default: 1000 lamports (low)
+  priorityFeeLamports: { env: 'PRIORITY_FEE', type: 'integer', default: 1000, min: 0 }, // Default: 1000 lamports (low)
+  // Strategy: 'fixed' (PRIORITY_FEE), 'percentile' (recent fees on the swap's writable accounts)
+  // or 'adaptive' (raised after dropped/expired attempts, decayed after successes)
+  priorityFeeStrategy: { env: 'PRIORITY_FEE_STRATEGY', type: 'enum', values: ['fixed', 'percentile', 'adaptive'], default: 'fixed' },
+  priorityFeePercentile: { env: 'PRIORITY_FEE_PERCENTILE', type: 'integer', default: 75, min: 0, max: 100 },
+  priorityFeeMin: { env: 'PRIORITY_FEE_MIN', type: 'integer', default: 1000, min: 0 }, // Lamports, percentile/adaptive floor
+  priorityFeeMax: { env: 'PRIORITY_FEE_MAX', type: 'integer', default: 100000, min: 0 }, // Lamports, percentile/adaptive cap
+  priorityFeeIncrease: { env: 'PRIORITY_FEE_INCREASE', type: 'number', default: 1.5, min: 1 }, // Adaptive: multiplier after a drop
+  priorityFeeDecay: { env: 'PRIORITY_FEE_DECAY', type: 'number', default: 0.9, min: 0, max: 1 }, // Adaptive: multiplier after a success
   
   // Batch settings
-  batchCount: parseInt(process.env.BATCH_COUNT) || 200, // Total successful swaps target
-  maxRetries: parseInt(process.env.MAX_RETRIES) || 3, // Max retries per failed swap
+  batchCount: { env: 'BATCH_COUNT', type: 'integer', default: 200, min: 1 }, // Total successful swaps target
+  // Other batch goals per wallet, instead of the swap count (0 = off)
+  batchVolumeUsd: { env: 'BATCH_VOLUME_USD', type: 'number', default: 0, min: 0 }, // Traded volume (input value)
+  batchFeesSol: { env: 'BATCH_FEES_SOL', type: 'number', default: 0, min: 0 }, // Fees spent
+  maxRetries: { env: 'MAX_RETRIES', type: 'integer', default: 3, min: 0 }, // Max retries per failed swap
+  statusPollMs: { env: 'STATUS_POLL_MS', type: 'integer', default: 2000, min: 100 }, // Signature status polling interval
+  rebroadcastMs: { env: 'REBROADCAST_MS', type: 'integer', default: 2000, min: 100 }, // Resend interval until confirmed or expired
+  
+  // Daemon mode: a daily target spread over the active hours at randomized intervals
+  dailySwaps: { env: 'DAILY_SWAPS', type: 'integer', default: 0, min: 0 }, // Successful swaps per wallet per day
+  dailyVolumeUsd: { env: 'DAILY_VOLUME_USD', type: 'number', default: 0, min: 0 }, // Or USD volume per wallet per day
+  // Local time windows, e.g. "09:00-12:00,14:00-23:30" (a window may wrap past midnight)
+  activeHours: { env: 'ACTIVE_HOURS', type: 'string', default: '00:00-24:00' },
+  intervalJitter: { env: 'INTERVAL_JITTER', type: 'number', default: 0.5, min: 0, max: 1 }, // ± share of the average interval
+  amountJitter: { env: 'AMOUNT_JITTER', type: 'number', default: 0, min: 0, max: 0.9 }, // ± share of the swap amount
+  catchUp: { env: 'CATCH_UP', type: 'boolean', default: true }, // Add the previous day's missed swaps to today's target
+  schedulePath: { env: 'SCHEDULE_PATH', type: 'path', default: join(__dirname, '..', 'schedule.json') }, // Next run time, today's run
+  
+  // Trade journal (NDJSON, one line per attempt), used by resume/history
+  journalPath: { env: 'JOURNAL_PATH', type: 'path', default: join(__dirname, '..', 'journal.ndjson') },
+  // Where `report --export` writes <runId>.csv / .json / .html
+  reportDir: { env: 'REPORT_DIR', type: 'path', default: join(__dirname, '..', 'reports') },
+  
+  // Logging: console format 'pretty' (emoji lines) or 'json' (NDJSON records), and an optional NDJSON
+  // log file, rotated at LOG_MAX_SIZE_MB keeping LOG_MAX_FILES older files (LOG_FILE.1 is the newest)
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['pretty', 'json'], default: 'pretty' },
+  logFile: { env: 'LOG_FILE', type: 'path', default: '' },
+  logMaxSizeMb: { env: 'LOG_MAX_SIZE_MB', type: 'number', default: 10, positive: true },
+  logMaxFiles: { env: 'LOG_MAX_FILES', type: 'integer', default: 5, min: 0 },
+  quiet: { env: 'QUIET', type: 'boolean', default: false }, // Console shows only warnings and errors (also --quiet)
+  
+  // Dry run: simulate swaps instead of sending them (also --dry-run flag)
+  dryRun: { env: 'DRY_RUN', type: 'boolean', default: false },
+  
+  // Backend: 'live' (Jupiter API and Solana RPC) or 'paper' (offline simulated market and ledger)
+  backend: { env: 'BACKEND', type: 'enum', values: ['live', 'paper'], default: 'live' },
+  // Paper trading: starting balances of new wallets and starting USD prices (others: stablecoin peg or $1)
+  paperBalances: { env: 'PAPER_BALANCES', type: 'string', default: 'SOL:1,USDC:100,USDT:100' },
+  paperPrices: { env: 'PAPER_PRICES', type: 'string', default: 'SOL:150' },
+  paperSpreadBps: { env: 'PAPER_SPREAD_BPS', type: 'integer', default: 5, min: 0, max: 10000 }, // Below the market price per swap
+  paperDriftBps: { env: 'PAPER_DRIFT_BPS', type: 'integer', default: 50, min: 0 }, // Price volatility per minute (unpegged tokens)
+  paperFailRate: { env: 'PAPER_FAIL_RATE', type: 'number', default: 0.02, min: 0, max: 1 }, // Land with an error, fee charged
+  paperDropRate: { env: 'PAPER_DROP_RATE', type: 'number', default: 0.02, min: 0, max: 1 }, // Never land (expire)
+  paperLatencyMs: { env: 'PAPER_LATENCY_MS', type: 'integer', default: 800, min: 0 }, // Average time to confirmation
+  paperSeed: { env: 'PAPER_SEED', type: 'integer', default: 0, min: 0 }, // Fixed seed for reproducible runs (0 = random)
+  paperLedgerPath: { env: 'PAPER_LEDGER_PATH', type: 'path', default: join(__dirname, '..', 'paper-ledger.json') },
 };
 
-// Validate configuration
-export function validateConfig() {
-  const errors = [];
+// Configuration (filled by loadConfig, mutated in place so every module sees the same object)
+export const config = {};
+
+// Where each setting's value came from: 'default', 'file', 'profile <name>', 'env <NAME>', 'cli'...
+const sources = {};
+
+// Errors found while loading the layers (bad file, unknown keys, unparsable values)
+const loadErrors = [];
+
+/**
+ * Env var(s) a setting is read from
+ * @param {string} key - Setting name
+ * @returns {string[]} Env var names
+ */
+function getEnvNames(key) {
+  return [].concat(SETTINGS[key].env || []);
+}
+
+/**
+ * Name of a setting in error messages: its env var, as documented in .env.example
+ * @param {string} key - Setting name
+ * @returns {string} e.g. 'SLIPPAGE_BPS'
+ */
+function getLabel(key) {
+  return getEnvNames(key)[0] || key;
+}
+
+/**
+ * Check whether a setting exists
+ * @param {string} key - Setting name
+ * @returns {boolean}
+ */
+export function isSetting(key) {
+  return Object.prototype.hasOwnProperty.call(SETTINGS, key);
+}
+
+/**
+ * Check whether a setting holds a secret (never printed, never taken from the command line)
+ * @param {string} key - Setting name
+ * @returns {boolean}
+ */
+export function isSecretSetting(key) {
+  return Boolean(SETTINGS[key]?.secret);
+}
+
+/**
+ * Parse a raw value (env var string, config file JSON value or flag) into a setting's type
+ * @param {string} key - Setting name
+ * @param {*} raw - Raw value
+ * @returns {*} Typed value
+ */
+export function parseConfigValue(key, raw) {
+  const setting = SETTINGS[key];
+  // Config files may hold lists and objects (PAIR_ROUTES) as plain JSON
+  let text = String(raw).trim();
+  if (Array.isArray(raw)) {
+    text = raw.join(',');
+  } else if (typeof raw === 'object' && raw !== null) {
+    text = JSON.stringify(raw);
+  }
   
-  if (!config.mnemonic) {
-    errors.push('Missing SOLANA_MNEMONIC or MNEMONIC in .env');
+  switch (setting.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) {
+        throw new Error(`expected an integer, got "${raw}"`);
+      }
+      return parseInt(text);
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || !Number.isFinite(number)) {
+        throw new Error(`expected a number, got "${raw}"`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (text !== 'true' && text !== 'false') {
+        throw new Error(`expected true or false, got "${raw}"`);
+      }
+      return text === 'true';
+    case 'urls':
+      return text.split(',').map(u => u.trim()).filter(Boolean);
+    case 'path':
+      return text === '' ? '' : resolve(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Set a setting and record where the value came from
+ * @param {string} key - Setting name
+ * @param {*} value - Typed value (see parseConfigValue)
+ * @param {string} source - Source for display, e.g. 'cli'
+ */
+export function setConfigValue(key, value, source) {
+  config[key] = value;
+  sources[key] = source;
+}
+
+/**
+ * Apply a layer of raw values, collecting errors instead of throwing
+ * @param {Object} values - Raw values by setting name
+ * @param {string} source - Layer name
+ */
+function applyLayer(values, source) {
+  for (const [key, raw] of Object.entries(values)) {
+    if (!isSetting(key)) {
+      loadErrors.push(`${source}: unknown setting "${key}"`);
+      continue;
+    }
+    try {
+      setConfigValue(key, parseConfigValue(key, raw), source);
+    } catch (error) {
+      loadErrors.push(`${source}: ${key} ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Read the config file layers: top-level settings, then the selected profile
+ * @param {string} path - Config file path
+ * @param {string} profile - Profile name (optional)
+ * @returns {Object[]} [{ values, source }]
+ */
+function readConfigFile(path, profile) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    loadErrors.push(`Config file ${path}: ${error.message}`);
+    return [];
+  }
+  
+  const { profiles = {}, ...values } = parsed;
+  const layers = [{ values, source: 'file' }];
+  if (profile) {
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles).join(', ') || 'none';
+      loadErrors.push(`Unknown profile "${profile}" in ${path} (available: ${available})`);
+    } else {
+      layers.push({ values: profiles[profile], source: `profile ${profile}` });
+    }
+  }
+  return layers;
+}
+
+/**
+ * Build the configuration: defaults < config file < profile < env
+ * Command line flags are applied on top by the CLI
+ * @param {Object} options - Load options
+ * @param {string} options.file - Config file (default: CONFIG_FILE or seeker.config.json, optional)
+ * @param {string} options.profile - Profile of the config file (default: CONFIG_PROFILE)
+ */
+export function loadConfig({ file, profile } = {}) {
+  loadErrors.length = 0;
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    setConfigValue(key, setting.default, 'default');
   }
   
-  if (!config.jupApiKey) {
+  const path = resolve(file || process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE);
+  const profileName = profile || process.env.CONFIG_PROFILE || '';
+  if (existsSync(path)) {
+    for (const layer of readConfigFile(path, profileName)) {
+      applyLayer(layer.values, layer.source);
+    }
+  } else if (file || process.env.CONFIG_FILE || profileName) {
+    loadErrors.push(`Config file not found: ${path}${profileName ? ` (needed for profile "${profileName}")` : ''}`);
+  }
+  
+  // Empty env vars count as unset
+  for (const key of Object.keys(SETTINGS)) {
+    const name = getEnvNames(key).find(n => process.env[n] !== undefined && process.env[n] !== '');
+    if (name) {
+      applyLayer({ [key]: process.env[name] }, `env ${name}`);
+    }
+  }
+}
+
+// Defaults, the config file and env are loaded on import; the CLI reloads for --config / --profile
+loadConfig();
+
+/**
+ * Effective configuration with the source of every value, secrets masked
+ * @returns {Object[]} [{ key, env, value, source }] in display order
+ */
+export function getEffectiveConfig() {
+  return Object.keys(SETTINGS).map(key => ({
+    key,
+    env: getLabel(key),
+    value: isSecretSetting(key) && config[key] ? '********' : config[key],
+    source: sources[key],
+  }));
+}
+
+/**
+ * Check a URL setting value
+ * @param {string} url - URL
+ * @returns {boolean} Whether it is an http(s) URL
+ */
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * URLs held by a URL setting
+ * @param {string} key - Setting name
+ * @returns {string[]} URLs (empty for other settings)
+ */
+function getSettingUrls(key) {
+  const value = config[key];
+  switch (SETTINGS[key].type) {
+    case 'url':
+      return value ? [value] : [];
+    case 'urls':
+      return value;
+    case 'endpoints':
+      // "url" or "url|proxyUrl" entries
+      return value.split(',').map(e => e.trim()).filter(Boolean).flatMap(e => e.split('|'));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check one setting against its type and range
+ * @param {string} key - Setting name
+ * @returns {string|null} What is wrong, or null if the value is valid
+ */
+function checkSetting(key) {
+  const setting = SETTINGS[key];
+  const value = config[key];
+  
+  if (setting.type === 'enum' && !setting.values.includes(value)) {
+    return `must be one of ${setting.values.map(v => `'${v}'`).join(', ')}`;
+  }
+  
+  if (setting.type === 'integer' || setting.type === 'number') {
+    const { min, max, positive, exclusive } = setting;
+    if (positive && !(value > 0)) {
+      return 'must be positive';
+    }
+    const outOfRange = exclusive
+      ? value <= min || value >= max
+      : (min !== undefined && value < min) || (max !== undefined && value > max);
+    if (outOfRange && max !== undefined) {
+      return `must be between ${min} and ${max}${exclusive ? ' (exclusive)' : ''}`;
+    }
+    if (outOfRange) {
+      return min === 0 ? 'must be zero or positive' : `must be at least ${min}`;
+    }
+  }
+  
+  const invalid = getSettingUrls(key).find(url => !isHttpUrl(url.trim()));
+  if (invalid !== undefined) {
+    return `has an invalid URL "${invalid}" (expected http:// or https://)`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate configuration
+ * @param {Object} needs - Parts the command uses
+ * @param {boolean} needs.wallet - Wallet source required (default: true)
+ * @param {boolean} needs.jupiter - Jupiter API key required (default: true, never with the paper backend)
+ * @returns {string[]} Errors
+ */
+export function validateConfig({ wallet = true, jupiter = true } = {}) {
+  const errors = [...loadErrors];
+  
+  if (wallet && !config.mnemonic && !config.keypairPath && !existsSync(config.keystorePath)) {
+    errors.push('Missing SOLANA_MNEMONIC or MNEMONIC in .env (or a keystore / KEYPAIR_PATH)');
+  }
+  
+  // Only Jupiter's hosted APIs need the key (not a self-hosted one, nor the paper backend)
+  const providers = config.swapProvider === 'best-of' ? config.bestOfProviders.split(',').map(p => p.trim()) : [config.swapProvider];
+  if (jupiter && !config.jupApiKey && config.backend !== 'paper' && providers.some(p => p !== 'self-hosted')) {
     errors.push('Missing JUP_API_KEY in .env');
   }
   
-  if (config.swapAmount <= 0) {
-    errors.push('SWAP_AMOUNT must be positive');
+  for (const key of Object.keys(SETTINGS)) {
+    const problem = checkSetting(key);
+    if (problem) {
+      errors.push(`${getLabel(key)} ${problem} (got ${JSON.stringify(config[key])} from ${sources[key]})`);
+    }
+  }
+  
+  let indices = [];
+  try {
+    indices = parseIndexList(config.walletIndices);
+  } catch (error) {
+    errors.push(`WALLET_INDICES: ${error.message}`);
+  }
+  
+  if (indices.length > 1 && !config.derivationPath.includes('{index}')) {
+    errors.push('DERIVATION_PATH must contain {index} when multiple WALLET_INDICES are set');
+  }
+  
+  if (config.priorityFeeMin > config.priorityFeeMax) {
+    errors.push('PRIORITY_FEE_MIN must not be greater than PRIORITY_FEE_MAX');
+  }
+  
+  if (config.batchVolumeUsd > 0 && config.batchFeesSol > 0) {
+    errors.push('Set either BATCH_VOLUME_USD or BATCH_FEES_SOL, not both');
   }
   
   return errors;
 }
 
+/**
+ * Parse an index list such as "0,2,5-7" into a sorted list of unique indices
+ * @param {string} spec - Comma separated indices and/or ranges
+ * @returns {number[]} Account indices (below 2^31, at most MAX_WALLET_COUNT of them)
+ */
+export function parseIndexList(spec) {
+  const indices = new Set();
+  
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`invalid index or range "${part}"`);
+    }
+    
+    const start = parseInt(match[1]);
+    const end = match[2] !== undefined ? parseInt(match[2]) : start;
+    if (end < start) {
+      throw new Error(`range "${part}" is reversed`);
+    }
+    if (end > MAX_WALLET_INDEX) {
+      throw new Error(`index ${end} is above the hardened BIP44 limit (${MAX_WALLET_INDEX})`);
+    }
+    if (end - start + 1 > MAX_WALLET_COUNT) {
+      throw new Error(`range "${part}" has more than ${MAX_WALLET_COUNT} wallets`);
+    }
+    
+    for (let i = start; i <= end; i++) {
+      indices.add(i);
+    }
+  }
+  
+  if (indices.size === 0) {
+    throw new Error('no indices given');
+  }
+  if (indices.size > MAX_WALLET_COUNT) {
+    throw new Error(`${indices.size} wallets given, at most ${MAX_WALLET_COUNT} are supported`);
+  }
+  
+  return [...indices].sort((a, b) => a - b);
+}
@@ -0,0 +1,101 @@
+import { config } from './config.js';
+
+// Compute units assumed until Jupiter reports a compute unit limit for the direction
+const DEFAULT_COMPUTE_UNITS = 300000;
+
+// Per-direction state learned from built transactions
+const writableAccounts = new Map(); // direction -> PublicKey[]
+const computeUnits = new Map(); // direction -> compute unit limit
+
+// Adaptive strategy: current fee, raised after drops and decayed after successes
+let adaptiveFee = null;
+
+/**
+ * Clamp a fee into the configured min/max range
+ * @param {number} lamports - Fee in lamports
+ * @returns {number} Clamped fee
+ */
+function clampFee(lamports) {
+  return Math.round(Math.min(config.priorityFeeMax, Math.max(config.priorityFeeMin, lamports)));
+}
+
+/**
+ * Describe the priority fee setting for display
+ * @returns {string} e.g. "1000 lamports", "auto", "adaptive (1000-100000 lamports)"
+ */
+export function describePriorityFee() {
+  switch (config.priorityFeeStrategy) {
+    case 'percentile':
+      return `p${config.priorityFeePercentile} of recent fees (${config.priorityFeeMin}-${config.priorityFeeMax} lamports)`;
+    case 'adaptive':
+      return `adaptive (${config.priorityFeeMin}-${config.priorityFeeMax} lamports)`;
+    default:
+      return config.priorityFeeLamports > 0 ? `${config.priorityFeeLamports} lamports` : 'auto';
+  }
+}
+
+/**
+ * Pick the priority fee for the next swap
+ * @param {Connection} connection - Solana connection
+ * @param {string} direction - Swap direction
+ * @returns {Promise<number|'auto'>} Fee in lamports, or 'auto' to let Jupiter decide
+ */
+export async function getPriorityFee(connection, direction) {
+  if (config.priorityFeeStrategy === 'adaptive') {
+    if (adaptiveFee === null) {
+      adaptiveFee = clampFee(config.priorityFeeLamports || config.priorityFeeMin);
+    }
+    return adaptiveFee;
+  }
+  
+  if (config.priorityFeeStrategy === 'percentile') {
+    // Recent per-CU fees (micro-lamports) paid to lock the accounts this swap writes to
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts.get(direction) || [],
+    });
+    const fees = recent.map(f => f.prioritizationFee).sort((a, b) => a - b);
+    if (fees.length === 0) {
+      return config.priorityFeeMin;
+    }
+    
+    const index = Math.min(fees.length - 1, Math.floor(fees.length * config.priorityFeePercentile / 100));
+    const units = computeUnits.get(direction) || DEFAULT_COMPUTE_UNITS;
+    return clampFee(Math.ceil(fees[index] * units / 1e6));
+  }
+  
+  return config.priorityFeeLamports > 0 ? config.priorityFeeLamports : 'auto';
+}
+
+/**
+ * Remember the accounts and compute units of a built swap, for percentile pricing
+ * Only static account keys are used (lookup table accounts would need extra RPC calls)
+ * @param {string} direction - Swap direction
+ * @param {VersionedTransaction} transaction - Built swap transaction
+ * @param {number} computeUnitLimit - Compute unit limit reported by Jupiter (optional)
+ */
+export function recordSwapTransaction(direction, transaction, computeUnitLimit) {
+  const { message } = transaction;
+  const accounts = message.staticAccountKeys.filter((key, i) => i > 0 && message.isAccountWritable(i));
+  writableAccounts.set(direction, accounts);
+  
+  if (computeUnitLimit) {
+    computeUnits.set(direction, computeUnitLimit);
+  }
+}
+
+/**
+ * Feed an attempt outcome back into the adaptive strategy
+ * Dropped/expired attempts raise the fee, landed attempts let it decay
+ * @param {'landed'|'failed'|'expired'} status - Attempt outcome
+ */
+export function recordSwapOutcome(status) {
+  if (config.priorityFeeStrategy !== 'adaptive' || adaptiveFee === null) {
+    return;
+  }
+  
+  if (status === 'expired') {
+    adaptiveFee = clampFee(adaptiveFee * config.priorityFeeIncrease);
+  } else if (status === 'landed') {
+    adaptiveFee = clampFee(adaptiveFee * config.priorityFeeDecay);
+  }
+}
@@ -0,0 +1,110 @@
+import { config } from './config.js';
+
+/**
+ * What a batch works towards, per wallet
+ * @typedef {Object} BatchGoal
+ * @property {'swaps'|'volume'|'fees'} type - Successful swaps, traded USD volume or SOL spent on fees
+ * @property {number} target - Target per wallet (swaps, USD or SOL)
+ */
+
+/**
+ * Goal of a new batch: BATCH_VOLUME_USD or BATCH_FEES_SOL when set, else the swap count
+ * @param {number} count - Successful swaps per wallet
+ * @returns {BatchGoal}
+ */
+export function getBatchGoal(count) {
+  if (config.batchVolumeUsd > 0) {
+    return { type: 'volume', target: config.batchVolumeUsd };
+  }
+  if (config.batchFeesSol > 0) {
+    return { type: 'fees', target: config.batchFeesSol };
+  }
+  return { type: 'swaps', target: count };
+}
+
+/**
+ * Goal of a journaled run (runs from before volume / fee goals counted swaps)
+ * @param {Object} start - batch-start journal entry
+ * @returns {BatchGoal}
+ */
+export function getRunGoal(start) {
+  return start.goal || { type: 'swaps', target: start.targetCount };
+}
+
+/**
+ * Progress of swap results towards a goal
+ * Volume counts the input value of successful swaps (those of unknown value are left out, a batch
+ * stops on them, see findUnvaluedSwap); fees include attempts that failed on-chain
+ * @param {BatchGoal} goal - Goal
+ * @param {Object[]} results - Swap results (successes and failures)
+ * @returns {number} Swaps, USD or SOL
+ */
+export function measureGoal(goal, results) {
+  switch (goal.type) {
+    case 'volume':
+      return results.filter(r => r.success && r.inputValueUsd != null).reduce((sum, r) => sum + r.inputValueUsd, 0);
+    case 'fees':
+      return results.reduce((sum, r) => sum + (r.success ? r.gasUsed || 0 : 0) + (r.failedAttemptFees || 0), 0) / 1e9;
+    default:
+      return results.filter(r => r.success).length;
+  }
+}
+
+/**
+ * A successful swap whose USD value is unknown, which a volume goal can't count
+ * @param {BatchGoal} goal - Goal
+ * @param {Object[]} results - Swap results
+ * @returns {Object|null} The first such swap result, null if there is none or the goal isn't volume
+ */
+export function findUnvaluedSwap(goal, results) {
+  if (goal.type !== 'volume') {
+    return null;
+  }
+  return results.find(r => r.success && r.inputValueUsd == null) || null;
+}
+
+/**
+ * Format an amount in the goal's unit
+ * @param {BatchGoal} goal - Goal
+ * @param {number} value - Swaps, USD or SOL
+ * @returns {string} e.g. "12", "$12.50", "$0.00300" or "0.001200 SOL"
+ */
+function formatGoalValue(goal, value) {
+  switch (goal.type) {
+    case 'volume':
+      // Cents, or 3 significant digits below $1 so small test goals don't show as $0.00
+      return `$${value === 0 || Math.abs(value) >= 1 ? value.toFixed(2) : value.toPrecision(3)}`;
+    case 'fees':
+      return `${value.toFixed(6)} SOL`;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Describe a goal for display
+ * @param {BatchGoal} goal - Goal
+ * @returns {string} e.g. "200 successful swaps", "$500.00 volume", "0.010000 SOL in fees"
+ */
+export function describeGoal(goal) {
+  const labels = { swaps: 'successful swaps', volume: 'volume', fees: 'in fees' };
+  return `${formatGoalValue(goal, goal.target)} ${labels[goal.type]}`;
+}
+
+/**
+ * Format progress towards a goal for the progress line and summary
+ * @param {BatchGoal} goal - Goal
+ * @param {number} value - Progress so far
+ * @param {number} target - Target (per wallet, or for all wallets)
+ * @returns {string} e.g. "✅ 12/200", "💵 $120.50/$500.00", "⛽ 0.001200/0.010000 SOL"
+ */
+export function formatGoalProgress(goal, value, target) {
+  switch (goal.type) {
+    case 'volume':
+      return `💵 ${formatGoalValue(goal, value)}/${formatGoalValue(goal, target)}`;
+    case 'fees':
+      return `⛽ ${value.toFixed(6)}/${formatGoalValue(goal, target)}`;
+    default:
+      return `✅ ${value}/${target}`;
+  }
+}
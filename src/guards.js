@@ -0,0 +1,64 @@
+import { config } from './config.js';
+import { getUsdPrice } from './jupiter.js';
+
+/**
+ * Describe the active quote guards and loss budget for display
+ * @returns {string} e.g. "impact ≤ 1%, out/in ≥ 0.99, budget $0.50"
+ */
+export function describeGuards() {
+  const parts = [];
+  if (config.maxPriceImpactPct > 0) {
+    parts.push(`impact ≤ ${config.maxPriceImpactPct}%`);
+  }
+  if (config.minOutRatio > 0) {
+    parts.push(`out/in ≥ ${config.minOutRatio}`);
+  }
+  parts.push(config.lossBudgetUsd > 0 ? `budget $${config.lossBudgetUsd}` : 'no loss budget');
+  return parts.join(', ');
+}
+
+/**
+ * Check a quote against the price impact and output/input ratio guards
+ * The ratio compares USD values (stablecoins at their peg), so a depeg fails it
+ * @param {Object} quote - Quote response from getQuote
+ * @param {Token} input - Input token
+ * @param {Token} output - Output token
+ * @returns {Promise<string|null>} Why the quote is rejected, or null if it passes
+ */
+export async function checkQuote(quote, input, output) {
+  // Jupiter reports price impact as a fraction
+  const impactPct = parseFloat(quote.priceImpactPct || '0') * 100;
+  if (config.maxPriceImpactPct > 0 && impactPct > config.maxPriceImpactPct) {
+    return `price impact ${impactPct.toFixed(4)}% above ${config.maxPriceImpactPct}%`;
+  }
+  
+  if (config.minOutRatio > 0) {
+    const inputUsd = parseInt(quote.inAmount) / Math.pow(10, input.decimals) * await getUsdPrice(input);
+    const outputUsd = parseInt(quote.outAmount) / Math.pow(10, output.decimals) * await getUsdPrice(output);
+    const ratio = outputUsd / inputUsd;
+    if (!(ratio >= config.minOutRatio)) {
+      return `output/input ratio ${ratio.toFixed(6)} below ${config.minOutRatio}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Value lost by a set of swap results in USD: slippage/spread plus fees
+ * @param {Object[]} results - Swap results (including failures, for their fees)
+ * @param {number|null} solPriceUsdc - SOL price, fees are left out when unknown
+ * @returns {number} Loss in USD (negative if swaps gained value)
+ */
+export function computeLossUsd(results, solPriceUsdc) {
+  return results.reduce((sum, r) => {
+    let loss = 0;
+    if (r.success && r.inputValueUsd != null && r.outputValueUsd != null) {
+      loss += r.inputValueUsd - r.outputValueUsd;
+    }
+    if (solPriceUsdc) {
+      loss += ((r.success ? r.gasUsed || 0 : 0) + (r.failedAttemptFees || 0)) / 1e9 * solPriceUsdc;
+    }
+    return sum + loss;
+  }, 0);
+}
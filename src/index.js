@@ -1,10 +1,33 @@
-import { Connection } from '@solana/web3.js';
 import readline from 'readline';
-import fetch from 'node-fetch';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-import { config, validateConfig } from './config.js';
-import { getKeypairFromMnemonic, getMaskedPublicKey } from './wallet.js';
+import { writeFileSync } from 'fs';
+import * as bip39 from 'bip39';
+import { config, validateConfig, parseIndexList, loadConfig, setConfigValue, getEffectiveConfig } from './config.js';
+import {
+  getKeypairsFromMnemonic,
+  getMaskedPublicKey,
+  getDerivationPath,
+  getWalletSource,
+  loadKeypairs,
+} from './wallet.js';
+import { keystoreExists, writeKeystore } from './keystore.js';
 import { executeSwap, executeBatchSwaps } from './swap.js';
+import { createConnectionPool, parseRpcEndpoints } from './rpc.js';
+import { createPaperConnection } from './ledger.js';
+import { validatePaperConfig } from './paper.js';
+import { listRuns, loadRunState, getRunEntries } from './journal.js';
+import { describePriorityFee } from './fees.js';
+import { describeGuards, checkQuote } from './guards.js';
+import { getSwapAmountInSmallestUnits, formatAmount } from './jupiter.js';
+import { getSwapProvider, describeProvider, validateProviderConfig } from './providers.js';
+import { parseArgs, applyConfigOverrides, printUsage, enableJsonOutput, printJson } from './cli.js';
+import { validateRouteConfig, getRouteOptions, describeRouteOptions, getRouteLabels, describeRoute } from './routes.js';
+import { isPair, parsePair, parseCycle, getToken, resolveToken, validateTokenConfig } from './tokens.js';
+import { resolveBalanceTokens, getWalletBalances, formatBalances } from './balances.js';
+import { runDaemon, describeDailyTarget, validateScheduleConfig } from './scheduler.js';
+import { getBatchGoal, getRunGoal, measureGoal, describeGoal, formatGoalProgress } from './goals.js';
+import { findEmptyTokenAccounts, describeTokenAccount, closeTokenAccounts } from './rent.js';
+import { REPORT_FORMATS, buildRunReport, writeReportFiles, formatPercent, formatSol, formatMs, formatUsd } from './report.js';
+import { log } from './logger.js';
 
 /**
  * Create readline interface for user input
@@ -20,150 +43,903 @@ function createReadlineInterface() {
  * Prompt user for input
  * @param {readline.Interface} rl - Readline interface
  * @param {string} question - Question to ask
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.hidden - Don't echo the typed answer (passphrases, mnemonics)
  * @returns {Promise<string>} User input
  */
-function prompt(rl, question) {
+function prompt(rl, question, { hidden = false } = {}) {
   return new Promise(resolve => {
+    const writeToOutput = rl._writeToOutput;
     rl.question(question, answer => {
+      if (hidden) {
+        rl._writeToOutput = writeToOutput;
+        rl.output.write('\n');
+      }
       resolve(answer.trim());
     });
+    // Mute echo after the question itself has been written
+    if (hidden) {
+      rl._writeToOutput = () => {};
+    }
   });
 }
 
 /**
- * Get wallet balance
+ * Ask for the keystore passphrase on a short-lived readline interface
+ * @returns {Promise<string>} Passphrase
+ */
+async function askKeystorePassphrase() {
+  const rl = createReadlineInterface();
+  try {
+    return await prompt(rl, '🔐 Keystore passphrase: ', { hidden: true });
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Describe loaded wallets for listing/export
+ * @param {Keypair[]} keypairs - Loaded keypairs
+ * @returns {Object[]} Wallet descriptions ({ publicKey, index?, path?, file? })
+ */
+function describeWallets(keypairs) {
+  if (getWalletSource() === 'keypair-file') {
+    const files = config.keypairPath.split(',').map(p => p.trim()).filter(Boolean);
+    return keypairs.map((kp, i) => ({ publicKey: kp.publicKey.toBase58(), file: files[i] }));
+  }
+  
+  const indices = parseIndexList(config.walletIndices);
+  return keypairs.map((kp, i) => ({
+    publicKey: kp.publicKey.toBase58(),
+    index: indices[i],
+    path: getDerivationPath(indices[i]),
+  }));
+}
+
+/**
+ * Wallet management subcommand
+ * Usage: wallet import | wallet list | wallet export [file]
+ * @param {string[]} args - Subcommand arguments
+ * @param {Object} flags - --yes (overwrite an existing keystore without asking), --json
+ */
+async function runWalletCommand(args, flags = {}) {
+  const action = args[0]?.toLowerCase();
+  
+  if (action === 'import') {
+    const rl = createReadlineInterface();
+    try {
+      if (keystoreExists(config.keystorePath) && !flags.yes) {
+        const overwrite = await prompt(rl, `⚠️  ${config.keystorePath} exists, overwrite? (y/N): `);
+        if (overwrite.toLowerCase() !== 'y') {
+          console.log('Aborted');
+          return;
+        }
+      }
+      
+      const envHint = config.mnemonic ? ' (empty = use SOLANA_MNEMONIC from .env)' : '';
+      const mnemonic = (await prompt(rl, `📝 Mnemonic${envHint}: `, { hidden: true })) || config.mnemonic.trim();
+      if (!bip39.validateMnemonic(mnemonic)) {
+        throw new Error('Invalid mnemonic phrase');
+      }
+      
+      const passphrase = await prompt(rl, '🔐 New keystore passphrase: ', { hidden: true });
+      const confirm = await prompt(rl, '🔐 Repeat passphrase: ', { hidden: true });
+      if (!passphrase) {
+        throw new Error('Passphrase must not be empty');
+      }
+      if (passphrase !== confirm) {
+        throw new Error('Passphrases do not match');
+      }
+      
+      writeKeystore(config.keystorePath, mnemonic, passphrase);
+      console.log(`\n✅ Keystore written: ${config.keystorePath}`);
+      getKeypairsFromMnemonic(mnemonic).forEach(kp => console.log(`   - ${kp.publicKey.toBase58()}`));
+      if (config.mnemonic) {
+        console.log('\n⚠️  Remove SOLANA_MNEMONIC from .env, it is no longer needed');
+      }
+    } finally {
+      rl.close();
+    }
+    return;
+  }
+  
+  if (action === 'list' || action === 'export') {
+    const wallets = describeWallets(await loadKeypairs(askKeystorePassphrase));
+    
+    if (action === 'list' && flags.json) {
+      printJson(wallets);
+      return;
+    }
+    if (action === 'list') {
+      console.log(`\n👛 Wallets (source: ${getWalletSource()}):`);
+      for (const w of wallets) {
+        const where = w.file ? w.file : `#${w.index} ${w.path}`;
+        console.log(`   - ${w.publicKey}  (${where})`);
+      }
+      return;
+    }
+    
+    const output = JSON.stringify(wallets, null, 2) + '\n';
+    if (args[1]) {
+      writeFileSync(args[1], output);
+      console.log(`✅ Exported ${wallets.length} public key(s) to ${args[1]}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+  
+  throw new Error('Usage: wallet <import|list|export [file]>');
+}
+
+/**
+ * Print wallet balances for SOL and every tracked token
  * @param {Connection} connection - Solana connection
  * @param {Keypair} keypair - Wallet keypair
+ * @param {Token[]} tokens - Tokens to show
+ * @param {Object<string, bigint>} before - Earlier balances, to show the change (optional)
+ * @returns {Promise<Object<string, bigint>|null>} Balances, null if they couldn't be fetched
  */
-async function printBalance(connection, keypair) {
+async function printBalance(connection, keypair, tokens, before = null) {
   try {
-    const balance = await connection.getBalance(keypair.publicKey);
-    const solBalance = balance / 1e9;
-    console.log(`💰 SOL Balance: ${solBalance.toFixed(4)} SOL`);
+    const balances = await getWalletBalances(connection, keypair.publicKey, tokens);
+    log.info(`💰 Balance: ${formatBalances(balances, tokens, before).join(' | ')}`, {
+      event: 'balance',
+      wallet: keypair.publicKey.toBase58(),
+      balances,
+    });
+    return balances;
   } catch (e) {
-    console.log(`💰 SOL Balance: (unable to fetch)`);
+    log.warn(`💰 Balance: (unable to fetch)`, { event: 'balance-unavailable', wallet: keypair.publicKey.toBase58(), error: e.message });
+    return null;
   }
 }
 
 /**
- * Main entry point
+ * Print balances for one or more wallets
+ * @param {Connection} connection - Solana connection
+ * @param {Keypair[]} keypairs - Wallet keypairs
+ * @param {string[]} symbols - Tokens to show besides SOL
+ * @param {Map<string, Object>} before - Earlier balances by wallet, to show the change (optional)
+ * @returns {Promise<Map<string, Object>>} Balances by wallet address
  */
-async function main() {
-  console.log('═'.repeat(50));
-  console.log('🔄 SEEKER TRADE - Solana USDC/USDT Swap Tool');
-  console.log('═'.repeat(50));
+async function printBalances(connection, keypairs, symbols, before = new Map()) {
+  const tokens = await resolveBalanceTokens(connection, symbols);
+  const balances = new Map();
+  for (const keypair of keypairs) {
+    if (keypairs.length > 1) {
+      log.info(`👛 ${getMaskedPublicKey(keypair)}`);
+    }
+    const address = keypair.publicKey.toBase58();
+    balances.set(address, await printBalance(connection, keypair, tokens, before.get(address)));
+  }
+  return balances;
+}
+
+/**
+ * Print how a batch ended and how to continue it
+ * @param {Object} result - Result of executeBatchSwaps
+ */
+function printBatchOutcome(result) {
+  if (!result.interrupted) {
+    log.info('\n🎉 All done!');
+    return;
+  }
+  if (result.stopReasons.some(s => s.wallet)) {
+    log.info('\n💸 Top up the wallet(s) listed above before continuing');
+  }
+  log.info(`\n🛑 Stopped early, continue with: npm run start -- resume ${result.runId}`);
+}
+
+/**
+ * History subcommand: list past runs, or the swaps of one run
+ * Usage: history [runId] [--status=...] [--wallet=...] [--since=YYYY-MM-DD] [--limit=N] [--json]
+ * @param {string} runId - Run to show in detail (optional)
+ * @param {Object} flags - Filters and output flags
+ */
+function printHistory(runId, flags) {
+  const limit = parseInt(flags.limit) || 20;
+  
+  if (runId) {
+    const attempts = getRunEntries(runId)
+      .filter(e => e.type === 'attempt')
+      .filter(e => !flags.status || e.status === flags.status)
+      .filter(e => !flags.wallet || e.wallet.startsWith(flags.wallet));
+    if (flags.json) {
+      printJson(attempts.slice(-limit));
+      return;
+    }
+    if (attempts.length === 0) {
+      console.log(`\n📜 No attempts found for run ${runId}`);
+      return;
+    }
+    
+    console.log(`\n📜 Run ${runId} (${attempts.length} attempts, last ${Math.min(limit, attempts.length)}):`);
+    for (const a of attempts.slice(-limit)) {
+      const icon = a.status === 'landed' || a.status === 'simulated' ? '✅' : '❌';
+      const fee = a.fee !== null && a.fee !== undefined ? ` ⛽ ${(a.fee / 1e9).toFixed(6)} SOL` : '';
+      const sig = a.signature ? ` ${a.signature.slice(0, 8)}...` : '';
+      const error = a.error ? ` - ${a.error}` : '';
+      console.log(`   ${a.timestamp.slice(0, 19).replace('T', ' ')} ${icon} ${a.wallet.slice(0, 4)}...${a.wallet.slice(-4)} ${a.direction} ${a.status}${sig}${fee}${error}`);
+    }
+    return;
+  }
+  
+  const runs = listRuns()
+    .filter(r => !flags.status || r.status === flags.status)
+    .filter(r => !flags.wallet || r.wallets.some(w => w.startsWith(flags.wallet)))
+    .filter(r => !flags.since || r.startedAt >= flags.since);
+  if (flags.json) {
+    printJson(runs.slice(-limit));
+    return;
+  }
+  if (runs.length === 0) {
+    console.log(`\n📜 No runs found in ${config.journalPath}`);
+    return;
+  }
+  
+  console.log(`\n📜 Runs (${runs.length}, last ${Math.min(limit, runs.length)}):`);
+  for (const r of runs.slice(-limit)) {
+    const progress = formatGoalProgress(r.goal, r.progress, r.goal.target * r.wallets.length);
+    const successful = r.goal.type === 'swaps' ? '' : `  ✅ ${r.successful}`;
+    const markers = `${r.dryRun ? ' 🧪' : ''}${r.backend === 'paper' ? ' 🧻' : ''}`;
+    console.log(`   ${r.runId}  ${progress}${successful}  ❌ ${r.failed}  📈 ${r.attempts}  ⛽ ${(r.fees / 1e9).toFixed(6)} SOL  ${r.status}${markers}`);
+  }
+}
+
+/**
+ * Report subcommand: summary and cost analytics of one run from the journal (latest run by default)
+ * --export writes it to REPORT_DIR as CSV (one row per attempt), JSON and a self-contained HTML page
+ * @param {string} runId - Run to report on (optional)
+ * @param {Object} flags - Output flags (--json, --export or --export=csv,json,html)
+ */
+function printReport(runId, flags) {
+  const formats = flags.export === undefined ? []
+    : flags.export === true ? REPORT_FORMATS
+      : String(flags.export).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format: ${unknown.join(', ')} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  
+  const report = buildRunReport(runId);
+  const files = formats.length > 0 ? writeReportFiles(report, formats) : [];
+  
+  if (flags.json) {
+    const { attemptEntries, ...summary } = report;
+    printJson({ ...summary, files });
+    return;
+  }
+  
+  const { costs, latency } = report;
+  
+  console.log(`\n📊 Run ${report.runId} (${report.status}${report.dryRun ? ', dry run' : ''}${report.backend === 'paper' ? ', paper' : ''})`);
+  console.log(`   Started: ${report.startedAt}${report.endedAt ? `, ended: ${report.endedAt}` : ''}`);
+  console.log(`   Wallets: ${report.wallets.length}, goal ${describeGoal(report.goal)}${report.wallets.length > 1 ? ' per wallet' : ''}`);
+  console.log(`   Progress: ${formatGoalProgress(report.goal, report.progress, report.goal.target * report.wallets.length)}`);
+  console.log(`   ✅ ${report.successful} successful | ❌ ${report.failed} failed | 📈 ${report.attempts} attempts`);
+  console.log(`   Attempts: ${Object.entries(report.attemptsByStatus).map(([status, n]) => `${n} ${status}`).join(', ') || '(none)'}`);
+  console.log(`   🎯 Success rate: ${formatPercent(report.successRate)} | 📡 Landing rate: ${formatPercent(report.landingRate)}`);
+  const retries = Object.entries(report.retries)
+    .map(([retry, n]) => retry === 'gaveUp' ? `${n} gave up` : `${n} ${retry === '0' ? 'first try' : `after ${retry} retr${retry === '1' ? 'y' : 'ies'}`}`);
+  console.log(`   🔄 Retries: ${retries.join(', ') || '(none)'}`);
+  console.log(`   ⏱️  Latency: p50 ${formatMs(latency.p50)} | p90 ${formatMs(latency.p90)} | p99 ${formatMs(latency.p99)} (${latency.count} landed)`);
+  console.log(`   ⛽ Fees: ${formatSol(costs.fees)} (priority ${formatSol(costs.priorityFees)})`);
+  if (costs.rentDeposits > 0 || costs.rentRefunds > 0) {
+    console.log(`   🏠 Rent: +${formatSol(costs.rentDeposits)} deposited, -${formatSol(costs.rentRefunds)} refunded`);
+  }
+  if (costs.valueLostUsd !== null) {
+    console.log(`   💸 Value lost: ${formatUsd(costs.valueLostUsd)} (slippage/spread ${formatUsd(costs.slippageLossUsd)}, fees ${formatUsd(costs.feesUsd)})`);
+  }
+  if (report.summary?.netPnlUsd != null) {
+    const pnl = report.summary.netPnlUsd;
+    console.log(`   💵 Net P&L: ${pnl < 0 ? '-' : '+'}$${Math.abs(pnl).toFixed(4)}`);
+  }
+  for (const [direction, d] of Object.entries(report.directions)) {
+    console.log(`   🧭 ${direction}: ${d.successful}/${d.swaps} swaps, ${d.landed}/${d.sent} landed, avg fee ${formatSol(d.avgFee)}, p50 ${formatMs(d.latencyP50)}, value lost ${formatUsd(d.slippageLossUsd)}`);
+  }
+  for (const p of report.priorityFees) {
+    console.log(`   ⛽ Priority fee ${p.setting}${typeof p.setting === 'number' ? ' lamports' : ''}: ${p.landed}/${p.sent} landed, avg fee ${formatSol(p.avgFee)}, p50 ${formatMs(p.latencyP50)}`);
+  }
+  for (const [route, stats] of Object.entries(report.routes)) {
+    console.log(`   🛣️  ${route}: ${stats.landed}/${stats.sent} landed, avg fee ${formatSol(stats.avgFee)}`);
+  }
+  for (const file of files) {
+    console.log(`   📁 Exported: ${file}`);
+  }
+}
+
+/**
+ * Config subcommand: effective configuration with the source of every value, then validation errors
+ * @param {Object} flags - Output flags (--json)
+ */
+function printConfig(flags) {
+  const settings = getEffectiveConfig();
+  const errors = getConfigErrors();
+  
+  if (flags.json) {
+    printJson({ settings, errors });
+  } else {
+    const width = Math.max(...settings.map(s => s.key.length));
+    console.log('\n⚙️  Effective configuration:');
+    for (const { key, value, source } of settings) {
+      const shown = Array.isArray(value) ? value.join(',') : String(value);
+      console.log(`   ${key.padEnd(width)}  ${shown === '' ? '(empty)' : shown}  [${source}]`);
+    }
+    if (errors.length > 0) {
+      console.log('\n❌ Configuration errors:');
+      errors.forEach(err => console.log(`   - ${err}`));
+    } else {
+      console.log('\n✅ Configuration is valid');
+    }
+  }
   
-  // Validate configuration
-  const errors = validateConfig();
   if (errors.length > 0) {
-    console.error('\n❌ Configuration errors:');
-    errors.forEach(err => console.error(`   - ${err}`));
-    console.error('\nPlease check your .env file');
     process.exit(1);
   }
+}
+
+/**
+ * Print an error (also as JSON with --json) and exit
+ * @param {string} message - Error message
+ * @param {Object} flags - Output flags
+ */
+function exitWithError(message, flags) {
+  log.error(`\n❌ ${message}`, { event: 'error', error: message });
+  if (flags.json) {
+    printJson({ error: message });
+  }
+  process.exit(1);
+}
+
+/**
+ * Every configuration error: settings, tokens, routes and schedule
+ * @param {Object} needs - Parts the command uses (see validateConfig)
+ * @returns {string[]} Errors
+ */
+function getConfigErrors(needs) {
+  return [
+    ...validateConfig(needs),
+    ...validateTokenConfig(),
+    ...validateRouteConfig(),
+    ...validateScheduleConfig(),
+    ...validatePaperConfig(),
+    ...validateProviderConfig(),
+  ];
+}
+
+/**
+ * Validate the configuration a command needs, exit on errors
+ * @param {Object} flags - Output flags
+ * @param {Object} needs - Parts the command uses (see validateConfig)
+ */
+function ensureValidConfig(flags, needs) {
+  const errors = getConfigErrors(needs);
+  if (errors.length > 0) {
+    log.error([
+      '\n❌ Configuration errors:',
+      ...errors.map(err => `   - ${err}`),
+      '\nPlease check your .env, config file and flags (`config` shows where each value comes from)',
+    ].join('\n'), { event: 'config-invalid', errors });
+    exitWithError('Invalid configuration', flags);
+  }
+}
+
+/**
+ * Load and print the configured wallets
+ * @param {Object} flags - Output flags
+ * @returns {Promise<Keypair[]>} Wallet keypairs
+ */
+async function initWallets(flags) {
+  log.info(`\n🔑 Initializing wallet (${getWalletSource()})...`);
+  try {
+    const keypairs = await loadKeypairs(askKeystorePassphrase);
+    if (keypairs.length === 1) {
+      log.info(`📍 Wallet: ${getMaskedPublicKey(keypairs[0])}`);
+    } else {
+      log.info(`📍 Wallets (${keypairs.length}):`);
+      keypairs.forEach(kp => log.info(`   - ${getMaskedPublicKey(kp)}`));
+    }
+    return keypairs;
+  } catch (error) {
+    exitWithError(`Wallet error: ${error.message}`, flags);
+  }
+}
+
+/**
+ * Create the RPC connection pool with per-endpoint proxy support and print endpoint health
+ * With BACKEND=paper, the simulated ledger stands in for the RPC (new wallets get PAPER_BALANCES)
+ * @param {Keypair[]} keypairs - Wallets the command uses
+ * @returns {Promise<Connection>} Pooled connection
+ */
+async function initConnection(keypairs = []) {
+  if (config.backend === 'paper') {
+    log.info(`🧻 Paper ledger: ${config.paperLedgerPath}`);
+    return createPaperConnection(keypairs.map(kp => kp.publicKey));
+  }
+  
+  const endpoints = parseRpcEndpoints(config.rpcUrls || config.rpcUrl);
+  const connection = createConnectionPool(endpoints);
+  await connection.checkHealth();
+  for (const stats of connection.getEndpointStats()) {
+    const endpoint = endpoints.find(e => e.url === stats.url);
+    const health = stats.healthy ? `✅ ${stats.latencyMs}ms` : '❌ unreachable';
+    const proxy = endpoint.proxyUrl ? ` (proxy: ${endpoint.proxyUrl})` : '';
+    log.info(`🌐 RPC: ${stats.url}${proxy} ${health}`);
+  }
+  if (config.sendRpcUrls.length > 0) {
+    log.info(`📡 Also broadcasting to: ${config.sendRpcUrls.join(', ')}`);
+  }
+  return connection;
+}
+
+/**
+ * Tokens whose balances a batch run shows: every token of the swap cycle
+ * @returns {string[]} Token symbols
+ */
+function getCycleSymbols() {
+  return parseCycle(config.swapCycle).flatMap(parsePair);
+}
+
+/**
+ * swap <A->B>: one swap per wallet
+ * @param {string[]} args - Command arguments (pair)
+ * @param {Object} flags - Output flags
+ */
+async function commandSwap(args, flags) {
+  const pair = args[0];
+  if (!isPair(pair || '')) {
+    exitWithError('Usage: swap <A->B>, e.g. swap "USDC->USDT"', flags);
+  }
+  
+  ensureValidConfig(flags);
+  const keypairs = await initWallets(flags);
+  const connection = await initConnection(keypairs);
+  const startBalances = await printBalances(connection, keypairs, parsePair(pair));
+  
+  log.info(`\n📌 Mode: Single ${pair}`);
+  const results = [];
+  const failures = []; // A failing wallet doesn't stop the others
+  for (const keypair of keypairs) {
+    if (keypairs.length > 1) {
+      log.info(`\n👛 Wallet: ${getMaskedPublicKey(keypair)}`);
+    }
+    try {
+      results.push(await executeSwap(keypair, connection, pair));
+    } catch (error) {
+      const wallet = keypair.publicKey.toBase58();
+      failures.push({ wallet, error: error.message });
+      log.error(`❌ Swap failed: ${error.message}`, { event: 'swap-failed', wallet, direction: pair, error: error.message });
+    }
+  }
+  
+  log.info('\n📊 Final balance:');
+  const endBalances = await printBalances(connection, keypairs, parsePair(pair), startBalances);
+  if (failures.length > 0) {
+    log.error(`\n❌ ${failures.length}/${keypairs.length} swap${keypairs.length > 1 ? 's' : ''} failed`, {
+      event: 'error',
+      failed: failures.length,
+      wallets: keypairs.length,
+    });
+    process.exitCode = 1;
+  } else {
+    log.info('\n🎉 Done!');
+  }
+  
+  if (flags.json) {
+    printJson({ results, failures, balances: Object.fromEntries(endBalances) });
+  }
+}
+
+/**
+ * batch [count]: batch swaps along the swap cycle
+ * The count comes from the argument, --count / BATCH_COUNT, or a prompt when interactive;
+ * BATCH_VOLUME_USD / BATCH_FEES_SOL replace it with a volume or fee goal
+ * @param {string[]} args - Command arguments (count)
+ * @param {Object} flags - Output flags and --yes
+ * @param {Set<string>} overridden - Config fields set on the command line
+ */
+async function commandBatch(args, flags, overridden) {
+  ensureValidConfig(flags);
+  
+  let countInput = args[0];
+  const countGoal = !(config.batchVolumeUsd > 0) && !(config.batchFeesSol > 0);
+  const interactive = !flags.yes && !flags.json && process.stdin.isTTY;
+  if (countInput === undefined && countGoal && !overridden.has('batchCount') && interactive) {
+    const rl = createReadlineInterface();
+    try {
+      countInput = await prompt(rl, `\n🔢 Enter number of swaps (default: ${config.batchCount}): `);
+    } finally {
+      rl.close();
+    }
+  }
+  const count = countInput ? Number(countInput) : config.batchCount;
+  if (!Number.isInteger(count) || count < 1) {
+    exitWithError(`Invalid swap count: ${countInput ?? count}`, flags);
+  }
+  const goal = getBatchGoal(count);
+  
+  const keypairs = await initWallets(flags);
+  const connection = await initConnection(keypairs);
+  const startBalances = await printBalances(connection, keypairs, getCycleSymbols());
   
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  const mode = args[0]?.toUpperCase();
+  log.info(`\n📌 Mode: Batch - ${config.swapCycle}`);
+  log.info('─'.repeat(50));
+  
+  // Show configuration
+  const delay = config.swapDelayMs;
+  log.info('\n📋 Configuration:');
+  log.info(`   - Goal: ${describeGoal(goal)}${keypairs.length > 1 ? ' per wallet' : ''}`);
+  if (keypairs.length > 1) {
+    log.info(`   - Wallets: ${keypairs.length} (${config.walletOrder})`);
+  }
+  log.info(`   - Delay: ${delay}ms`);
+  if (config.swapConcurrency > 1) {
+    log.info(`   - Concurrency: ${config.swapConcurrency} swaps in flight`);
+  }
+  log.info(`   - Swap cycle: ${config.swapCycle}`);
+  log.info(`   - Amount per swap: ${config.swapAmount}${config.swapAmounts ? ` (overrides: ${config.swapAmounts})` : ''}`);
+  log.info(`   - Priority fee: ${describePriorityFee()}`);
+  log.info(`   - Swap provider: ${describeProvider()}`);
+  log.info(`   - Max retries: ${config.maxRetries}`);
+  log.info(`   - Slippage: ${config.slippageBps / 100}%`);
+  log.info(`   - Direction: ${config.directionMode}${config.directionMode === 'rebalance' ? ` (±${config.rebalanceBand * 100}% band)` : ''}`);
+  log.info(`   - SOL reserve: ${config.solReserve} SOL`);
+  log.info(`   - Guards: ${describeGuards()}`);
+  if (config.dryRun) {
+    log.info('   - Dry run: yes (simulate only)');
+  }
   
-  // Initialize wallet
-  console.log('\n🔑 Initializing wallet...');
-  let keypair;
+  let result;
   try {
-    keypair = getKeypairFromMnemonic();
-    console.log(`📍 Wallet: ${getMaskedPublicKey(keypair)}`);
+    result = await executeBatchSwaps(keypairs, connection, count, delay, { goal });
   } catch (error) {
-    console.error(`❌ Wallet error: ${error.message}`);
-    process.exit(1);
+    exitWithError(`Error: ${error.message}`, flags);
+  }
+  
+  log.info('\n📊 Final balance:');
+  const endBalances = await printBalances(connection, keypairs, getCycleSymbols(), startBalances);
+  printBatchOutcome(result);
+  
+  if (flags.json) {
+    printJson({ ...result, balances: Object.fromEntries(endBalances) });
   }
+}
+
+/**
+ * resume [runId]: continue an interrupted or stopped batch (latest one by default)
+ * The run's own settings are restored unless they were set on the command line
+ * @param {string[]} args - Command arguments (runId)
+ * @param {Object} flags - Output flags
+ * @param {Set<string>} overridden - Config fields set on the command line
+ */
+async function commandResume(args, flags, overridden) {
+  ensureValidConfig(flags);
   
-  // Initialize connection with proxy support
-  console.log(`🌐 Connecting to: ${config.rpcUrl}`);
-  if (config.proxyUrl) {
-    console.log(`🔒 Using proxy: ${config.proxyUrl}`);
+  const runId = args[0] || listRuns().reverse().find(r => r.status !== 'completed')?.runId;
+  const state = runId ? loadRunState(runId) : null;
+  if (!state) {
+    exitWithError(runId ? `Unknown run: ${runId}` : 'No interrupted run to resume', flags);
+  }
+  if (state.completed) {
+    exitWithError(`Run ${runId} already completed`, flags);
   }
   
-  const connectionConfig = {
-    commitment: 'confirmed',
+  const restore = (key, value) => {
+    if (!overridden.has(key)) {
+      setConfigValue(key, value, `run ${runId}`);
+    }
   };
+  restore('walletOrder', state.start.walletOrder);
+  restore('dryRun', state.start.dryRun);
+  restore('backend', state.start.backend || 'live');
+  restore('swapCycle', state.start.swapCycle || 'USDC->USDT->USDC'); // Runs before swap cycles were USDC ↔ USDT
+  restore('swapAmount', String(state.start.swapAmount ?? config.swapAmount));
+  restore('swapAmounts', state.start.swapAmounts || '');
+  
+  const keypairs = await initWallets(flags);
+  
+  // The run's wallets must all be loaded (same mnemonic / indices / keypair files)
+  const byPublicKey = new Map(keypairs.map(kp => [kp.publicKey.toBase58(), kp]));
+  const runKeypairs = state.start.wallets.map(pk => byPublicKey.get(pk));
+  if (runKeypairs.some(kp => !kp)) {
+    exitWithError(`Run ${runId} used wallets that are not loaded, check WALLET_INDICES / keystore`, flags);
+  }
+  
+  const connection = await initConnection(runKeypairs);
+  const startBalances = await printBalances(connection, runKeypairs, getCycleSymbols());
+  
+  const goal = getRunGoal(state.start);
+  const done = measureGoal(goal, Object.values(state.wallets).flatMap(w => w.results));
+  log.info(`\n📌 Mode: Resume ${runId} (${formatGoalProgress(goal, done, goal.target * runKeypairs.length)} done)`);
+  
+  let result;
+  try {
+    const delay = overridden.has('swapDelayMs') ? config.swapDelayMs : state.start.delayMs;
+    result = await executeBatchSwaps(runKeypairs, connection, state.start.targetCount, delay, { resume: state });
+  } catch (error) {
+    exitWithError(`Error: ${error.message}`, flags);
+  }
+  
+  log.info('\n📊 Final balance:');
+  const endBalances = await printBalances(connection, runKeypairs, getCycleSymbols(), startBalances);
+  printBatchOutcome(result);
   
-  // Add fetch with proxy if configured
-  if (config.proxyUrl) {
-    const agent = new HttpsProxyAgent(config.proxyUrl);
-    connectionConfig.fetch = (url, options) => {
-      return fetch(url, { ...options, agent });
-    };
+  if (flags.json) {
+    printJson({ ...result, balances: Object.fromEntries(endBalances) });
+  }
+}
+
+/**
+ * daemon: long-running scheduler spreading a daily target over the active hours
+ * @param {string[]} args - Command arguments (none)
+ * @param {Object} flags - Output flags
+ */
+async function commandDaemon(args, flags) {
+  ensureValidConfig(flags);
+  if (!(config.dailySwaps > 0) && !(config.dailyVolumeUsd > 0)) {
+    exitWithError('Daemon mode needs a daily target: set DAILY_SWAPS or DAILY_VOLUME_USD (or --daily-swaps=N)', flags);
   }
   
-  const connection = new Connection(config.rpcUrl, connectionConfig);
+  const keypairs = await initWallets(flags);
+  const connection = await initConnection(keypairs);
+  await printBalances(connection, keypairs, getCycleSymbols());
+  
+  log.info(`\n📌 Mode: Daemon - ${config.swapCycle}`);
+  log.info('─'.repeat(50));
+  log.info('\n📋 Schedule:');
+  log.info(`   - Daily target: ${describeDailyTarget()} per wallet${config.catchUp ? ' (missed swaps carried over)' : ''}`);
+  log.info(`   - Active hours: ${config.activeHours} (local time)`);
+  log.info(`   - Interval jitter: ±${config.intervalJitter * 100}%`);
+  log.info(`   - Amount per swap: ${config.swapAmount}${config.amountJitter > 0 ? ` ±${config.amountJitter * 100}%` : ''}`);
+  log.info(`   - Schedule file: ${config.schedulePath}`);
+  if (config.dryRun) {
+    log.info('   - Dry run: yes (simulate only)');
+  }
   
-  // Print balance
-  await printBalance(connection, keypair);
+  await runDaemon(keypairs, connection);
+}
+
+/**
+ * balance [tokens...]: SOL and token balances of every wallet (swap cycle tokens by default)
+ * @param {string[]} args - Token symbols or mints (optional)
+ * @param {Object} flags - Output flags
+ */
+async function commandBalance(args, flags) {
+  ensureValidConfig(flags, { jupiter: false });
+  const keypairs = await initWallets(flags);
+  const connection = await initConnection(keypairs);
   
-  // Handle different modes
-  if (mode === 'USDC_TO_USDT' || mode === 'USDT_TO_USDC') {
-    // Single swap mode
-    console.log(`\n📌 Mode: Single ${mode}`);
-    console.log(`💰 Amount: ${config.swapAmount}`);
+  let balances;
+  try {
+    balances = await printBalances(connection, keypairs, args.length > 0 ? args : getCycleSymbols());
+  } catch (error) {
+    exitWithError(`Token error: ${error.message}`, flags);
+  }
+  
+  if (flags.json) {
+    printJson(Object.fromEntries(balances));
+  }
+}
+
+/**
+ * cleanup [tokens...]: close every wallet's empty token accounts and reclaim their rent
+ * Only lists the accounts in a dry run
+ * @param {string[]} args - Only accounts of these tokens (optional, symbols or mints)
+ * @param {Object} flags - Output flags
+ */
+async function commandCleanup(args, flags) {
+  ensureValidConfig(flags, { jupiter: false });
+  let mints = null;
+  try {
+    mints = args.length > 0 ? args.map(symbol => getToken(symbol).mint) : null;
+  } catch (error) {
+    exitWithError(`Token error: ${error.message}`, flags);
+  }
+  const keypairs = await initWallets(flags);
+  const connection = await initConnection(keypairs);
+  
+  const wallets = [];
+  for (const keypair of keypairs) {
+    if (keypairs.length > 1) {
+      log.info(`\n👛 ${getMaskedPublicKey(keypair)}`);
+    }
+    const cleanup = { wallet: keypair.publicKey.toBase58(), found: 0, reclaimable: 0, closed: 0, failed: 0, rentRefunds: 0, fee: 0 };
+    wallets.push(cleanup);
     
+    let accounts;
     try {
-      await executeSwap(keypair, connection, mode);
-      console.log('\n🎉 Done!');
+      accounts = await findEmptyTokenAccounts(connection, keypair.publicKey, mints);
     } catch (error) {
-      console.error(`\n❌ Swap failed: ${error.message}`);
-      process.exit(1);
+      log.error(`❌ Unable to list token accounts: ${error.message}`, { event: 'error', wallet: cleanup.wallet, error: error.message });
+      continue;
+    }
+    cleanup.found = accounts.length;
+    cleanup.reclaimable = accounts.reduce((sum, a) => sum + a.lamports, 0);
+    if (accounts.length === 0) {
+      log.info('🧹 No empty token accounts');
+      continue;
     }
+    log.info(`🧹 ${accounts.length} empty token account(s): ${accounts.map(describeTokenAccount).join(', ')} (${(cleanup.reclaimable / 1e9).toFixed(6)} SOL rent)`);
+    if (!config.dryRun) {
+      Object.assign(cleanup, await closeTokenAccounts(keypair, connection, accounts));
+    }
+  }
+  
+  const total = key => wallets.reduce((sum, w) => sum + w[key], 0);
+  if (config.dryRun) {
+    log.info(`\n🧪 ${total('found')} account(s) could be closed, recovering ${(total('reclaimable') / 1e9).toFixed(6)} SOL`);
   } else {
-    // Batch mode - interactive
-    console.log('\n📌 Mode: Batch - USDC ↔ USDT');
-    console.log('─'.repeat(50));
+    const netSol = (total('rentRefunds') - total('fee')) / 1e9;
+    log.info(`\n🧹 Closed ${total('closed')} account(s)${total('failed') > 0 ? `, ${total('failed')} failed` : ''}: recovered ${(total('rentRefunds') / 1e9).toFixed(6)} SOL rent, fees ${(total('fee') / 1e9).toFixed(6)} SOL, net ${netSol < 0 ? '-' : '+'}${Math.abs(netSol).toFixed(6)} SOL`);
+  }
+  
+  if (flags.json) {
+    printJson({
+      dryRun: config.dryRun,
+      closed: total('closed'),
+      failed: total('failed'),
+      rentRefunds: total('rentRefunds'),
+      fee: total('fee'),
+      wallets,
+    });
+  }
+}
+
+/**
+ * quote <A->B>: quote one swap with the current amount, route options and guards, without a wallet
+ * @param {string[]} args - Command arguments (pair)
+ * @param {Object} flags - Output flags
+ */
+async function commandQuote(args, flags) {
+  const pair = args[0];
+  if (!isPair(pair || '')) {
+    exitWithError('Usage: quote <A->B>, e.g. quote "USDC->USDT" --amount=1', flags);
+  }
+  ensureValidConfig(flags, { wallet: false });
+  
+  const connection = config.backend === 'paper'
+    ? createPaperConnection()
+    : createConnectionPool(parseRpcEndpoints(config.rpcUrls || config.rpcUrl));
+  try {
+    const [input, output] = await Promise.all(parsePair(pair).map(symbol => resolveToken(connection, symbol)));
+    const direction = `${input.symbol}->${output.symbol}`;
+    const routeOptions = getRouteOptions(direction);
+    const amount = getSwapAmountInSmallestUnits(input);
     
-    const rl = createReadlineInterface();
+    const quote = await getSwapProvider().quote({
+      input,
+      output,
+      amount,
+      routeOptions,
+      userPublicKey: null,
+      priorityFee: config.priorityFeeLamports > 0 ? config.priorityFeeLamports : 'auto',
+    });
+    const rejection = await checkQuote(quote, input, output);
+    const impactPct = parseFloat(quote.priceImpactPct || '0') * 100;
     
-    try {
-      // Ask for number of swaps only
-      const countInput = await prompt(
-        rl,
-        `\n🔢 Enter number of swaps (default: ${config.batchCount}): `
-      );
-      
-      rl.close();
-      
-      let count = parseInt(countInput) || config.batchCount;
-      count = Math.min(Math.max(count, 1), 1000); // Clamp between 1 and 1000
-      
-      const delay = config.swapDelayMs;
-      
-      // Show configuration
-      const priorityFeeDisplay = config.priorityFeeLamports > 0 
-        ? `${config.priorityFeeLamports} lamports` 
-        : 'auto';
-      
-      console.log('\n📋 Configuration:');
-      console.log(`   - Target successful swaps: ${count}`);
-      console.log(`   - Delay: ${delay}ms`);
-      console.log(`   - Amount per swap: ${config.swapAmount} USDC/USDT`);
-      console.log(`   - Priority fee: ${priorityFeeDisplay}`);
-      console.log(`   - Max retries: ${config.maxRetries}`);
-      console.log(`   - Slippage: ${config.slippageBps / 100}%`);
-      
-      // Execute batch swaps
-      await executeBatchSwaps(keypair, connection, count, delay);
-      
-      // Print final balance
-      console.log('\n📊 Final balance:');
-      await printBalance(connection, keypair);
-      
-      console.log('\n🎉 All done!');
-    } catch (error) {
-      console.error(`\n❌ Error: ${error.message}`);
-      process.exit(1);
+    log.info(`\n📊 Quote: ${formatAmount(amount, input)} → ${formatAmount(parseInt(quote.outAmount), output)}`, {
+      event: 'quote',
+      direction,
+      provider: quote.provider,
+      inputAmount: amount,
+      expectedOutput: parseInt(quote.outAmount),
+      priceImpactPct: impactPct,
+      rejected: rejection,
+    });
+    log.info(`📈 Price impact: ${impactPct.toFixed(4)}%`);
+    log.info(`🛣️  Route: ${describeRoute(quote)} (${describeRouteOptions(routeOptions)})`);
+    log.info(`🔌 Provider: ${quote.provider}`);
+    log.info(rejection ? `🛡️  Rejected by guards: ${rejection}` : '🛡️  Passes guards');
+    
+    if (flags.json) {
+      printJson({
+        direction,
+        inputToken: input.symbol,
+        inputAmount: amount,
+        outputToken: output.symbol,
+        outputAmount: parseInt(quote.outAmount),
+        otherAmountThreshold: parseInt(quote.otherAmountThreshold),
+        priceImpactPct: impactPct,
+        route: getRouteLabels(quote),
+        routeOptions,
+        provider: quote.provider,
+        rejected: rejection,
+      });
     }
+  } catch (error) {
+    exitWithError(`Quote failed: ${error.message}`, flags);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  let command, args, flags, overridden;
+  try {
+    ({ command, args, flags } = parseArgs(process.argv.slice(2)));
+    if (flags.json) {
+      enableJsonOutput();
+    }
+    if (flags.config === true || flags.profile === true) {
+      throw new Error('--config and --profile expect a value (--config=file, --profile=name)');
+    }
+    if (flags.config || flags.profile) {
+      loadConfig({ file: flags.config, profile: flags.profile });
+    }
+    overridden = applyConfigOverrides(command, flags);
+  } catch (error) {
+    log.error(`❌ ${error.message}`, { event: 'error', error: error.message });
+    process.exit(1);
+  }
+  
+  if (command === 'help' || flags.help) {
+    printUsage();
+    return;
+  }
+  
+  log.info('═'.repeat(50));
+  log.info('🔄 SEEKER TRADE - Solana USDC/USDT Swap Tool', { event: 'start', command, backend: config.backend, dryRun: config.dryRun });
+  log.info('═'.repeat(50));
+  
+  if (config.dryRun) {
+    log.info('\n🧪 DRY RUN: swaps are simulated, nothing will be sent');
+  }
+  if (config.backend === 'paper') {
+    log.info('\n🧻 PAPER TRADING: simulated market and ledger, nothing touches the network');
+  }
+  
+  switch (command) {
+    case 'config':
+      printConfig(flags);
+      return;
+    case 'history':
+      // History and reports only read the journal
+      printHistory(args[0], flags);
+      return;
+    case 'report':
+      try {
+        printReport(args[0], flags);
+      } catch (error) {
+        exitWithError(error.message, flags);
+      }
+      return;
+    case 'wallet':
+      // Wallet management doesn't need the rest of the configuration
+      try {
+        await runWalletCommand(args, flags);
+      } catch (error) {
+        exitWithError(`Wallet error: ${error.message}`, flags);
+      }
+      return;
+    case 'swap':
+      await commandSwap(args, flags);
+      return;
+    case 'resume':
+      await commandResume(args, flags, overridden);
+      return;
+    case 'daemon':
+      await commandDaemon(args, flags);
+      return;
+    case 'balance':
+      await commandBalance(args, flags);
+      return;
+    case 'cleanup':
+      await commandCleanup(args, flags);
+      return;
+    case 'quote':
+      await commandQuote(args, flags);
+      return;
+    default:
+      await commandBatch(args, flags, overridden);
   }
 }
 
 // Run main
 main().catch(error => {
-  console.error('Fatal error:', error);
+  log.error(`Fatal error: ${error?.stack || error}`, { event: 'fatal', error: error?.message || String(error) });
   process.exit(1);
 });
@@ -0,0 +1,180 @@
+import { existsSync, readFileSync, appendFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { config } from './config.js';
+import { getRunGoal, measureGoal } from './goals.js';
+
+/**
+ * Journal entries (one JSON object per line, append-only):
+ * - batch-start:  run settings (target, wallets, order, delay, amount...)
+ * - batch-resume: a run was picked up again
+ * - sent:         a signed transaction was broadcast (reconciled on resume if it has no attempt)
+ * - attempt:      every swap attempt (status, signature, amounts, fees, error)
+ * - swap:         final result of one swap slot after retries (drives resume)
+ * - skip:         a cycle leg passed over because the wallet couldn't fund it
+ * - batch-stop:   run stopped early by the operator (still resumable), with summary totals
+ * - batch-end:    run completed, with summary totals
+ */
+
+/**
+ * Create a sortable, human readable run id (e.g. 20261019-143012-a1b2)
+ * @returns {string} Run id
+ */
+export function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Append an entry to the journal file
+ * @param {Object} entry - Journal entry (type, runId, ...)
+ */
+export function appendJournal(entry) {
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+  appendFileSync(config.journalPath, line + '\n');
+}
+
+/**
+ * Read all journal entries (a truncated last line from a crash is skipped)
+ * @returns {Object[]} Journal entries in write order
+ */
+export function readJournal() {
+  if (!existsSync(config.journalPath)) {
+    return [];
+  }
+  
+  return readFileSync(config.journalPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (e) {
+        return [];
+      }
+    });
+}
+
+/**
+ * Summarize every run in the journal
+ * @returns {Object[]} Runs, oldest first ({ runId, startedAt, endedAt, status, targetCount, goal, progress, wallets, successful, failed, attempts, ... })
+ */
+export function listRuns() {
+  const runs = new Map();
+  const results = new Map(); // runId -> swap results, to measure goal progress
+  
+  for (const entry of readJournal()) {
+    if (entry.type === 'batch-start') {
+      runs.set(entry.runId, {
+        runId: entry.runId,
+        startedAt: entry.timestamp,
+        endedAt: null,
+        status: 'interrupted',
+        targetCount: entry.targetCount,
+        goal: getRunGoal(entry),
+        progress: 0,
+        wallets: entry.wallets,
+        dryRun: Boolean(entry.dryRun),
+        backend: entry.backend || 'live',
+        successful: 0,
+        failed: 0,
+        attempts: 0,
+        fees: 0,
+        summary: null,
+      });
+      continue;
+    }
+    
+    const run = runs.get(entry.runId);
+    if (!run) {
+      continue;
+    }
+    
+    if (entry.type === 'attempt') {
+      run.attempts++;
+      run.fees += entry.fee || 0;
+    } else if (entry.type === 'swap') {
+      entry.result.success ? run.successful++ : run.failed++;
+      results.set(entry.runId, [...(results.get(entry.runId) || []), entry.result]);
+    } else if (entry.type === 'batch-resume') {
+      run.status = 'interrupted';
+    } else if (entry.type === 'batch-stop') {
+      run.status = 'stopped';
+      run.summary = entry.summary;
+    } else if (entry.type === 'batch-end') {
+      run.status = 'completed';
+      run.endedAt = entry.timestamp;
+      run.summary = entry.summary;
+    }
+  }
+  
+  for (const run of runs.values()) {
+    run.progress = measureGoal(run.goal, results.get(run.runId) || []);
+  }
+  return [...runs.values()];
+}
+
+/**
+ * Rebuild the state of a run from its journal entries, to resume it
+ * @param {string} runId - Run id
+ * @returns {Object|null} { start, wallets: { [publicKey]: state }, walletCursor, pending, setup } or null if unknown
+ */
+export function loadRunState(runId) {
+  const entries = readJournal().filter(e => e.runId === runId);
+  const start = entries.find(e => e.type === 'batch-start');
+  if (!start) {
+    return null;
+  }
+  
+  const wallets = {};
+  for (const publicKey of start.wallets) {
+    wallets[publicKey] = {
+      successCount: 0,
+      totalFailures: 0,
+      directionIndex: 0,
+      attempts: {},
+      results: [],
+    };
+  }
+  
+  let walletCursor = 0;
+  const pending = new Map(); // Sent signatures whose outcome was never journaled
+  for (const entry of entries) {
+    const wallet = wallets[entry.wallet];
+    if (!wallet) {
+      continue;
+    }
+    
+    if (entry.type === 'sent') {
+      pending.set(entry.signature, entry);
+    } else if (entry.type === 'attempt') {
+      pending.delete(entry.signature);
+      wallet.attempts[entry.status] = (wallet.attempts[entry.status] || 0) + 1;
+    } else if (entry.type === 'swap') {
+      wallet.results.push(entry.result);
+      entry.result.success ? wallet.successCount++ : wallet.totalFailures++;
+      // Direction advances after every swap slot, successful or not
+      wallet.directionIndex++;
+      walletCursor = start.wallets.indexOf(entry.wallet) + 1;
+    } else if (entry.type === 'skip') {
+      wallet.directionIndex++;
+    }
+  }
+  
+  return {
+    start,
+    wallets,
+    walletCursor,
+    pending: [...pending.values()],
+    setup: entries.filter(e => e.type === 'rent' && e.action === 'create'), // Token accounts created up front
+    completed: entries.some(e => e.type === 'batch-end'),
+  };
+}
+
+/**
+ * Get journal entries of one run
+ * @param {string} runId - Run id
+ * @returns {Object[]} Entries of the run
+ */
+export function getRunEntries(runId) {
+  return readJournal().filter(e => e.runId === runId);
+}
@@ -1,20 +1,163 @@
 import fetch from 'node-fetch';
 import { HttpsProxyAgent } from 'https-proxy-agent';
-import { config, TOKENS, DECIMALS } from './config.js';
+import { config, TOKENS, DECIMALS, SOL_MINT } from './config.js';
+import { sleep } from './utils.js';
+import { getAmountSpec } from './tokens.js';
+import { paperFetch } from './paper.js';
+import { getPriceProvider } from './providers.js';
+import { log } from './logger.js';
+
+// Prices are cached briefly so per-swap gas display doesn't cost a quote every time
+const PRICE_TTL_MS = 60000;
+const priceCache = new Map(); // mint -> { price, at }
+
+/**
+ * Create a token bucket rate limiter
+ * Tokens refill continuously at `limit` per `windowMs`; callers are served in FIFO order
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in ms
+ * @param {number} burst - Bucket capacity (max requests sent back to back)
+ * @returns {{acquire: function(): Promise<void>, pause: function(number): void}} Rate limiter
+ */
+function createRateLimiter(limit, windowMs, burst) {
+  const capacity = Math.max(1, Math.min(burst, limit));
+  const refillPerMs = limit / windowMs;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+  
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updatedAt) * refillPerMs);
+    updatedAt = now;
+  };
+  
+  return {
+    acquire() {
+      const turn = queue.then(async () => {
+        while (true) {
+          const pauseLeft = pausedUntil - Date.now();
+          if (pauseLeft > 0) {
+            await sleep(pauseLeft);
+            continue;
+          }
+          refill();
+          if (tokens >= 1) {
+            tokens -= 1;
+            return;
+          }
+          await sleep(Math.ceil((1 - tokens) / refillPerMs));
+        }
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    
+    // Hold every caller back, e.g. after a 429
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+// Shared by every Jupiter API call (documented limit: 100 requests / 5 min)
+// Created on first use, once config files and flags are applied
+let rateLimiter = null;
+
+/**
+ * Get the shared Jupiter rate limiter
+ * @returns {Object} Rate limiter
+ */
+function getRateLimiter() {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiter(config.jupRateLimit, config.jupRateWindowMs, config.jupRateBurst);
+  }
+  return rateLimiter;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Jupiter-compatible API endpoint
+ * @typedef {Object} JupiterApi
+ * @property {string} url - Base URL
+ * @property {string} apiKey - Sent as x-api-key ('' for none)
+ * @property {boolean} rateLimited - Goes through the shared rate limiter
+ */
+
+/**
+ * Default Jupiter v1 endpoint (JUP_API_URL)
+ * @returns {JupiterApi}
+ */
+function getDefaultApi() {
+  return { url: config.jupApiUrl, apiKey: config.jupApiKey, rateLimited: true };
+}
+
+/**
+ * Fetch a Jupiter API URL through the shared rate limiter
+ * HTTP 429 is retried after Retry-After (or exponential backoff), pausing all callers
+ * With BACKEND=paper the simulated market answers instead, without rate limiting
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @param {boolean} rateLimited - Wait for the shared rate limiter (off for self-hosted APIs)
+ * @returns {Promise<Response>} Response (never a 429 unless retries are exhausted)
+ */
+export async function jupiterFetch(url, options, rateLimited = true) {
+  if (config.backend === 'paper') {
+    return paperFetch(url, options);
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    if (rateLimited) {
+      await getRateLimiter().acquire();
+    }
+    const response = await fetch(url, options);
+    
+    if (response.status !== 429 || attempt >= config.jupMaxRetries) {
+      return response;
+    }
+    
+    const backoffMs = Math.min(60000, 1000 * Math.pow(2, attempt));
+    const waitMs = parseRetryAfter(response.headers.get('retry-after')) ?? backoffMs;
+    log.warn(`⏳ Jupiter rate limited (429), waiting ${Math.ceil(waitMs / 1000)}s...`, { event: 'rate-limited', waitMs });
+    if (rateLimited) {
+      getRateLimiter().pause(waitMs);
+    } else {
+      await sleep(waitMs);
+    }
+  }
+}
 
 /**
  * Create fetch options with optional proxy
+ * @param {string} apiKey - API key (default: JUP_API_KEY)
  * @returns {Object} Fetch options
  */
-function getFetchOptions() {
+export function getFetchOptions(apiKey = config.jupApiKey) {
   const options = {
     headers: {
       'Content-Type': 'application/json',
     },
   };
   
-  if (config.jupApiKey) {
-    options.headers['x-api-key'] = config.jupApiKey;
+  if (apiKey) {
+    options.headers['x-api-key'] = apiKey;
   }
   
   if (config.proxyUrl) {
@@ -29,22 +172,36 @@ function getFetchOptions() {
  * @param {string} inputMint - Input token mint address
  * @param {string} outputMint - Output token mint address
  * @param {number} amount - Amount in smallest units
+ * @param {RouteOptions} routeOptions - DEX filters and routing limits (optional)
+ * @param {JupiterApi} api - Endpoint (default: JUP_API_URL)
  * @returns {Promise<Object>} Quote response
  */
-export async function getQuote(inputMint, outputMint, amount) {
+export async function getQuote(inputMint, outputMint, amount, routeOptions = {}, api = getDefaultApi()) {
   const params = new URLSearchParams({
     inputMint,
     outputMint,
     amount: amount.toString(),
     slippageBps: config.slippageBps.toString(),
-    onlyDirectRoutes: 'false',
+    onlyDirectRoutes: String(Boolean(routeOptions.onlyDirectRoutes)),
     asLegacyTransaction: 'false',
   });
+  if (routeOptions.dexes?.length > 0) {
+    params.set('dexes', routeOptions.dexes.join(','));
+  }
+  if (routeOptions.excludeDexes?.length > 0) {
+    params.set('excludeDexes', routeOptions.excludeDexes.join(','));
+  }
+  if (routeOptions.maxAccounts) {
+    params.set('maxAccounts', routeOptions.maxAccounts.toString());
+  }
+  if (routeOptions.restrictIntermediateTokens) {
+    params.set('restrictIntermediateTokens', 'true');
+  }
   
-  const url = `${config.jupApiUrl}/quote?${params}`;
-  const options = getFetchOptions();
+  const url = `${api.url}/quote?${params}`;
+  const options = getFetchOptions(api.apiKey);
   
-  const response = await fetch(url, options);
+  const response = await jupiterFetch(url, options, api.rateLimited);
   
   if (!response.ok) {
     const error = await response.text();
@@ -58,16 +215,18 @@ export async function getQuote(inputMint, outputMint, amount) {
  * Get swap transaction from Jupiter API
  * @param {Object} quoteResponse - Quote response from getQuote
  * @param {string} userPublicKey - User's wallet public key
+ * @param {number|'auto'} priorityFee - Priority fee in lamports (default: fixed PRIORITY_FEE, or auto)
+ * @param {JupiterApi} api - Endpoint (default: JUP_API_URL)
  * @returns {Promise<Object>} Swap transaction response
  */
-export async function getSwapTransaction(quoteResponse, userPublicKey) {
-  const url = `${config.jupApiUrl}/swap`;
-  const options = getFetchOptions();
-  
-  // Use fixed priority fee if configured, otherwise auto
-  const priorityFee = config.priorityFeeLamports > 0 
-    ? config.priorityFeeLamports 
-    : 'auto';
+export async function getSwapTransaction(
+  quoteResponse,
+  userPublicKey,
+  priorityFee = config.priorityFeeLamports > 0 ? config.priorityFeeLamports : 'auto',
+  api = getDefaultApi()
+) {
+  const url = `${api.url}/swap`;
+  const options = getFetchOptions(api.apiKey);
   
   const body = {
     quoteResponse,
@@ -77,11 +236,11 @@ export async function getSwapTransaction(quoteResponse, userPublicKey) {
     prioritizationFeeLamports: priorityFee,
   };
   
-  const response = await fetch(url, {
+  const response = await jupiterFetch(url, {
     ...options,
     method: 'POST',
     body: JSON.stringify(body),
-  });
+  }, api.rateLimited);
   
   if (!response.ok) {
     const error = await response.text();
@@ -92,23 +251,64 @@ export async function getSwapTransaction(quoteResponse, userPublicKey) {
 }
 
 /**
- * Get swap amount in smallest units
- * @param {string} token - Token symbol ('USDC' or 'USDT')
+ * Get the USD price of a token via a quote into USDC (cached for a minute per token)
+ * Quotes 1 whole token from the price provider; pegged stablecoins (USDC, USDT) are valued at their peg
+ * @param {Token} token - Registry token (with decimals)
+ * @returns {Promise<number>} Price of 1 token in USDC
+ */
+export async function getUsdPrice(token) {
+  if (token.pegUsd) {
+    return token.pegUsd;
+  }
+  
+  const cached = priceCache.get(token.mint);
+  if (cached && Date.now() - cached.at < PRICE_TTL_MS) {
+    return cached.price;
+  }
+  const quote = await getPriceProvider().quote({
+    input: token,
+    output: { mint: TOKENS.USDC, decimals: DECIMALS.USDC },
+    amount: Math.pow(10, token.decimals),
+  });
+  const price = parseInt(quote.outAmount) / Math.pow(10, DECIMALS.USDC);
+  priceCache.set(token.mint, { price, at: Date.now() });
+  return price;
+}
+
+/**
+ * Get SOL price in USDC via a 1 SOL quote (cached for a minute)
+ * @returns {Promise<number>} Price of 1 SOL in USDC
+ */
+export async function getSolPrice() {
+  return getUsdPrice({ mint: SOL_MINT, decimals: 9 });
+}
+
+/**
+ * Get swap amount in smallest units: the fixed amount, a random draw from a range,
+ * or a share of the balance
+ * @param {Token} token - Input token (SWAP_AMOUNTS may override SWAP_AMOUNT for it)
+ * @param {bigint|null} balance - Spendable balance in smallest units, needed for percentage amounts
  * @returns {number} Amount in smallest units
  */
-export function getSwapAmountInSmallestUnits(token) {
-  const decimals = DECIMALS[token];
-  return Math.floor(config.swapAmount * Math.pow(10, decimals));
+export function getSwapAmountInSmallestUnits(token, balance = null) {
+  const spec = getAmountSpec(token);
+  if (spec.percent) {
+    if (balance === null) {
+      throw new Error(`${token.symbol} amount is ${spec.percent}% of the balance, which is unknown here`);
+    }
+    return Math.floor(Number(balance) * spec.percent / 100);
+  }
+  const amount = spec.min + Math.random() * (spec.max - spec.min);
+  return Math.floor(amount * Math.pow(10, token.decimals));
 }
 
 /**
  * Format amount for display
  * @param {number} amount - Amount in smallest units
- * @param {string} token - Token symbol ('USDC' or 'USDT')
+ * @param {Token} token - Registry token
  * @returns {string} Formatted amount
  */
 export function formatAmount(amount, token) {
-  const decimals = DECIMALS[token];
-  const value = amount / Math.pow(10, decimals);
-  return `${value.toFixed(decimals)} ${token}`;
+  const value = amount / Math.pow(10, token.decimals);
+  return `${value.toFixed(token.decimals)} ${token.symbol}`;
 }
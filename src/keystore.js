@@ -0,0 +1,103 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'crypto';
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters (~64MB / ~0.5s per unlock)
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 128 * 1024 * 1024;
+
+/**
+ * Derive a 256-bit key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt N/r/p parameters
+ * @returns {Buffer} Derived key
+ */
+function deriveKey(passphrase, salt, params) {
+  return scryptSync(passphrase.normalize('NFKD'), salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a mnemonic into a keystore object (scrypt + AES-256-GCM)
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {string} passphrase - Passphrase used to derive the encryption key
+ * @returns {Object} Keystore object (safe to write to disk)
+ */
+export function encryptMnemonic(mnemonic, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+  
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(mnemonic.trim(), 'utf8'), cipher.final()]);
+  
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: 'scrypt',
+    kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+}
+
+/**
+ * Decrypt the mnemonic stored in a keystore object
+ * @param {Object} keystore - Keystore object from encryptMnemonic
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {string} Mnemonic phrase
+ */
+export function decryptMnemonic(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format');
+  }
+  
+  const { salt, ...params } = keystore.kdfParams;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'hex'), params);
+  
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+  
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (e) {
+    // GCM auth failure: wrong passphrase or tampered file
+    throw new Error('Wrong keystore passphrase (or corrupted keystore)');
+  }
+}
+
+/**
+ * Check whether a keystore file exists
+ * @param {string} path - Keystore file path
+ * @returns {boolean}
+ */
+export function keystoreExists(path) {
+  return Boolean(path) && existsSync(path);
+}
+
+/**
+ * Read and decrypt a keystore file
+ * @param {string} path - Keystore file path
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {string} Mnemonic phrase
+ */
+export function readKeystore(path, passphrase) {
+  const keystore = JSON.parse(readFileSync(path, 'utf8'));
+  return decryptMnemonic(keystore, passphrase);
+}
+
+/**
+ * Encrypt a mnemonic and write it to a keystore file (owner read/write only)
+ * @param {string} path - Keystore file path
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {string} passphrase - Keystore passphrase
+ */
+export function writeKeystore(path, mnemonic, passphrase) {
+  const keystore = encryptMnemonic(mnemonic, passphrase);
+  writeFileSync(path, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+}
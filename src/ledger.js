@@ -0,0 +1,525 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { ComputeBudgetProgram, PublicKey, SystemProgram, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { config, SOL_MINT } from './config.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, getAssociatedTokenAddress } from './accounts.js';
+import { listTokens } from './tokens.js';
+import { log } from './logger.js';
+import {
+  PAPER_PROGRAM_ID,
+  parsePaperValues,
+  getPaperDecimals,
+  getPaperFill,
+  getPaperBlockHeight,
+  createPaperBlockhash,
+  getPaperBlockhashExpiry,
+  decodePaperSwap,
+  paperRandom,
+} from './paper.js';
+
+// Simulated ledger: wallet lamports and token accounts, persisted to PAPER_LEDGER_PATH,
+// behind a Connection-compatible object that settles simulated transactions
+
+// Fees and rent as on mainnet
+const LAMPORTS_PER_SIGNATURE = 5000;
+const DEFAULT_COMPUTE_UNITS = 200000; // Per instruction without a compute unit limit
+const RENT_LAMPORTS_PER_BYTE = 6960; // Rent exemption: (size + 128) * this
+const TOKEN_ACCOUNT_SIZE = 165;
+const MINT_SIZE = 82;
+
+// Compute units consumed by simulated instructions
+const INSTRUCTION_UNITS = {
+  computeBudget: 150,
+  swap: 120000,
+  createAccount: 20000,
+  closeAccount: 3000,
+};
+
+// Instruction indexes (Compute Budget, Associated Token Account, Token programs)
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+const ATA_CREATE_IDEMPOTENT = 1;
+const TOKEN_CLOSE_ACCOUNT = 9;
+
+// On-chain errors of simulated instructions
+const INSUFFICIENT_FUNDS = { Custom: 1 }; // SPL Token
+const SLIPPAGE_EXCEEDED = { Custom: 6001 }; // Jupiter
+
+/**
+ * Rent exemption minimum of an account
+ * @param {number} size - Account data size in bytes
+ * @returns {number} Lamports
+ */
+function getRentExemption(size) {
+  return (size + 128) * RENT_LAMPORTS_PER_BYTE;
+}
+
+/**
+ * Token program of a mint in the simulated market (Token unless the registry says otherwise)
+ * @param {string} mint - Mint address
+ * @returns {PublicKey}
+ */
+function getTokenProgram(mint) {
+  return listTokens().find(t => t.mint === mint)?.programId || TOKEN_PROGRAM_ID;
+}
+
+/**
+ * Load the ledger file, empty if there is none yet
+ * @returns {{wallets: Object, tokenAccounts: Object}} Ledger state
+ */
+function loadLedger() {
+  if (!existsSync(config.paperLedgerPath)) {
+    return { wallets: {}, tokenAccounts: {} };
+  }
+  try {
+    return JSON.parse(readFileSync(config.paperLedgerPath, 'utf8'));
+  } catch (error) {
+    log.warn(`⚠️  Ignoring unreadable paper ledger ${config.paperLedgerPath}: ${error.message}`);
+    return { wallets: {}, tokenAccounts: {} };
+  }
+}
+
+/**
+ * Persist the ledger, so balances carry over to the next paper run
+ * @param {Object} state - Ledger state
+ */
+function saveLedger(state) {
+  writeFileSync(config.paperLedgerPath, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Give a wallet its PAPER_BALANCES starting balances (native SOL as lamports, tokens in associated accounts)
+ * @param {Object} state - Ledger state
+ * @param {string} owner - Wallet address
+ */
+function seedWallet(state, owner) {
+  const balances = parsePaperValues(config.paperBalances);
+  state.wallets[owner] = { lamports: Math.round((balances.get(SOL_MINT) ?? 0) * 1e9) };
+  for (const [mint, amount] of balances) {
+    if (mint === SOL_MINT) {
+      continue;
+    }
+    const programId = getTokenProgram(mint);
+    const address = getAssociatedTokenAddress(new PublicKey(owner), mint, programId).toBase58();
+    state.tokenAccounts[address] = {
+      owner,
+      mint,
+      programId: programId.toBase58(),
+      amount: BigInt(Math.round(amount * Math.pow(10, getPaperDecimals(mint)))).toString(),
+      lamports: getRentExemption(TOKEN_ACCOUNT_SIZE),
+    };
+  }
+}
+
+/**
+ * Lamports held by an address in the ledger (0 when it doesn't exist)
+ * @param {Object} state - Ledger state
+ * @param {string} address - Account address
+ * @returns {number}
+ */
+function getLamports(state, address) {
+  return state.wallets[address]?.lamports ?? state.tokenAccounts[address]?.lamports ?? 0;
+}
+
+/**
+ * Move a token into or out of a wallet: native SOL through its lamports, other tokens
+ * through its associated token account (created on the first credit, the wallet paying rent)
+ * @param {Object} state - Ledger state (mutated)
+ * @param {string} owner - Wallet address
+ * @param {string} mint - Mint address
+ * @param {bigint} change - Amount in smallest units (negative to debit)
+ * @param {Set<string>} touched - Collects the token accounts involved
+ * @returns {boolean} False if the wallet can't cover a debit or the rent
+ */
+function applyTokenChange(state, owner, mint, change, touched) {
+  const wallet = state.wallets[owner];
+  if (mint === SOL_MINT) {
+    if (BigInt(wallet.lamports) + change < 0n) {
+      return false;
+    }
+    wallet.lamports += Number(change);
+    return true;
+  }
+  
+  const programId = getTokenProgram(mint);
+  const address = getAssociatedTokenAddress(new PublicKey(owner), mint, programId).toBase58();
+  touched.add(address);
+  let account = state.tokenAccounts[address];
+  if (!account) {
+    const rent = getRentExemption(TOKEN_ACCOUNT_SIZE);
+    if (change < 0n || wallet.lamports < rent) {
+      return false;
+    }
+    wallet.lamports -= rent;
+    account = { owner, mint, programId: programId.toBase58(), amount: '0', lamports: rent };
+    state.tokenAccounts[address] = account;
+  }
+  const amount = BigInt(account.amount) + change;
+  if (amount < 0n) {
+    return false;
+  }
+  account.amount = amount.toString();
+  return true;
+}
+
+/**
+ * Fee of a message: base fee per signature plus compute unit price times limit
+ * @param {Message|MessageV0} message - Transaction message
+ * @returns {number} Lamports
+ */
+function getMessageFee(message) {
+  const keys = message.staticAccountKeys;
+  let unitLimit = DEFAULT_COMPUTE_UNITS * message.compiledInstructions.length;
+  let unitPrice = 0n;
+  for (const { programIdIndex, data } of message.compiledInstructions) {
+    if (!keys[programIdIndex].equals(ComputeBudgetProgram.programId)) {
+      continue;
+    }
+    const buffer = Buffer.from(data);
+    if (buffer[0] === SET_COMPUTE_UNIT_LIMIT) {
+      unitLimit = buffer.readUInt32LE(1);
+    } else if (buffer[0] === SET_COMPUTE_UNIT_PRICE) {
+      unitPrice = buffer.readBigUInt64LE(1);
+    }
+  }
+  const priorityFee = Math.ceil(Number(unitPrice) * unitLimit / 1e6);
+  return LAMPORTS_PER_SIGNATURE * message.header.numRequiredSignatures + priorityFee;
+}
+
+/**
+ * Run one instruction against the ledger
+ * @param {Object} state - Ledger state (mutated)
+ * @param {string[]} keys - Account addresses of the instruction
+ * @param {PublicKey} programId - Program
+ * @param {Buffer} data - Instruction data
+ * @param {Set<string>} touched - Collects the token accounts involved
+ * @returns {{err: Object|string|null, units: number, log: string|null}}
+ */
+function executeInstruction(state, keys, programId, data, touched) {
+  if (programId.equals(ComputeBudgetProgram.programId)) {
+    return { err: null, units: INSTRUCTION_UNITS.computeBudget, log: null };
+  }
+  
+  if (programId.equals(PAPER_PROGRAM_ID)) {
+    const [owner] = keys;
+    const { inputMint, outputMint, inAmount, minOut } = decodePaperSwap(data);
+    const outAmount = getPaperFill(inputMint, outputMint, inAmount);
+    const log = `Program log: Paper swap ${inAmount} ${inputMint} -> ${outAmount} ${outputMint} (min ${minOut})`;
+    if (outAmount < minOut) {
+      return { err: SLIPPAGE_EXCEEDED, units: INSTRUCTION_UNITS.swap, log };
+    }
+    if (!applyTokenChange(state, owner, inputMint, -inAmount, touched)
+      || !applyTokenChange(state, owner, outputMint, outAmount, touched)) {
+      return { err: INSUFFICIENT_FUNDS, units: INSTRUCTION_UNITS.swap, log };
+    }
+    return { err: null, units: INSTRUCTION_UNITS.swap, log };
+  }
+  
+  if (programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID) && data[0] === ATA_CREATE_IDEMPOTENT) {
+    const [payer, address, owner, mint, , tokenProgram] = keys;
+    touched.add(address);
+    if (!state.tokenAccounts[address]) {
+      const rent = getRentExemption(TOKEN_ACCOUNT_SIZE);
+      if ((state.wallets[payer]?.lamports ?? 0) < rent) {
+        return { err: INSUFFICIENT_FUNDS, units: INSTRUCTION_UNITS.createAccount, log: null };
+      }
+      state.wallets[payer].lamports -= rent;
+      state.tokenAccounts[address] = { owner, mint, programId: tokenProgram, amount: '0', lamports: rent };
+    }
+    return { err: null, units: INSTRUCTION_UNITS.createAccount, log: null };
+  }
+  
+  if ((programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID)) && data[0] === TOKEN_CLOSE_ACCOUNT) {
+    const [address, destination, owner] = keys;
+    touched.add(address);
+    const account = state.tokenAccounts[address];
+    if (!account || account.owner !== owner || account.amount !== '0' || !state.wallets[destination]) {
+      return { err: 'InvalidAccountData', units: INSTRUCTION_UNITS.closeAccount, log: null };
+    }
+    state.wallets[destination].lamports += account.lamports;
+    delete state.tokenAccounts[address];
+    return { err: null, units: INSTRUCTION_UNITS.closeAccount, log: null };
+  }
+  
+  return { err: 'UnsupportedProgramId', units: 0, log: null };
+}
+
+/**
+ * Token balance entries of a wallet's token accounts, as in transaction metadata
+ * @param {Object} state - Ledger state
+ * @param {string[]} accountKeys - Accounts of the transaction
+ * @returns {Object[]} preTokenBalances / postTokenBalances entries
+ */
+function getTokenBalances(state, accountKeys) {
+  return accountKeys.flatMap((address, accountIndex) => {
+    const account = state.tokenAccounts[address];
+    if (!account) {
+      return [];
+    }
+    const decimals = getPaperDecimals(account.mint) ?? 6;
+    const uiAmount = Number(account.amount) / Math.pow(10, decimals);
+    return [{
+      accountIndex,
+      mint: account.mint,
+      owner: account.owner,
+      programId: account.programId,
+      uiTokenAmount: { amount: account.amount, decimals, uiAmount, uiAmountString: String(uiAmount) },
+    }];
+  });
+}
+
+/**
+ * Execute a transaction message atomically: the fee is always charged, instruction
+ * effects only apply if every instruction succeeds
+ * @param {Object} state - Ledger state (not mutated)
+ * @param {Message|MessageV0} message - Transaction message
+ * @param {Object|string|null} forcedError - Error to fail with after running (simulated failure)
+ * @returns {Object|null} { state, err, meta, logs, unitsConsumed }, null if the payer can't cover the fee
+ */
+function executeMessage(state, message, forcedError = null) {
+  const keys = message.staticAccountKeys.map(k => k.toBase58());
+  const payer = keys[0];
+  const fee = getMessageFee(message);
+  if (!state.wallets[payer] || state.wallets[payer].lamports < fee) {
+    return null;
+  }
+  
+  const charged = structuredClone(state);
+  charged.wallets[payer].lamports -= fee;
+  const work = structuredClone(charged);
+  const touched = new Set();
+  const logs = [];
+  let err = null;
+  let unitsConsumed = 0;
+  for (const [index, { programIdIndex, accountKeyIndexes, data }] of message.compiledInstructions.entries()) {
+    const programId = message.staticAccountKeys[programIdIndex];
+    logs.push(`Program ${programId.toBase58()} invoke [1]`);
+    const result = executeInstruction(work, accountKeyIndexes.map(i => keys[i]), programId, Buffer.from(data), touched);
+    unitsConsumed += result.units;
+    if (result.log) {
+      logs.push(result.log);
+    }
+    if (result.err) {
+      logs.push(`Program ${programId.toBase58()} failed: ${JSON.stringify(result.err)}`);
+      err = { InstructionError: [index, result.err] };
+      break;
+    }
+    logs.push(`Program ${programId.toBase58()} success`);
+  }
+  if (!err && forcedError) {
+    err = forcedError;
+    logs.push(`Program log: Simulated failure ${JSON.stringify(forcedError)}`);
+  }
+  
+  const after = err ? charged : work;
+  const accountKeys = [...keys, ...[...touched].filter(a => !keys.includes(a))];
+  return {
+    state: after,
+    err,
+    logs,
+    unitsConsumed,
+    meta: {
+      err,
+      fee,
+      preBalances: accountKeys.map(a => getLamports(state, a)),
+      postBalances: accountKeys.map(a => getLamports(after, a)),
+      preTokenBalances: getTokenBalances(state, accountKeys),
+      postTokenBalances: getTokenBalances(after, accountKeys),
+      logMessages: logs,
+      computeUnitsConsumed: unitsConsumed,
+      loadedAddresses: { writable: [], readonly: [] },
+    },
+  };
+}
+
+/**
+ * Account info of an address in the ledger, in getAccountInfo format
+ * Wallets are system accounts, token accounts and registry mints carry SPL layouts
+ * @param {Object} state - Ledger state
+ * @param {string} address - Account address
+ * @returns {Object|null} Account info
+ */
+function getLedgerAccount(state, address) {
+  const wallet = state.wallets[address];
+  if (wallet) {
+    return { lamports: wallet.lamports, owner: SystemProgram.programId, data: Buffer.alloc(0), executable: false, rentEpoch: 0 };
+  }
+  
+  // Layout: mint (32) | owner (32) | amount (u64 LE) | ... | state (u8 at 108, 1 = initialized)
+  const account = state.tokenAccounts[address];
+  if (account) {
+    const data = Buffer.alloc(TOKEN_ACCOUNT_SIZE);
+    new PublicKey(account.mint).toBuffer().copy(data, 0);
+    new PublicKey(account.owner).toBuffer().copy(data, 32);
+    data.writeBigUInt64LE(BigInt(account.amount), 64);
+    data[108] = 1;
+    return { lamports: account.lamports, owner: new PublicKey(account.programId), data, executable: false, rentEpoch: 0 };
+  }
+  
+  // Mint layout: mint authority option (36) | supply (8) | decimals (u8 at 44) | initialized (u8 at 45)
+  const decimals = address === SOL_MINT ? 9 : getPaperDecimals(address);
+  if (decimals !== null) {
+    const data = Buffer.alloc(MINT_SIZE);
+    data[44] = decimals;
+    data[45] = 1;
+    return { lamports: getRentExemption(MINT_SIZE), owner: getTokenProgram(address), data, executable: false, rentEpoch: 0 };
+  }
+  return null;
+}
+
+/**
+ * Create a Connection-compatible paper ledger for the given wallets
+ * Wallets the ledger hasn't seen yet start with PAPER_BALANCES. Sent transactions are dropped
+ * with PAPER_DROP_RATE, land after ~PAPER_LATENCY_MS and fail on-chain with PAPER_FAIL_RATE
+ * (fee charged); balances persist in PAPER_LEDGER_PATH across runs
+ * @param {PublicKey[]} wallets - Wallet public keys
+ * @returns {Connection} Paper connection (plus checkHealth(), close())
+ */
+export function createPaperConnection(wallets = []) {
+  const state = loadLedger();
+  for (const wallet of wallets.map(w => w.toBase58())) {
+    if (!state.wallets[wallet]) {
+      seedWallet(state, wallet);
+    }
+  }
+  saveLedger(state);
+  
+  let ledger = state;
+  const pending = new Map(); // signature -> { message, signatures, landAt, expiresAt, forcedError }
+  const landed = new Map(); // signature -> transaction with metadata
+  const seen = new Set(); // Every signature sent, dropped ones included
+  
+  // Apply transactions due by now, in landing order
+  const settle = () => {
+    const now = Date.now();
+    const due = [...pending.entries()].filter(([, tx]) => tx.landAt <= now).sort((a, b) => a[1].landAt - b[1].landAt);
+    if (due.length === 0) {
+      return;
+    }
+    for (const [signature, tx] of due) {
+      pending.delete(signature);
+      const result = getPaperBlockHeight(tx.landAt) > tx.expiresAt ? null : executeMessage(ledger, tx.message, tx.forcedError);
+      if (!result) {
+        continue; // Expired before landing or the fee payer is broke: it never lands
+      }
+      ledger = result.state;
+      landed.set(signature, {
+        slot: getPaperBlockHeight(tx.landAt),
+        blockTime: Math.floor(tx.landAt / 1000),
+        version: 0,
+        transaction: { signatures: tx.signatures, message: tx.message },
+        meta: result.meta,
+      });
+    }
+    saveLedger(ledger);
+  };
+  
+  const context = () => ({ slot: getPaperBlockHeight() });
+  
+  return {
+    async sendRawTransaction(rawTransaction) {
+      const transaction = VersionedTransaction.deserialize(rawTransaction);
+      const signature = bs58.encode(transaction.signatures[0]);
+      if (seen.has(signature)) {
+        return signature; // Rebroadcast: the first send decided its fate
+      }
+      seen.add(signature);
+      if (paperRandom() < config.paperDropRate) {
+        return signature;
+      }
+      pending.set(signature, {
+        message: transaction.message,
+        signatures: transaction.signatures.map(s => bs58.encode(s)),
+        landAt: Date.now() + config.paperLatencyMs * (0.5 + paperRandom()),
+        expiresAt: getPaperBlockhashExpiry(transaction.message.recentBlockhash),
+        forcedError: paperRandom() < config.paperFailRate
+          ? { InstructionError: [transaction.message.compiledInstructions.length - 1, 'ProgramFailedToComplete'] }
+          : null,
+      });
+      return signature;
+    },
+    
+    async simulateTransaction(transaction, options = {}) {
+      settle();
+      const result = executeMessage(ledger, transaction.message);
+      if (!result) {
+        return { context: context(), value: { err: 'InsufficientFundsForFee', logs: [], accounts: null, unitsConsumed: 0 } };
+      }
+      const accounts = (options.accounts?.addresses || []).map(address => {
+        const info = getLedgerAccount(result.state, address);
+        return info && { ...info, owner: info.owner.toBase58(), data: [info.data.toString('base64'), 'base64'] };
+      });
+      return { context: context(), value: { err: result.err, logs: result.logs, accounts, unitsConsumed: result.unitsConsumed } };
+    },
+    
+    async getSignatureStatuses(signatures) {
+      settle();
+      const value = signatures.map(signature => {
+        const tx = landed.get(signature);
+        return tx ? { slot: tx.slot, confirmations: null, err: tx.meta.err, confirmationStatus: 'confirmed' } : null;
+      });
+      return { context: context(), value };
+    },
+    
+    async getTransaction(signature) {
+      settle();
+      return landed.get(signature) || null;
+    },
+    
+    async getAccountInfo(address) {
+      settle();
+      return getLedgerAccount(ledger, address.toBase58());
+    },
+    
+    async getMultipleAccountsInfo(addresses) {
+      settle();
+      return addresses.map(address => getLedgerAccount(ledger, address.toBase58()));
+    },
+    
+    async getBalance(address) {
+      settle();
+      return getLamports(ledger, address.toBase58());
+    },
+    
+    async getTokenAccountsByOwner(owner, { programId }) {
+      settle();
+      const value = Object.entries(ledger.tokenAccounts)
+        .filter(([, account]) => account.owner === owner.toBase58() && account.programId === programId.toBase58())
+        .map(([address]) => ({ pubkey: new PublicKey(address), account: getLedgerAccount(ledger, address) }));
+      return { context: context(), value };
+    },
+    
+    async getMinimumBalanceForRentExemption(size) {
+      return getRentExemption(size);
+    },
+    
+    async getLatestBlockhash() {
+      return createPaperBlockhash();
+    },
+    
+    async getBlockHeight() {
+      return getPaperBlockHeight();
+    },
+    
+    async getSlot() {
+      return getPaperBlockHeight();
+    },
+    
+    async getFeeForMessage(message) {
+      return { context: context(), value: getMessageFee(message) };
+    },
+    
+    // Skewed towards cheap slots, like mainnet (micro-lamports per compute unit)
+    async getRecentPrioritizationFees() {
+      const slot = getPaperBlockHeight();
+      return Array.from({ length: 150 }, (_, i) => ({
+        slot: slot - i,
+        prioritizationFee: Math.floor(Math.pow(paperRandom(), 3) * 100000),
+      }));
+    },
+    
+    async checkHealth() {},
+    
+    close() {},
+  };
+}
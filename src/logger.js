@@ -0,0 +1,139 @@
+import { appendFileSync, existsSync, mkdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import { config } from './config.js';
+
+// Everything a command does is logged here; only the results of read-only commands
+// (help, config, history, report, wallet list) and --json documents are printed directly.
+// Each record has a message (the emoji line shown by the pretty format) and optional
+// structured fields, `event` naming what happened (quote, sent, swap, retry, batch-end...)
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Lines made only of separators (─, ═) carry nothing for NDJSON records
+const SEPARATOR_LINE = /^[─═\s]*$/;
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u;
+
+// Current size of LOG_FILE, read on the first write
+let fileSize = null;
+let fileFailed = false;
+
+/**
+ * Whether a level passes a threshold
+ * @param {string} level - Record level
+ * @param {string} threshold - Lowest level shown
+ * @returns {boolean}
+ */
+function isEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Message without decoration, for NDJSON records: no separator lines, no leading emoji
+ * @param {string} message - Pretty message
+ * @returns {string}
+ */
+function getPlainMessage(message) {
+  return message
+    .split('\n')
+    .filter(line => !SEPARATOR_LINE.test(line))
+    .map(line => line.replace(LEADING_EMOJI, '').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Serialize a record as one NDJSON line (bigints as strings, errors as their message)
+ * @param {string} level - Level
+ * @param {string} message - Pretty message
+ * @param {Object} fields - Structured fields
+ * @returns {string|null} JSON line, null for a purely decorative record
+ */
+function formatJson(level, message, fields) {
+  const msg = getPlainMessage(message);
+  if (!msg && !fields.event) {
+    return null;
+  }
+  const record = { time: new Date().toISOString(), level, event: fields.event, msg, ...fields };
+  return JSON.stringify(record, (key, v) => {
+    if (typeof v === 'bigint') {
+      return v.toString();
+    }
+    return v instanceof Error ? v.message : v;
+  });
+}
+
+/**
+ * Move LOG_FILE to LOG_FILE.1, shifting older files up to LOG_MAX_FILES (the oldest is dropped)
+ * @param {string} path - Log file
+ */
+function rotateLogFile(path) {
+  if (config.logMaxFiles === 0) {
+    unlinkSync(path);
+    return;
+  }
+  for (let i = config.logMaxFiles - 1; i >= 1; i--) {
+    if (existsSync(`${path}.${i}`)) {
+      renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+    }
+  }
+  renameSync(path, `${path}.1`);
+}
+
+/**
+ * Append a line to LOG_FILE, rotating it first when it would exceed LOG_MAX_SIZE_MB
+ * A failing log file never stops a run: it is reported once and disabled
+ * @param {string} line - NDJSON line
+ */
+function writeLogFile(line) {
+  const path = config.logFile;
+  try {
+    if (fileSize === null) {
+      mkdirSync(dirname(path), { recursive: true });
+      fileSize = existsSync(path) ? statSync(path).size : 0;
+    }
+    const bytes = Buffer.byteLength(line) + 1;
+    if (fileSize > 0 && fileSize + bytes > config.logMaxSizeMb * 1024 * 1024) {
+      rotateLogFile(path);
+      fileSize = 0;
+    }
+    appendFileSync(path, line + '\n');
+    fileSize += bytes;
+  } catch (error) {
+    fileFailed = true;
+    console.error(`⚠️  Log file ${path} disabled: ${error.message}`);
+  }
+}
+
+/**
+ * Write a record to the console (LOG_FORMAT, at LOG_LEVEL or warn with QUIET) and LOG_FILE (always NDJSON)
+ * @param {string} level - Level
+ * @param {string} message - Pretty message (emoji line, as shown on the console)
+ * @param {Object} fields - Structured fields (event, signature, direction, amounts, fee, attempt, durationMs...)
+ */
+function write(level, message, fields = {}) {
+  if (!isEnabled(level, config.logLevel)) {
+    return;
+  }
+  
+  const json = config.logFormat === 'json' || (config.logFile && !fileFailed) ? formatJson(level, message, fields) : null;
+  if (isEnabled(level, config.quiet ? 'warn' : 'debug')) {
+    const text = config.logFormat === 'json' ? json : message;
+    if (text !== null) {
+      // Errors go to stderr, like before
+      (level === 'error' ? console.error : console.log)(text);
+    }
+  }
+  if (config.logFile && !fileFailed && json !== null) {
+    writeLogFile(json);
+  }
+}
+
+/**
+ * Logger
+ * @type {{debug: function(string, Object=), info: function(string, Object=), warn: function(string, Object=), error: function(string, Object=)}}
+ */
+export const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
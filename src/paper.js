@@ -0,0 +1,306 @@
+import { ComputeBudgetProgram, Keypair, PublicKey, TransactionInstruction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { config } from './config.js';
+import { getToken, listTokens } from './tokens.js';
+
+// Paper trading: a simulated market behind the Jupiter quote / swap API, settled by the
+// simulated ledger in ledger.js. Nothing here touches the network.
+
+// Program id of simulated swap instructions (not a real program)
+export const PAPER_PROGRAM_ID = new PublicKey(Buffer.from('seeker-trade-paper-swap-program!'));
+
+// Simulated chain clock. Blockhashes stay valid for fewer blocks than on mainnet (~60s),
+// so dropped transactions expire quickly
+const SLOT_MS = 400;
+const BLOCKHASH_VALID_BLOCKS = 25;
+
+// Compute units of a simulated swap, and the priority fee used for `auto`
+const SWAP_COMPUTE_UNITS = 150000;
+const AUTO_PRIORITY_FEE_LAMPORTS = 10000;
+
+// Last valid block height of every blockhash handed out in this process
+const blockhashes = new Map();
+
+// Market prices (USD) by mint, drifting between reads
+const prices = new Map(); // mint -> { price, at }
+
+let random = null;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), for reproducible paper runs
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random number in [0, 1) from PAPER_SEED's generator (Math.random when unseeded)
+ * @returns {number}
+ */
+export function paperRandom() {
+  if (!random) {
+    random = config.paperSeed > 0 ? createRandom(config.paperSeed) : Math.random;
+  }
+  return random();
+}
+
+/**
+ * Standard normal random number (Box-Muller)
+ * @returns {number}
+ */
+function gaussian() {
+  const u = 1 - paperRandom();
+  const v = paperRandom();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Parse "SYMBOL:value" pairs, e.g. PAPER_BALANCES or PAPER_PRICES
+ * @param {string} spec - Comma separated pairs
+ * @returns {Map<string, number>} Values by mint
+ */
+export function parsePaperValues(spec) {
+  const values = new Map();
+  for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [symbol, raw] = entry.split(':').map(part => part.trim());
+    const value = Number(raw);
+    if (!symbol || raw === undefined || raw === '' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`invalid entry "${entry}", expected SYMBOL:value`);
+    }
+    values.set(getToken(symbol).mint, value);
+  }
+  return values;
+}
+
+/**
+ * Check the paper trading settings (only when BACKEND=paper)
+ * @returns {string[]} Errors
+ */
+export function validatePaperConfig() {
+  if (config.backend !== 'paper') {
+    return [];
+  }
+  const errors = [];
+  for (const [env, spec] of [['PAPER_BALANCES', config.paperBalances], ['PAPER_PRICES', config.paperPrices]]) {
+    try {
+      parsePaperValues(spec);
+    } catch (error) {
+      errors.push(`${env}: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Decimals of a mint in the simulated market (registry decimals, 6 when unknown)
+ * @param {string} mint - Mint address
+ * @returns {number|null} Decimals, null if the mint isn't a registered token
+ */
+export function getPaperDecimals(mint) {
+  const token = listTokens().find(t => t.mint === mint);
+  return token ? token.decimals ?? 6 : null;
+}
+
+/**
+ * Current USD price of a mint: PAPER_PRICES (or the stablecoin peg, else $1) at start,
+ * then a random walk with PAPER_DRIFT_BPS volatility per minute; pegged tokens don't drift
+ * @param {string} mint - Mint address
+ * @returns {number} Price in USD
+ */
+export function getPaperPrice(mint) {
+  const token = listTokens().find(t => t.mint === mint);
+  const now = Date.now();
+  const entry = prices.get(mint);
+  if (!entry) {
+    const configured = parsePaperValues(config.paperPrices).get(mint);
+    const price = configured ?? token?.pegUsd ?? 1;
+    prices.set(mint, { price, at: now });
+    return price;
+  }
+  if (!token?.pegUsd && config.paperDriftBps > 0) {
+    const minutes = (now - entry.at) / 60000;
+    entry.price *= Math.exp(config.paperDriftBps / 10000 * Math.sqrt(minutes) * gaussian());
+  }
+  entry.at = now;
+  return entry.price;
+}
+
+/**
+ * Output of a swap at the current price, after the PAPER_SPREAD_BPS spread
+ * @param {string} inputMint - Input mint
+ * @param {string} outputMint - Output mint
+ * @param {bigint} inAmount - Input amount in smallest units
+ * @returns {bigint} Output amount in smallest units
+ */
+export function getPaperFill(inputMint, outputMint, inAmount) {
+  const inValue = Number(inAmount) / Math.pow(10, getPaperDecimals(inputMint)) * getPaperPrice(inputMint);
+  const outUnits = inValue / getPaperPrice(outputMint) * Math.pow(10, getPaperDecimals(outputMint));
+  return BigInt(Math.floor(outUnits * (1 - config.paperSpreadBps / 10000)));
+}
+
+/**
+ * Simulated block height (also used as the slot)
+ * @param {number} at - Time in ms (default: now)
+ * @returns {number}
+ */
+export function getPaperBlockHeight(at = Date.now()) {
+  return Math.floor(at / SLOT_MS);
+}
+
+/**
+ * Hand out a fresh simulated blockhash
+ * @returns {{blockhash: string, lastValidBlockHeight: number}}
+ */
+export function createPaperBlockhash() {
+  const blockhash = Keypair.generate().publicKey.toBase58();
+  const lastValidBlockHeight = getPaperBlockHeight() + BLOCKHASH_VALID_BLOCKS;
+  blockhashes.set(blockhash, lastValidBlockHeight);
+  return { blockhash, lastValidBlockHeight };
+}
+
+/**
+ * Last valid block height of a simulated blockhash
+ * @param {string} blockhash - Blockhash
+ * @returns {number} Block height (blockhashes from another process never expire)
+ */
+export function getPaperBlockhashExpiry(blockhash) {
+  return blockhashes.get(blockhash) ?? Infinity;
+}
+
+/**
+ * Decode a simulated swap instruction
+ * @param {Uint8Array} data - Instruction data
+ * @returns {{inputMint: string, outputMint: string, inAmount: bigint, minOut: bigint}}
+ */
+export function decodePaperSwap(data) {
+  const swap = JSON.parse(Buffer.from(data).toString());
+  return { ...swap, inAmount: BigInt(swap.inAmount), minOut: BigInt(swap.minOut) };
+}
+
+/**
+ * Simulated GET /quote
+ * Route filters are accepted but ignored: the paper market has a single venue
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{status: number, body: Object}} Response
+ */
+function paperQuote(params) {
+  const inputMint = params.get('inputMint');
+  const outputMint = params.get('outputMint');
+  const amount = BigInt(params.get('amount') || '0');
+  if (getPaperDecimals(inputMint) === null || getPaperDecimals(outputMint) === null) {
+    return { status: 400, body: { error: 'The token is not tradable', errorCode: 'TOKEN_NOT_TRADABLE' } };
+  }
+  if (amount <= 0n) {
+    return { status: 400, body: { error: 'Amount must be positive', errorCode: 'INVALID_AMOUNT' } };
+  }
+  
+  const slippageBps = parseInt(params.get('slippageBps') || '50');
+  const outAmount = getPaperFill(inputMint, outputMint, amount);
+  const threshold = outAmount * BigInt(10000 - slippageBps) / 10000n;
+  return {
+    status: 200,
+    body: {
+      inputMint,
+      inAmount: amount.toString(),
+      outputMint,
+      outAmount: outAmount.toString(),
+      otherAmountThreshold: threshold.toString(),
+      swapMode: 'ExactIn',
+      slippageBps,
+      priceImpactPct: String(config.paperSpreadBps / 2 / 10000),
+      swapUsdValue: String(Number(amount) / Math.pow(10, getPaperDecimals(inputMint)) * getPaperPrice(inputMint)),
+      routePlan: [{
+        swapInfo: {
+          ammKey: PAPER_PROGRAM_ID.toBase58(),
+          label: 'Paper',
+          inputMint,
+          outputMint,
+          inAmount: amount.toString(),
+          outAmount: outAmount.toString(),
+          feeAmount: '0',
+          feeMint: inputMint,
+        },
+        percent: 100,
+      }],
+      contextSlot: getPaperBlockHeight(),
+      timeTaken: 0,
+    },
+  };
+}
+
+/**
+ * Simulated POST /swap: an unsigned v0 transaction with compute budget and one simulated swap instruction
+ * @param {Object} request - Request body (quoteResponse, userPublicKey, prioritizationFeeLamports)
+ * @returns {{status: number, body: Object}} Response
+ */
+function paperSwap(request) {
+  const { quoteResponse: quote, userPublicKey, prioritizationFeeLamports } = request;
+  const owner = new PublicKey(userPublicKey);
+  const priorityFee = typeof prioritizationFeeLamports === 'number' ? prioritizationFeeLamports : AUTO_PRIORITY_FEE_LAMPORTS;
+  const swap = {
+    inputMint: quote.inputMint,
+    outputMint: quote.outputMint,
+    inAmount: quote.inAmount,
+    minOut: quote.otherAmountThreshold,
+  };
+  
+  const { blockhash, lastValidBlockHeight } = createPaperBlockhash();
+  const message = new TransactionMessage({
+    payerKey: owner,
+    recentBlockhash: blockhash,
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: SWAP_COMPUTE_UNITS }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: Math.floor(priorityFee * 1e6 / SWAP_COMPUTE_UNITS) }),
+      new TransactionInstruction({
+        programId: PAPER_PROGRAM_ID,
+        keys: [{ pubkey: owner, isSigner: true, isWritable: true }],
+        data: Buffer.from(JSON.stringify(swap)),
+      }),
+    ],
+  }).compileToV0Message();
+  
+  return {
+    status: 200,
+    body: {
+      swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+      lastValidBlockHeight,
+      prioritizationFeeLamports: priorityFee,
+      computeUnitLimit: SWAP_COMPUTE_UNITS,
+    },
+  };
+}
+
+/**
+ * Answer a Jupiter API request from the simulated market, in place of fetch
+ * @param {string} url - Request URL (JUP_API_URL/quote or /swap)
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} Response-like object (ok, status, headers.get, json, text)
+ */
+export async function paperFetch(url, options = {}) {
+  const { pathname, searchParams } = new URL(url);
+  let response;
+  if (pathname.endsWith('/quote')) {
+    response = paperQuote(searchParams);
+  } else if (pathname.endsWith('/swap') && options.method === 'POST') {
+    response = paperSwap(JSON.parse(options.body));
+  } else {
+    response = { status: 404, body: { error: `Not simulated: ${pathname}` } };
+  }
+  
+  const text = JSON.stringify(response.body);
+  return {
+    ok: response.status === 200,
+    status: response.status,
+    headers: { get: () => null },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+  };
+}
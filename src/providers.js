@@ -0,0 +1,254 @@
+import bs58 from 'bs58';
+import { config } from './config.js';
+import { getQuote, getSwapTransaction, jupiterFetch, getFetchOptions, getUsdPrice, getSolPrice, formatAmount } from './jupiter.js';
+import { waitForSignature } from './sender.js';
+import { log } from './logger.js';
+
+// Providers SWAP_PROVIDER can name directly, and BEST_OF_PROVIDERS can combine
+export const PROVIDERS = ['jupiter', 'ultra', 'self-hosted'];
+
+// Base fee of a swap transaction's single signature, for fee estimates
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * What a provider is asked to quote
+ * @typedef {Object} QuoteRequest
+ * @property {Token} input - Input token
+ * @property {Token} output - Output token
+ * @property {number} amount - Input amount in smallest units
+ * @property {RouteOptions} routeOptions - DEX filters and routing limits (providers may ignore some)
+ * @property {string|null} userPublicKey - Wallet, for providers that build the transaction with the quote
+ * @property {number|'auto'} priorityFee - Priority fee the swap will pay, for fee estimates
+ */
+
+/**
+ * Swap provider: quotes a swap, builds its transaction and optionally lands it itself
+ * Quotes keep the Jupiter v1 shape (inAmount, outAmount, priceImpactPct, routePlan...) plus
+ * `provider` (name) and `feeLamports` (network fees the provider charges, null when we pick them)
+ * @typedef {Object} SwapProvider
+ * @property {string} name - Provider name
+ * @property {function(QuoteRequest): Promise<Object>} quote - Get a quote
+ * @property {function(Object, string, number|'auto'): Promise<Object>} buildTransaction - Unsigned transaction for a quote:
+ *   { swapTransaction (base64), lastValidBlockHeight, computeUnitLimit }
+ * @property {function(Object, VersionedTransaction, Connection, number): Promise<Object>} [execute] - Submit the signed
+ *   transaction through the provider instead of the RPC, resolving to its SignatureOutcome (plus broadcasts)
+ */
+
+/**
+ * Provider on a Jupiter v1 compatible API (/quote and /swap)
+ * @param {string} name - Provider name
+ * @param {JupiterApi} api - Endpoint
+ * @returns {SwapProvider}
+ */
+function createJupiterProvider(name, api) {
+  return {
+    name,
+    async quote({ input, output, amount, routeOptions = {} }) {
+      const quote = await getQuote(input.mint, output.mint, amount, routeOptions, api);
+      return { ...quote, provider: name, feeLamports: null };
+    },
+    async buildTransaction(quote, userPublicKey, priorityFee) {
+      const { provider, feeLamports, ...quoteResponse } = quote;
+      return getSwapTransaction(quoteResponse, userPublicKey, priorityFee, api);
+    },
+  };
+}
+
+/**
+ * Provider on Jupiter's Ultra API: /order quotes and builds the transaction in one call
+ * (priority fee chosen by Jupiter), /execute lands it
+ * Only DEX exclusions apply from the route options
+ * @returns {SwapProvider}
+ */
+function createUltraProvider() {
+  const api = { url: config.jupUltraApiUrl, apiKey: config.jupApiKey, rateLimited: true };
+  return {
+    name: 'ultra',
+    async quote({ input, output, amount, routeOptions = {}, userPublicKey = null }) {
+      const params = new URLSearchParams({
+        inputMint: input.mint,
+        outputMint: output.mint,
+        amount: amount.toString(),
+      });
+      if (userPublicKey) {
+        params.set('taker', userPublicKey);
+      }
+      if (routeOptions.excludeDexes?.length > 0) {
+        params.set('excludeDexes', routeOptions.excludeDexes.join(','));
+      }
+      
+      const response = await jupiterFetch(`${api.url}/order?${params}`, getFetchOptions(api.apiKey), api.rateLimited);
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Order failed: ${response.status} - ${error}`);
+      }
+      const order = await response.json();
+      const feeLamports = (order.signatureFeeLamports || 0) + (order.prioritizationFeeLamports || 0) + (order.rentFeeLamports || 0);
+      return { ...order, provider: 'ultra', feeLamports };
+    },
+    async buildTransaction(quote) {
+      if (!quote.transaction) {
+        throw new Error(`Ultra order has no transaction${quote.errorMessage ? `: ${quote.errorMessage}` : ''}`);
+      }
+      // Gasless orders are paid by Jupiter's fee payer: signature and accounting assume the wallet pays
+      if (quote.gasless) {
+        throw new Error('Gasless Ultra orders are not supported (the wallet must pay its own fees)');
+      }
+      return {
+        swapTransaction: quote.transaction,
+        lastValidBlockHeight: quote.lastValidBlockHeight ?? null,
+        computeUnitLimit: null,
+      };
+    },
+    async execute(quote, transaction, connection, lastValidBlockHeight) {
+      const signature = bs58.encode(transaction.signatures[0]);
+      try {
+        const response = await jupiterFetch(`${api.url}/execute`, {
+          ...getFetchOptions(api.apiKey),
+          method: 'POST',
+          body: JSON.stringify({
+            signedTransaction: Buffer.from(transaction.serialize()).toString('base64'),
+            requestId: quote.requestId,
+          }),
+        }, api.rateLimited);
+        const result = response.ok ? await response.json() : { status: 'Failed', error: `${response.status} - ${await response.text()}` };
+        if (result.status !== 'Success') {
+          log.warn(`⚠️  Ultra execute: ${result.error || result.status}${result.code !== undefined ? ` (code ${result.code})` : ''}`);
+        }
+      } catch (error) {
+        log.warn(`⚠️  Ultra execute error (tx may still land): ${error.message}`);
+      }
+      // Ultra's answer may not be final (e.g. a timeout): the chain decides
+      const outcome = await waitForSignature(connection, signature, lastValidBlockHeight);
+      return { ...outcome, broadcasts: 1 };
+    },
+  };
+}
+
+/**
+ * Convert lamports into smallest units of a token at current prices
+ * @param {Token} token - Token
+ * @returns {Promise<number|null>} Token units per lamport, null if prices are unavailable
+ */
+async function getLamportRate(token) {
+  try {
+    return (await getSolPrice()) / 1e9 / (await getUsdPrice(token)) * Math.pow(10, token.decimals);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Provider quoting every listed provider at once and keeping the best net output:
+ * output minus the estimated network fees, valued in the output token
+ * Building and executing go to the provider that won the quote
+ * @param {string[]} names - Providers to compare
+ * @returns {SwapProvider}
+ */
+function createBestOfProvider(names) {
+  return {
+    name: 'best-of',
+    async quote(request) {
+      const settled = await Promise.allSettled(names.map(name => getProvider(name).quote(request)));
+      settled.forEach((s, i) => {
+        if (s.status === 'rejected') {
+          log.warn(`⚠️  ${names[i]} quote failed: ${s.reason.message}`);
+        }
+      });
+      const quotes = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+      if (quotes.length === 0) {
+        throw settled[0].reason;
+      }
+      
+      const rate = await getLamportRate(request.output);
+      const fallbackFee = LAMPORTS_PER_SIGNATURE + (typeof request.priorityFee === 'number' ? request.priorityFee : 0);
+      const net = quote => parseInt(quote.outAmount) - (rate === null ? 0 : (quote.feeLamports ?? fallbackFee) * rate);
+      const best = quotes.reduce((a, b) => net(b) > net(a) ? b : a);
+      if (quotes.length > 1) {
+        const compared = quotes.map(q => `${q.provider} ${formatAmount(net(q), request.output)}`).join(' | ');
+        log.info(`🏁 Net after fees: ${compared} → ${best.provider}`, {
+          event: 'provider-choice',
+          provider: best.provider,
+          quotes: quotes.map(q => ({ provider: q.provider, outAmount: q.outAmount, feeLamports: q.feeLamports })),
+        });
+      }
+      return best;
+    },
+  };
+}
+
+/**
+ * Providers in use: SWAP_PROVIDER, or the BEST_OF_PROVIDERS it compares
+ * @returns {string[]} Provider names
+ */
+export function getProviderNames() {
+  if (config.swapProvider !== 'best-of') {
+    return [config.swapProvider];
+  }
+  return [...new Set(config.bestOfProviders.split(',').map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (see PROVIDERS)
+ * @returns {SwapProvider}
+ */
+export function getProvider(name) {
+  switch (name) {
+    case 'jupiter':
+      return createJupiterProvider('jupiter', { url: config.jupApiUrl, apiKey: config.jupApiKey, rateLimited: true });
+    case 'self-hosted':
+      // A self-hosted API has no key and no shared rate limit
+      return createJupiterProvider('self-hosted', { url: config.selfHostedApiUrl, apiKey: '', rateLimited: false });
+    case 'ultra':
+      return createUltraProvider();
+    default:
+      throw new Error(`Unknown swap provider: ${name}`);
+  }
+}
+
+/**
+ * The configured swap provider (SWAP_PROVIDER)
+ * @returns {SwapProvider}
+ */
+export function getSwapProvider() {
+  return config.swapProvider === 'best-of' ? createBestOfProvider(getProviderNames()) : getProvider(config.swapProvider);
+}
+
+/**
+ * Provider for price quotes: the configured one, or the first of a best-of list
+ * @returns {SwapProvider}
+ */
+export function getPriceProvider() {
+  return getProvider(getProviderNames()[0]);
+}
+
+/**
+ * Validate provider configuration
+ * @returns {string[]} Errors
+ */
+export function validateProviderConfig() {
+  const errors = [];
+  const names = getProviderNames();
+  for (const name of names.filter(n => !PROVIDERS.includes(n))) {
+    errors.push(`BEST_OF_PROVIDERS: unknown provider "${name}" (expected ${PROVIDERS.join(', ')})`);
+  }
+  if (config.swapProvider === 'best-of' && names.length < 2) {
+    errors.push('BEST_OF_PROVIDERS: list at least two providers to compare');
+  }
+  if (names.includes('self-hosted') && !config.selfHostedApiUrl) {
+    errors.push('Missing SELF_HOSTED_API_URL for the self-hosted provider');
+  }
+  if (names.includes('ultra') && config.backend === 'paper') {
+    errors.push('The ultra provider is not simulated by BACKEND=paper (use jupiter or self-hosted)');
+  }
+  return errors;
+}
+
+/**
+ * Describe the configured provider for display
+ * @returns {string} e.g. "jupiter" or "best-of (jupiter, ultra)"
+ */
+export function describeProvider() {
+  return config.swapProvider === 'best-of' ? `best-of (${getProviderNames().join(', ')})` : config.swapProvider;
+}
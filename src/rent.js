@@ -0,0 +1,201 @@
+import { Transaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { config } from './config.js';
+import {
+  getAssociatedTokenAddress,
+  getTokenAccounts,
+  createAssociatedTokenAccountInstruction,
+  createCloseAccountInstruction,
+} from './accounts.js';
+import { fetchRentAccounting } from './accounting.js';
+import { sendAndConfirmTransaction } from './sender.js';
+import { appendJournal } from './journal.js';
+import { getToken } from './tokens.js';
+import { log } from './logger.js';
+
+// Instructions per transaction, well within the transaction size limit
+const CREATES_PER_TRANSACTION = 4;
+const CLOSES_PER_TRANSACTION = 8;
+
+// Size of a plain SPL token account, for the rent estimate
+const TOKEN_ACCOUNT_SIZE = 165;
+
+/**
+ * Split a list into chunks
+ * @param {Array} list - Items
+ * @param {number} size - Chunk size
+ * @returns {Array[]} Chunks
+ */
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Sign, send and confirm a transaction of token account instructions, then read its fee and rent
+ * @param {Keypair} keypair - Wallet keypair (fee payer)
+ * @param {Connection} connection - Solana connection
+ * @param {TransactionInstruction[]} instructions - Instructions
+ * @param {{rentDeposits: number, rentRefunds: number}} estimate - Rent moved, used when the metadata is unavailable
+ * @returns {Promise<Object>} { signature, fee, rentDeposits, rentRefunds, exact }
+ */
+async function sendInstructions(keypair, connection, instructions, estimate) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const transaction = new Transaction({ feePayer: keypair.publicKey, blockhash, lastValidBlockHeight });
+  transaction.add(...instructions);
+  transaction.sign(keypair);
+  const signature = bs58.encode(transaction.signature);
+  
+  const outcome = await sendAndConfirmTransaction(connection, transaction.serialize(), signature, lastValidBlockHeight);
+  if (outcome.status !== 'landed') {
+    const error = new Error(outcome.status === 'failed'
+      ? `Transaction failed: ${JSON.stringify(outcome.err)}`
+      : 'Transaction expired (blockhash no longer valid, it will not land)');
+    error.status = outcome.status;
+    error.signature = signature;
+    throw error;
+  }
+  
+  try {
+    const { fee, rentDeposits, rentRefunds } = await fetchRentAccounting(connection, signature);
+    return { signature, fee, rentDeposits, rentRefunds, exact: true };
+  } catch (e) {
+    log.warn(`⚠️  Accounting unavailable, using estimates: ${e.message}`);
+    return { signature, fee: 0, ...estimate, exact: false };
+  }
+}
+
+/**
+ * Check a wallet's associated token accounts for the given tokens, creating missing ones
+ * up front when CREATE_TOKEN_ACCOUNTS is set (never in a dry run)
+ * Native SOL needs none: Jupiter wraps it in a temporary account closed within the swap
+ * @param {Keypair} keypair - Wallet keypair
+ * @param {Connection} connection - Solana connection
+ * @param {Token[]} tokens - Resolved tokens the batch trades
+ * @param {string|null} runId - Run the setup belongs to, for the journal
+ * @returns {Promise<Object>} { missing, created, rentDeposits, fee } (symbols, lamports)
+ */
+export async function prepareTokenAccounts(keypair, connection, tokens, runId = null) {
+  const owner = keypair.publicKey;
+  const splTokens = tokens.filter(t => !t.native);
+  const infos = await connection.getMultipleAccountsInfo(
+    splTokens.map(t => getAssociatedTokenAddress(owner, t.mint, t.programId))
+  );
+  const missing = splTokens.filter((t, i) => !infos[i]);
+  const setup = { missing: missing.map(t => t.symbol), created: [], rentDeposits: 0, fee: 0 };
+  if (missing.length === 0) {
+    return setup;
+  }
+  
+  const rentPerAccount = await connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE);
+  if (!config.createTokenAccounts || config.dryRun) {
+    log.info(`🏠 Missing token accounts: ${setup.missing.join(', ')} (the first swap into each pays ~${(rentPerAccount / 1e9).toFixed(6)} SOL rent)`);
+    return setup;
+  }
+  
+  for (const batch of chunk(missing, CREATES_PER_TRANSACTION)) {
+    const symbols = batch.map(t => t.symbol);
+    log.info(`🏠 Creating token accounts: ${symbols.join(', ')}...`);
+    const instructions = batch.map(t => createAssociatedTokenAccountInstruction(owner, owner, t.mint, t.programId));
+    const sent = await sendInstructions(keypair, connection, instructions, {
+      rentDeposits: rentPerAccount * batch.length,
+      rentRefunds: 0,
+    });
+    log.info(`🏠 Created ${symbols.join(', ')}: +${(sent.rentDeposits / 1e9).toFixed(6)} SOL rent, fee ${(sent.fee / 1e9).toFixed(6)} SOL (${sent.signature})`, {
+      event: 'rent-create',
+      wallet: owner.toBase58(),
+      signature: sent.signature,
+      tokens: symbols,
+      rentDeposits: sent.rentDeposits,
+      fee: sent.fee,
+    });
+    appendJournal({
+      type: 'rent',
+      action: 'create',
+      runId,
+      wallet: owner.toBase58(),
+      signature: sent.signature,
+      tokens: symbols,
+      fee: sent.fee,
+      rentDeposits: sent.rentDeposits,
+      exact: sent.exact,
+    });
+    setup.created.push(...symbols);
+    setup.rentDeposits += sent.rentDeposits;
+    setup.fee += sent.fee;
+  }
+  return setup;
+}
+
+/**
+ * Find a wallet's token accounts holding no tokens
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} owner - Wallet public key
+ * @param {string[]|null} mints - Only these mints (default: all)
+ * @returns {Promise<TokenAccount[]>} Empty token accounts
+ */
+export async function findEmptyTokenAccounts(connection, owner, mints = null) {
+  const accounts = await getTokenAccounts(connection, owner);
+  return accounts.filter(a => a.amount === 0n && (!mints || mints.includes(a.mint)));
+}
+
+/**
+ * Describe a token account by its token symbol
+ * @param {TokenAccount} account - Token account
+ * @returns {string} Symbol (shortened mint for unregistered tokens)
+ */
+export function describeTokenAccount(account) {
+  return getToken(account.mint).symbol;
+}
+
+/**
+ * Close empty token accounts, returning their rent to the wallet
+ * A failed transaction (e.g. a Token-2022 account holding withheld fees) only skips its accounts
+ * @param {Keypair} keypair - Wallet keypair
+ * @param {Connection} connection - Solana connection
+ * @param {TokenAccount[]} accounts - Empty token accounts of the wallet
+ * @returns {Promise<Object>} { closed, failed, rentRefunds, fee } (account counts, lamports)
+ */
+export async function closeTokenAccounts(keypair, connection, accounts) {
+  const owner = keypair.publicKey;
+  const cleanup = { closed: 0, failed: 0, rentRefunds: 0, fee: 0 };
+  
+  for (const batch of chunk(accounts, CLOSES_PER_TRANSACTION)) {
+    const symbols = batch.map(describeTokenAccount);
+    try {
+      const sent = await sendInstructions(keypair, connection, batch.map(a => createCloseAccountInstruction(a, owner)), {
+        rentDeposits: 0,
+        rentRefunds: batch.reduce((sum, a) => sum + a.lamports, 0),
+      });
+      log.info(`🧹 Closed ${symbols.join(', ')}: +${(sent.rentRefunds / 1e9).toFixed(6)} SOL rent recovered, fee ${(sent.fee / 1e9).toFixed(6)} SOL (${sent.signature})`, {
+        event: 'rent-close',
+        wallet: owner.toBase58(),
+        signature: sent.signature,
+        tokens: symbols,
+        rentRefunds: sent.rentRefunds,
+        fee: sent.fee,
+      });
+      appendJournal({
+        type: 'rent',
+        action: 'close',
+        wallet: owner.toBase58(),
+        signature: sent.signature,
+        accounts: batch.map(a => a.address.toBase58()),
+        tokens: symbols,
+        fee: sent.fee,
+        rentRefunds: sent.rentRefunds,
+        exact: sent.exact,
+      });
+      cleanup.closed += batch.length;
+      cleanup.rentRefunds += sent.rentRefunds;
+      cleanup.fee += sent.fee;
+    } catch (error) {
+      log.error(`❌ Closing ${symbols.join(', ')} failed: ${error.message}`, { event: 'rent-close-failed', wallet: owner.toBase58(), tokens: symbols });
+      cleanup.failed += batch.length;
+    }
+  }
+  return cleanup;
+}
@@ -0,0 +1,457 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { listRuns, getRunEntries } from './journal.js';
+import { summarizeCosts, summarizeRoutes } from './swap.js';
+import { computeLossUsd } from './guards.js';
+import { describeGoal, formatGoalProgress } from './goals.js';
+
+// Formats `report --export` can write, into REPORT_DIR as <runId>.<format>
+export const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Attempt columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'timestamp', 'wallet', 'direction', 'retry', 'status', 'signature', 'inputToken', 'inputAmount',
+  'outputToken', 'outputAmount', 'fee', 'priorityFee', 'priorityFeeSetting', 'rentNet', 'duration',
+  'provider', 'route', 'error',
+];
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ * @param {number[]} sorted - Values, ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, null if there are none
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Latency statistics of attempts that landed (or were simulated)
+ * @param {Object[]} attempts - Attempt journal entries
+ * @returns {{count: number, avg: number|null, p50: number|null, p90: number|null, p99: number|null, max: number|null}} Milliseconds
+ */
+function summarizeLatency(attempts) {
+  const durations = attempts
+    .filter(a => (a.status === 'landed' || a.status === 'simulated') && typeof a.duration === 'number')
+    .map(a => a.duration)
+    .sort((a, b) => a - b);
+  return {
+    count: durations.length,
+    avg: durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : null,
+    p50: percentile(durations, 50),
+    p90: percentile(durations, 90),
+    p99: percentile(durations, 99),
+    max: durations.length > 0 ? durations[durations.length - 1] : null,
+  };
+}
+
+/**
+ * Whether an attempt was broadcast (or simulated), i.e. counts towards the landing rate
+ * @param {Object} attempt - Attempt journal entry
+ * @returns {boolean}
+ */
+function isSent(attempt) {
+  return Boolean(attempt.signature) || attempt.status === 'simulated';
+}
+
+/**
+ * Whether an attempt landed (or was simulated successfully)
+ * @param {Object} attempt - Attempt journal entry
+ * @returns {boolean}
+ */
+function isLanded(attempt) {
+  return attempt.status === 'landed' || attempt.status === 'simulated';
+}
+
+/**
+ * Stats of one direction: swap slots, attempts, fees, latency, volume and value lost
+ * @param {Object[]} results - Swap results of the direction
+ * @param {Object[]} attempts - Attempt entries of the direction
+ * @returns {Object} Direction stats
+ */
+function summarizeDirection(results, attempts) {
+  const successful = results.filter(r => r.success);
+  const sent = attempts.filter(isSent);
+  const costs = summarizeCosts(results);
+  const sum = (list, pick) => list.reduce((total, r) => total + (pick(r) || 0), 0);
+  return {
+    swaps: results.length,
+    successful: successful.length,
+    failed: results.length - successful.length,
+    attempts: attempts.length,
+    sent: sent.length,
+    landed: sent.filter(isLanded).length,
+    fees: costs.totalGasUsed,
+    avgFee: successful.length > 0 ? costs.totalGasUsed / successful.length : null,
+    latencyP50: summarizeLatency(attempts).p50,
+    inputVolume: sum(successful, r => r.inputDecimals != null ? r.inputAmount / Math.pow(10, r.inputDecimals) : 0),
+    inputToken: successful[0]?.inputToken || null,
+    volumeUsd: sum(successful, r => r.inputValueUsd),
+    slippageLossUsd: costs.slippageLossUsd,
+  };
+}
+
+/**
+ * Group sent attempts by the priority fee they were given, to compare fee settings
+ * @param {Object[]} attempts - Attempt entries
+ * @returns {Object[]} { setting, sent, landed, avgFee, latencyP50 } per setting, lowest first
+ */
+function summarizePriorityFees(attempts) {
+  const bySetting = new Map();
+  for (const attempt of attempts.filter(isSent)) {
+    const setting = attempt.priorityFeeSetting ?? 'unknown';
+    bySetting.set(setting, [...(bySetting.get(setting) || []), attempt]);
+  }
+  return [...bySetting.entries()]
+    .map(([setting, list]) => {
+      const withFee = list.filter(a => a.fee != null);
+      return {
+        setting,
+        sent: list.length,
+        landed: list.filter(isLanded).length,
+        avgFee: withFee.length > 0 ? withFee.reduce((sum, a) => sum + a.fee, 0) / withFee.length : null,
+        latencyP50: summarizeLatency(list).p50,
+      };
+    })
+    .sort((a, b) => (typeof a.setting === 'number' ? a.setting : Infinity) - (typeof b.setting === 'number' ? b.setting : Infinity));
+}
+
+/**
+ * Build the report of a run from the journal (latest run by default)
+ * @param {string} runId - Run id (optional)
+ * @returns {Object} Run summary plus analytics (success rate, retries, latency, costs, per direction,
+ *   priority fees, fee timeline) and its attempt entries
+ */
+export function buildRunReport(runId) {
+  const runs = listRuns();
+  const run = runId ? runs.find(r => r.runId === runId) : runs[runs.length - 1];
+  if (!run) {
+    throw new Error(runId ? `Unknown run: ${runId}` : `No runs found in ${config.journalPath}`);
+  }
+  
+  const entries = getRunEntries(run.runId);
+  const start = entries.find(e => e.type === 'batch-start');
+  const attempts = entries.filter(e => e.type === 'attempt');
+  const results = entries.filter(e => e.type === 'swap').map(e => e.result);
+  const setupEntries = entries.filter(e => e.type === 'rent' && e.action === 'create');
+  
+  const byStatus = {};
+  for (const a of attempts) {
+    byStatus[a.status] = (byStatus[a.status] || 0) + 1;
+  }
+  
+  // Attempts each swap needed: the retry its landing attempt was, or gave up after every retry
+  const retries = {};
+  for (const a of attempts.filter(isLanded)) {
+    retries[a.retry ?? 0] = (retries[a.retry ?? 0] || 0) + 1;
+  }
+  if (run.failed > 0) {
+    retries.gaveUp = run.failed;
+  }
+  
+  // Fees and rent at the SOL price the run ended with (none for runs still going or from older versions)
+  const costs = summarizeCosts(results);
+  const solPriceUsd = run.summary?.solPriceUsdc ?? null;
+  const setupFee = setupEntries.reduce((sum, e) => sum + (e.fee || 0), 0);
+  const setupRent = setupEntries.reduce((sum, e) => sum + (e.rentDeposits || 0), 0);
+  const fees = costs.totalGasUsed + setupFee;
+  const rentNet = costs.rentNet + setupRent;
+  const toUsd = lamports => solPriceUsd ? lamports / 1e9 * solPriceUsd : null;
+  
+  const directions = {};
+  for (const direction of new Set([...results, ...attempts].map(e => e.direction).filter(Boolean))) {
+    directions[direction] = summarizeDirection(
+      results.filter(r => r.direction === direction),
+      attempts.filter(a => a.direction === direction),
+    );
+  }
+  
+  const sent = attempts.filter(isSent);
+  return {
+    ...run,
+    settings: start ? {
+      swapCycle: start.swapCycle || null,
+      swapAmount: start.swapAmount ?? null,
+      priorityFeeLamports: start.priorityFeeLamports ?? null,
+      slippageBps: start.slippageBps ?? null,
+      concurrency: start.concurrency ?? 1,
+      swapProvider: start.swapProvider || 'jupiter',
+      maxRetries: start.maxRetries ?? null,
+    } : null,
+    attemptsByStatus: byStatus,
+    routes: Object.fromEntries(summarizeRoutes(attempts).map(({ route, ...stats }) => [route, stats])),
+    successRate: run.successful + run.failed > 0 ? run.successful / (run.successful + run.failed) : null,
+    landingRate: sent.length > 0 ? sent.filter(isLanded).length / sent.length : null,
+    retries,
+    latency: summarizeLatency(attempts),
+    costs: {
+      fees,
+      priorityFees: costs.totalPriorityFees,
+      baseFees: fees - costs.totalPriorityFees,
+      rentDeposits: costs.rentDeposits + setupRent,
+      rentRefunds: costs.rentRefunds,
+      rentNet,
+      slippageLossUsd: costs.slippageLossUsd,
+      solPriceUsd,
+      feesUsd: toUsd(fees),
+      rentNetUsd: toUsd(rentNet),
+      // Slippage/spread plus fees; rent is left out as `cleanup` recovers it
+      valueLostUsd: solPriceUsd ? computeLossUsd(results, solPriceUsd) + toUsd(setupFee) : null,
+    },
+    directions,
+    priorityFees: summarizePriorityFees(attempts),
+    timeline: attempts
+      .filter(a => a.fee != null)
+      .map(a => ({ timestamp: a.timestamp, direction: a.direction, status: a.status, fee: a.fee, priorityFee: a.priorityFee })),
+    attemptEntries: attempts,
+  };
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(' → ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: one row per attempt
+ * @param {Object} report - Run report
+ * @returns {string} CSV text
+ */
+export function formatReportCsv(report) {
+  const rows = report.attemptEntries.map(a => CSV_COLUMNS.map(column => csvField(a[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number|null} ratio - Share (0-1)
+ * @returns {string}
+ */
+export function formatPercent(ratio) {
+  return ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format lamports as SOL
+ * @param {number|null} lamports - Lamports
+ * @returns {string}
+ */
+export function formatSol(lamports) {
+  return lamports === null ? '-' : `${(lamports / 1e9).toFixed(6)} SOL`;
+}
+
+/**
+ * Format a USD amount
+ * @param {number|null} usd - Amount
+ * @returns {string}
+ */
+export function formatUsd(usd) {
+  if (usd === null) {
+    return '-';
+  }
+  const rounded = Number(usd.toFixed(4));
+  return `${rounded < 0 ? '-' : ''}$${Math.abs(rounded).toFixed(4)}`;
+}
+
+/**
+ * Format milliseconds
+ * @param {number|null} ms - Duration
+ * @returns {string}
+ */
+export function formatMs(ms) {
+  return ms === null ? '-' : `${Math.round(ms)}ms`;
+}
+
+/**
+ * HTML table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Cells (escaped here)
+ * @returns {string}
+ */
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Inline SVG bar chart
+ * @param {Array<{label: string, value: number, color: string}>} bars - Bars, in order
+ * @param {Object} options - Chart options
+ * @param {number} options.height - Height in pixels
+ * @param {function(number): string} options.format - Tooltip value formatter
+ * @returns {string} SVG markup
+ */
+function svgBars(bars, { height = 160, format = String } = {}) {
+  if (bars.length === 0) {
+    return '<p class="muted">No data</p>';
+  }
+  const width = 720;
+  const max = Math.max(...bars.map(b => b.value), 1);
+  const step = width / bars.length;
+  const rects = bars.map((b, i) => {
+    const h = Math.max(1, b.value / max * (height - 20));
+    return `<rect x="${(i * step + step * 0.1).toFixed(1)}" y="${(height - h).toFixed(1)}" width="${Math.max(1, step * 0.8).toFixed(1)}" height="${h.toFixed(1)}" fill="${b.color}"><title>${escapeHtml(`${b.label}: ${format(b.value)}`)}</title></rect>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img">${rects}</svg>`;
+}
+
+/**
+ * Self-contained HTML page of a run report (inline styles and SVG charts, no external assets)
+ * @param {Object} report - Run report
+ * @returns {string} HTML document
+ */
+export function formatReportHtml(report) {
+  const { costs, latency } = report;
+  const statusColors = { landed: '#2e9d5b', simulated: '#2e9d5b', failed: '#d64545', expired: '#e0a030', notSent: '#888' };
+  const tiles = [
+    ['Success rate', formatPercent(report.successRate)],
+    ['Landing rate', formatPercent(report.landingRate)],
+    ['Swaps', `${report.successful} ✓ / ${report.failed} ✗`],
+    ['Attempts', report.attempts],
+    ['Latency p50 / p90', `${formatMs(latency.p50)} / ${formatMs(latency.p90)}`],
+    ['Fees', formatSol(costs.fees)],
+    ['Value lost', formatUsd(costs.valueLostUsd)],
+    ['Rent (net)', formatSol(costs.rentNet)],
+  ];
+  const retryKeys = Object.keys(report.retries).filter(k => k !== 'gaveUp').sort((a, b) => a - b);
+  const retryBars = [
+    ...retryKeys.map(k => ({ label: k === '0' ? 'first try' : `retry ${k}`, value: report.retries[k], color: '#3b7dd8' })),
+    ...(report.retries.gaveUp ? [{ label: 'gave up', value: report.retries.gaveUp, color: '#d64545' }] : []),
+  ];
+  const costBars = [
+    { label: 'Base fees', value: costs.baseFees, color: '#3b7dd8' },
+    { label: 'Priority fees', value: costs.priorityFees, color: '#7a5cd6' },
+    { label: 'Rent deposited', value: costs.rentDeposits, color: '#e0a030' },
+    { label: 'Rent refunded', value: costs.rentRefunds, color: '#2e9d5b' },
+  ];
+  const settings = report.settings
+    ? Object.entries(report.settings).map(([key, value]) => [key, value ?? '-'])
+    : [];
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeHtml(report.runId)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; padding: 0 1rem; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: .3rem; }
+.muted { color: #777; } .tiles { display: grid; grid-template-columns: repeat(4, 1fr); gap: .75rem; }
+.tile { background: #f5f7fa; border-radius: 6px; padding: .75rem; } .tile b { display: block; font-size: 1.2rem; margin-top: .2rem; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; } th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #eee; }
+th { background: #f5f7fa; } .legend span { margin-right: 1rem; } .legend i { display: inline-block; width: .8rem; height: .8rem; margin-right: .3rem; }
+</style>
+</head>
+<body>
+<h1>Run ${escapeHtml(report.runId)}</h1>
+<p class="muted">${escapeHtml(report.status)}${report.dryRun ? ', dry run' : ''}${report.backend === 'paper' ? ', paper' : ''} · started ${escapeHtml(report.startedAt)}${report.endedAt ? ` · ended ${escapeHtml(report.endedAt)}` : ''} · ${report.wallets.length} wallet(s) · goal ${escapeHtml(describeGoal(report.goal))} · progress ${escapeHtml(formatGoalProgress(report.goal, report.progress, report.goal.target * report.wallets.length))}</p>
+<div class="tiles">
+${tiles.map(([label, value]) => `<div class="tile">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join('\n')}
+</div>
+
+<h2>Fee per attempt over time</h2>
+${svgBars(report.timeline.map(t => ({ label: `${t.timestamp} ${t.direction} ${t.status}`, value: t.fee, color: statusColors[t.status] || '#888' })), { format: formatSol })}
+<p class="legend">${Object.entries(statusColors).filter(([status]) => status !== 'simulated').map(([status, color]) => `<span><i style="background:${color}"></i>${status}</span>`).join('')}</p>
+
+<h2>Rent vs fees</h2>
+${svgBars(costBars, { height: 120, format: formatSol })}
+${htmlTable(['Item', 'Amount'], [
+    ...costBars.map(b => [b.label, formatSol(b.value)]),
+    ['Fees (USD)', formatUsd(costs.feesUsd)],
+    ['Rent net (USD, recoverable)', formatUsd(costs.rentNetUsd)],
+    ['Slippage / spread (USD)', formatUsd(costs.slippageLossUsd)],
+    ['Total value lost (USD)', formatUsd(costs.valueLostUsd)],
+    ['SOL price used', costs.solPriceUsd ? formatUsd(costs.solPriceUsd) : '- (run has no end summary)'],
+  ])}
+
+<h2>Retries</h2>
+${svgBars(retryBars, { height: 120 })}
+${htmlTable(['Attempts needed', 'Swaps'], retryBars.map(b => [b.label, b.value]))}
+
+<h2>Latency</h2>
+${htmlTable(['Landed', 'Average', 'p50', 'p90', 'p99', 'Max'], [[latency.count, formatMs(latency.avg), formatMs(latency.p50), formatMs(latency.p90), formatMs(latency.p99), formatMs(latency.max)]])}
+
+<h2>Directions</h2>
+${htmlTable(['Direction', 'Swaps', 'Failed', 'Landed / sent', 'Fees', 'Avg fee / swap', 'Latency p50', 'Volume', 'Value lost'],
+    Object.entries(report.directions).map(([direction, d]) => [
+      direction,
+      d.successful,
+      d.failed,
+      `${d.landed}/${d.sent}`,
+      formatSol(d.fees),
+      formatSol(d.avgFee),
+      formatMs(d.latencyP50),
+      `${d.inputVolume} ${d.inputToken || ''} (${formatUsd(d.volumeUsd)})`,
+      formatUsd(d.slippageLossUsd),
+    ]))}
+
+<h2>Priority fees</h2>
+${htmlTable(['Setting (lamports)', 'Sent', 'Landed', 'Landing rate', 'Avg fee', 'Latency p50'],
+    report.priorityFees.map(p => [p.setting, p.sent, p.landed, formatPercent(p.landed / p.sent), formatSol(p.avgFee), formatMs(p.latencyP50)]))}
+
+<h2>Routes</h2>
+${htmlTable(['Route', 'Landed / sent', 'Avg fee'], Object.entries(report.routes).map(([route, r]) => [route, `${r.landed}/${r.sent}`, formatSol(r.avgFee)]))}
+
+<h2>Settings</h2>
+${htmlTable(['Setting', 'Value'], settings)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report in one export format
+ * @param {Object} report - Run report
+ * @param {string} format - Format (see REPORT_FORMATS)
+ * @returns {string} File content
+ */
+function formatReport(report, format) {
+  switch (format) {
+    case 'csv':
+      return formatReportCsv(report);
+    case 'html':
+      return formatReportHtml(report);
+    case 'json':
+      return JSON.stringify(report, null, 2) + '\n';
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Write a report's exports to REPORT_DIR as <runId>.<format>
+ * @param {Object} report - Run report
+ * @param {string[]} formats - Formats to write (see REPORT_FORMATS)
+ * @returns {string[]} Written file paths
+ */
+export function writeReportFiles(report, formats) {
+  const contents = formats.map(format => formatReport(report, format));
+  mkdirSync(config.reportDir, { recursive: true });
+  return formats.map((format, i) => {
+    const path = join(config.reportDir, `${report.runId}.${format}`);
+    writeFileSync(path, contents[i]);
+    return path;
+  });
+}
@@ -0,0 +1,136 @@
+import { config } from './config.js';
+import { parsePair } from './tokens.js';
+
+/**
+ * Route options for a Jupiter quote
+ * @typedef {Object} RouteOptions
+ * @property {string[]} dexes - Only route through these DEXes (empty = all)
+ * @property {string[]} excludeDexes - Never route through these DEXes
+ * @property {boolean} onlyDirectRoutes - Single-hop routes only
+ * @property {number|null} maxAccounts - Max accounts the route may use (null = Jupiter default)
+ * @property {boolean} restrictIntermediateTokens - Only hop through liquid intermediate tokens
+ */
+
+/**
+ * Split a comma separated DEX list (labels as shown by Jupiter, e.g. "Whirlpool,Meteora DLMM")
+ * @param {string|string[]} spec - DEX list
+ * @returns {string[]} DEX labels
+ */
+function parseDexList(spec) {
+  if (Array.isArray(spec)) {
+    return spec.map(d => String(d).trim()).filter(Boolean);
+  }
+  return (spec || '').split(',').map(d => d.trim()).filter(Boolean);
+}
+
+/**
+ * Route options of the run (JUP_DEXES, JUP_EXCLUDE_DEXES, ONLY_DIRECT_ROUTES...)
+ * @returns {RouteOptions}
+ */
+function getDefaultRouteOptions() {
+  return {
+    dexes: parseDexList(config.routeDexes),
+    excludeDexes: parseDexList(config.routeExcludeDexes),
+    onlyDirectRoutes: config.onlyDirectRoutes,
+    maxAccounts: config.maxAccounts || null,
+    restrictIntermediateTokens: config.restrictIntermediateTokens,
+  };
+}
+
+/**
+ * Parse per-pair overrides: JSON object keyed by direction ("USDC->USDT"), values are partial route options
+ * @param {string} spec - PAIR_ROUTES JSON
+ * @returns {Object<string, Object>} Overrides keyed by upper-case direction
+ */
+export function parsePairRoutes(spec) {
+  if (!spec) {
+    return {};
+  }
+  
+  const parsed = JSON.parse(spec);
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error('expected a JSON object keyed by pair, e.g. {"USDC->USDT": {"onlyDirectRoutes": true}}');
+  }
+  
+  const overrides = {};
+  for (const [pair, options] of Object.entries(parsed)) {
+    const [input, output] = parsePair(pair);
+    const unknown = Object.keys(options).filter(key => !(key in getDefaultRouteOptions()));
+    if (unknown.length > 0) {
+      throw new Error(`unknown option(s) for ${pair}: ${unknown.join(', ')}`);
+    }
+    overrides[`${input}->${output}`.toUpperCase()] = options;
+  }
+  return overrides;
+}
+
+/**
+ * Route options for a swap direction: run defaults with the pair's overrides on top
+ * @param {string} direction - Normalized direction (e.g. 'USDC->USDT')
+ * @returns {RouteOptions}
+ */
+export function getRouteOptions(direction) {
+  const override = parsePairRoutes(config.pairRoutes)[direction.toUpperCase()] || {};
+  const options = { ...getDefaultRouteOptions(), ...override };
+  options.dexes = parseDexList(options.dexes);
+  options.excludeDexes = parseDexList(options.excludeDexes);
+  return options;
+}
+
+/**
+ * Describe route options for display
+ * @param {RouteOptions} options - Route options
+ * @returns {string} e.g. "dexes: Whirlpool, direct only, max 40 accounts" or "any route"
+ */
+export function describeRouteOptions(options) {
+  const parts = [];
+  if (options.dexes.length > 0) {
+    parts.push(`dexes: ${options.dexes.join(', ')}`);
+  }
+  if (options.excludeDexes.length > 0) {
+    parts.push(`excluding: ${options.excludeDexes.join(', ')}`);
+  }
+  if (options.onlyDirectRoutes) {
+    parts.push('direct only');
+  }
+  if (options.maxAccounts) {
+    parts.push(`max ${options.maxAccounts} accounts`);
+  }
+  if (options.restrictIntermediateTokens) {
+    parts.push('liquid intermediates only');
+  }
+  return parts.length > 0 ? parts.join(', ') : 'any route';
+}
+
+/**
+ * AMM labels of a quote's route, in hop order (e.g. ['Whirlpool', 'Meteora DLMM'])
+ * @param {Object} quote - Quote response from getQuote
+ * @returns {string[]} Labels
+ */
+export function getRouteLabels(quote) {
+  return (quote.routePlan || []).map(step => step.swapInfo?.label || 'unknown');
+}
+
+/**
+ * Describe a quote's route for display, with the share of split steps
+ * @param {Object} quote - Quote response from getQuote
+ * @returns {string} e.g. "Whirlpool" or "Raydium 60% → Whirlpool 40%"
+ */
+export function describeRoute(quote) {
+  return (quote.routePlan || [])
+    .map(step => `${step.swapInfo?.label || 'unknown'}${step.percent < 100 ? ` ${step.percent}%` : ''}`)
+    .join(' → ') || '(unknown)';
+}
+
+/**
+ * Validate route configuration (PAIR_ROUTES)
+ * @returns {string[]} Errors
+ */
+export function validateRouteConfig() {
+  try {
+    parsePairRoutes(config.pairRoutes);
+    return [];
+  } catch (error) {
+    return [`PAIR_ROUTES: ${error.message}`];
+  }
+}
@@ -0,0 +1,154 @@
+import { Connection } from '@solana/web3.js';
+import fetch from 'node-fetch';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { config } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Create a Solana connection with optional proxy support
+ * @param {string} rpcUrl - RPC endpoint URL
+ * @param {string} proxyUrl - HTTP proxy URL (default: PROXY_URL)
+ * @returns {Connection} Solana connection
+ */
+export function createConnection(rpcUrl, proxyUrl = config.proxyUrl) {
+  const connectionConfig = {
+    commitment: 'confirmed',
+  };
+  
+  // Add fetch with proxy if configured
+  if (proxyUrl) {
+    const agent = new HttpsProxyAgent(proxyUrl);
+    connectionConfig.fetch = (url, options) => {
+      return fetch(url, { ...options, agent });
+    };
+  }
+  
+  return new Connection(rpcUrl, connectionConfig);
+}
+
+// Endpoint is taken out of rotation after this many consecutive errors
+const MAX_CONSECUTIVE_ERRORS = 3;
+
+/**
+ * Parse RPC_URLS entries: "url" or "url|proxyUrl"
+ * @param {string} spec - Comma separated endpoints
+ * @returns {{url: string, proxyUrl: string}[]} Endpoints
+ */
+export function parseRpcEndpoints(spec) {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [url, proxyUrl] = entry.split('|').map(part => part.trim());
+      return { url, proxyUrl: proxyUrl || config.proxyUrl };
+    });
+}
+
+/**
+ * Create a pool of RPC endpoints that behaves like a single Connection
+ * Every Connection method call is routed to the healthiest endpoint (lowest latency,
+ * fewest errors) and fails over to the next one on error. Unhealthy endpoints are
+ * re-checked periodically and put back in rotation once they answer again.
+ * Extra methods: checkHealth(), getEndpointStats(), close()
+ * @param {{url: string, proxyUrl: string}[]} endpoints - RPC endpoints
+ * @returns {Connection} Connection-compatible pool
+ */
+export function createConnectionPool(endpoints) {
+  const pool = endpoints.map(({ url, proxyUrl }) => ({
+    url,
+    proxyUrl,
+    connection: createConnection(url, proxyUrl),
+    latencyMs: null, // Moving average
+    requests: 0,
+    errors: 0,
+    consecutiveErrors: 0,
+    healthy: true,
+    served: 0, // Successful calls
+  }));
+  
+  const recordSuccess = (endpoint, latencyMs) => {
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs * 0.8 + latencyMs * 0.2;
+    endpoint.consecutiveErrors = 0;
+    endpoint.healthy = true;
+  };
+  
+  const recordError = endpoint => {
+    endpoint.errors++;
+    endpoint.consecutiveErrors++;
+    if (endpoint.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS && endpoint.healthy) {
+      endpoint.healthy = false;
+      log.warn(`⚠️  RPC ${endpoint.url} marked unhealthy, failing over`, { event: 'rpc-failover', url: endpoint.url });
+    }
+  };
+  
+  // Healthy endpoints first, then by error rate and latency
+  const ranked = () => [...pool].sort((a, b) => {
+    if (a.healthy !== b.healthy) {
+      return a.healthy ? -1 : 1;
+    }
+    const score = e => (e.latencyMs ?? 1000) * (1 + (e.requests ? e.errors / e.requests : 0) * 10);
+    return score(a) - score(b);
+  });
+  
+  const call = async (method, args) => {
+    let lastError;
+    for (const endpoint of ranked()) {
+      const start = Date.now();
+      endpoint.requests++;
+      try {
+        const result = await endpoint.connection[method](...args);
+        recordSuccess(endpoint, Date.now() - start);
+        endpoint.served++;
+        return result;
+      } catch (error) {
+        recordError(endpoint);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+  
+  const checkHealth = async () => {
+    await Promise.all(pool.map(async endpoint => {
+      const start = Date.now();
+      try {
+        await endpoint.connection.getSlot();
+        recordSuccess(endpoint, Date.now() - start);
+      } catch (error) {
+        endpoint.consecutiveErrors = Math.max(endpoint.consecutiveErrors, MAX_CONSECUTIVE_ERRORS - 1);
+        recordError(endpoint);
+      }
+    }));
+  };
+  
+  // Periodic re-checks (unref'd so they never keep the process alive)
+  const timer = setInterval(() => checkHealth().catch(() => {}), config.rpcHealthCheckMs);
+  timer.unref();
+  
+  const extras = {
+    checkHealth,
+    getEndpointStats: () => pool.map(({ url, latencyMs, requests, errors, healthy, served }) => ({
+      url,
+      latencyMs: latencyMs === null ? null : Math.round(latencyMs),
+      requests,
+      errors,
+      healthy,
+      served,
+    })),
+    close: () => clearInterval(timer),
+  };
+  
+  return new Proxy(pool[0].connection, {
+    get(target, property) {
+      if (property in extras) {
+        return extras[property];
+      }
+      const best = ranked()[0].connection;
+      const value = best[property];
+      return typeof value === 'function'
+        ? (...args) => call(property, args)
+        : value;
+    },
+  });
+}
@@ -0,0 +1,367 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { config } from './config.js';
+import { executeBatchSwaps } from './swap.js';
+import { createRunId, listRuns, loadRunState } from './journal.js';
+import { getUsdPrice } from './jupiter.js';
+import { getSwapAmount, getToken, parseCycle, parsePair, resolveToken } from './tokens.js';
+import { createShutdownSignal } from './utils.js';
+import { log } from './logger.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// A run stopped by balances, guards or the loss budget is retried after this long
+const STOPPED_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Parse active hours into sorted minute-of-day windows
+ * A window wrapping past midnight ("22:00-02:00") is split in two
+ * @param {string} spec - Comma separated "HH[:MM]-HH[:MM]" windows in local time
+ * @returns {Array<[number, number]>} [start, end) minutes of the day
+ */
+export function parseActiveHours(spec) {
+  const windows = [];
+  
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) {
+      throw new Error(`invalid window "${part}", expected HH:MM-HH:MM`);
+    }
+    
+    const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes = '0']) => {
+      const value = parseInt(hours) * 60 + parseInt(minutes);
+      if (parseInt(minutes) >= 60 || value > MINUTES_PER_DAY) {
+        throw new Error(`invalid time in window "${part}"`);
+      }
+      return value;
+    });
+    if (start === end) {
+      throw new Error(`window "${part}" is empty`);
+    }
+    
+    if (start < end) {
+      windows.push([start, end]);
+    } else {
+      windows.push([start, MINUTES_PER_DAY]);
+      if (end > 0) {
+        windows.push([0, end]);
+      }
+    }
+  }
+  
+  if (windows.length === 0) {
+    throw new Error('no active hours given');
+  }
+  
+  // Merge overlapping windows
+  windows.sort((a, b) => a[0] - b[0]);
+  return windows.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window[0] <= last[1]) {
+      last[1] = Math.max(last[1], window[1]);
+    } else {
+      merged.push([...window]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Local calendar day of a date
+ * @param {Date} date - Date
+ * @returns {string} e.g. '2026-10-19'
+ */
+function getDayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A minute of a day as a date
+ * @param {Date} day - Any time of the day
+ * @param {number} minutes - Minute of the day (1440 = next midnight)
+ * @returns {Date} Local time
+ */
+function atMinute(day, minutes) {
+  const date = new Date(day);
+  date.setHours(0, minutes, 0, 0);
+  return date;
+}
+
+/**
+ * Active windows of the day as dates
+ * @param {Date} day - Any time of the day
+ * @returns {Array<[Date, Date]>} Windows
+ */
+function getWindows(day) {
+  return parseActiveHours(config.activeHours).map(([start, end]) => [atMinute(day, start), atMinute(day, end)]);
+}
+
+/**
+ * Active time left today
+ * @param {Date} now - Current time
+ * @returns {number} Milliseconds
+ */
+function getActiveMsLeft(now) {
+  return getWindows(now).reduce((sum, [start, end]) => sum + Math.max(0, end - Math.max(start, now)), 0);
+}
+
+/**
+ * Move forward by an amount of active time, skipping inactive hours
+ * @param {Date} now - Current time
+ * @param {number} activeMs - Active milliseconds to move
+ * @returns {Date|null} Resulting time, or null if today's active hours run out first
+ */
+function advanceActive(now, activeMs) {
+  let left = activeMs;
+  for (const [start, end] of getWindows(now)) {
+    if (end <= now) {
+      continue;
+    }
+    const from = start > now ? start : now;
+    if (left <= end - from) {
+      return new Date(from.getTime() + left);
+    }
+    left -= end - from;
+  }
+  return null;
+}
+
+/**
+ * Start of the first active window of the next day
+ * @param {Date} now - Current time
+ * @returns {Date} Local time
+ */
+function getNextDayStart(now) {
+  const tomorrow = atMinute(now, MINUTES_PER_DAY);
+  return getWindows(tomorrow)[0][0];
+}
+
+/**
+ * Pick the next swap time: the active time left, split evenly over the remaining swaps, randomized
+ * Spacing by remaining swaps + 1 keeps the last swap inside the active hours even at full jitter,
+ * and squeezes missed swaps into the rest of the day after a restart
+ * @param {Date} now - Current time
+ * @param {number} remaining - Swaps still to do today
+ * @returns {Date|null} Next swap time, or null if no active time is left today
+ */
+export function pickNextRun(now, remaining) {
+  const left = getActiveMsLeft(now);
+  if (remaining <= 0 || left <= 0) {
+    return null;
+  }
+  
+  const average = left / (remaining + 1);
+  const jitter = 1 + (Math.random() * 2 - 1) * config.intervalJitter;
+  return advanceActive(now, Math.max(config.swapDelayMs, average * jitter));
+}
+
+/**
+ * Random multiplier for the next swap amount (AMOUNT_JITTER)
+ * @returns {number} e.g. 0.8-1.2 with AMOUNT_JITTER=0.2
+ */
+function pickAmountFactor() {
+  return 1 + (Math.random() * 2 - 1) * config.amountJitter;
+}
+
+/**
+ * Describe the daily target for display
+ * @returns {string} e.g. "50 swaps" or "$200 volume"
+ */
+export function describeDailyTarget() {
+  return config.dailySwaps > 0 ? `${config.dailySwaps} swaps` : `$${config.dailyVolumeUsd} volume`;
+}
+
+/**
+ * Daily target in swaps per wallet; a USD volume target is converted with the average leg value
+ * @param {Connection} connection - Solana connection
+ * @returns {Promise<number>} Successful swaps per wallet
+ */
+async function getDailyTarget(connection) {
+  if (config.dailySwaps > 0) {
+    return config.dailySwaps;
+  }
+  
+  const legs = parseCycle(config.swapCycle);
+  let totalUsd = 0;
+  for (const leg of legs) {
+    const input = await resolveToken(connection, parsePair(leg)[0]);
+    totalUsd += getSwapAmount(input) * await getUsdPrice(input);
+  }
+  return Math.max(1, Math.ceil(config.dailyVolumeUsd / (totalUsd / legs.length)));
+}
+
+/**
+ * Read the persisted schedule
+ * @returns {Object|null} { day, target, carried, runId, nextRunAt } or null if there is none
+ */
+function loadSchedule() {
+  if (!existsSync(config.schedulePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(config.schedulePath, 'utf8'));
+  } catch (error) {
+    log.warn(`⚠️  Ignoring unreadable schedule ${config.schedulePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Persist the schedule, so a restart keeps the next run time and today's run
+ * @param {Object} schedule - Schedule state
+ */
+function saveSchedule(schedule) {
+  writeFileSync(config.schedulePath, JSON.stringify(schedule, null, 2) + '\n');
+}
+
+/**
+ * Swaps per wallet a previous day's schedule didn't get to
+ * @param {Object} schedule - Previous day's schedule
+ * @returns {number} Missed swaps per wallet
+ */
+function getMissedSwaps(schedule) {
+  const run = schedule.runId ? listRuns().find(r => r.runId === schedule.runId) : null;
+  if (!run) {
+    return schedule.target;
+  }
+  return Math.max(0, run.targetCount - Math.floor(run.successful / run.wallets.length));
+}
+
+/**
+ * Plan a new day: target (plus the previous day's missed swaps with CATCH_UP) and first swap time
+ * @param {Connection} connection - Solana connection
+ * @param {Date} now - Current time
+ * @param {Object|null} previous - Previous day's schedule
+ * @param {number} walletCount - Wallets sharing the day's active hours
+ * @returns {Promise<Object>} Schedule state
+ */
+export async function planDay(connection, now, previous, walletCount) {
+  const base = await getDailyTarget(connection);
+  // At most one extra day's worth, so a long outage doesn't turn into a burst
+  const carried = previous && config.catchUp ? Math.min(base, getMissedSwaps(previous)) : 0;
+  const target = base + carried;
+  const first = pickNextRun(now, target * walletCount) || getNextDayStart(now);
+  
+  log.info(`\n📅 ${getDayKey(now)}: ${target} swaps per wallet${carried > 0 ? ` (${carried} carried over)` : ''}, first at ${first.toLocaleTimeString()}`, {
+    event: 'daily-plan',
+    day: getDayKey(now),
+    target,
+    carried,
+    firstAt: first.toISOString(),
+  });
+  return { day: getDayKey(now), target, carried, runId: null, nextRunAt: first.toISOString() };
+}
+
+/**
+ * Daemon mode: spread the daily target over the active hours, one journaled run per day
+ * Runs until Ctrl-C / SIGTERM; a restart resumes today's run and catches up on missed swaps
+ * @param {Keypair[]} keypairs - Wallet keypairs
+ * @param {Connection} connection - Solana connection
+ */
+export async function runDaemon(keypairs, connection) {
+  const shutdown = createShutdownSignal('stopping the scheduler');
+  let schedule = loadSchedule();
+  
+  while (!shutdown.requested) {
+    const now = new Date();
+    if (schedule?.day !== getDayKey(now)) {
+      schedule = await planDay(connection, now, schedule, keypairs.length);
+      saveSchedule(schedule);
+    }
+    
+    // Sleep until the next swap, waking at midnight at the latest to plan the next day
+    const waitMs = new Date(schedule.nextRunAt) - now;
+    if (waitMs > 0) {
+      log.info(`\n⏰ Next swap at ${new Date(schedule.nextRunAt).toLocaleString()}`, { event: 'next-run', at: schedule.nextRunAt });
+      await shutdown.sleep(Math.min(waitMs, atMinute(now, MINUTES_PER_DAY) - now + 1000));
+      continue;
+    }
+    
+    const resume = schedule.runId ? loadRunState(schedule.runId) : null;
+    if (resume?.completed) {
+      schedule.nextRunAt = getNextDayStart(now).toISOString();
+      saveSchedule(schedule);
+      continue;
+    }
+    if (!resume) {
+      // Saved before the first swap so a crash resumes this run
+      schedule.runId = schedule.runId || createRunId();
+      saveSchedule(schedule);
+    }
+    
+    let paused = false;
+    const result = await executeBatchSwaps(keypairs, connection, schedule.target, config.swapDelayMs, {
+      resume,
+      runId: schedule.runId,
+      amountFactor: pickAmountFactor,
+      concurrency: 1, // The schedule times every swap
+      nextDelay: ({ successful, total }) => {
+        const next = pickNextRun(new Date(), total - successful);
+        if (!next) {
+          paused = true;
+          schedule.nextRunAt = getNextDayStart(new Date()).toISOString();
+          saveSchedule(schedule);
+          return { stop: 'no active hours left today' };
+        }
+        schedule.nextRunAt = next.toISOString();
+        saveSchedule(schedule);
+        return { delayMs: next - Date.now() };
+      },
+    });
+    
+    if (shutdown.requested) {
+      break;
+    }
+    if (!result.interrupted) {
+      log.info(`\n🎯 Daily target reached (${schedule.target} swaps per wallet)`, { event: 'daily-target-reached', day: schedule.day });
+      schedule.nextRunAt = getNextDayStart(new Date()).toISOString();
+    } else if (!paused) {
+      const retryAt = new Date(Date.now() + STOPPED_RETRY_MS);
+      log.warn(`\n⚠️  Run stopped (${result.stopReasons.map(s => s.reason).join('; ')}), retrying at ${retryAt.toLocaleTimeString()}`, {
+        event: 'run-retry',
+        runId: schedule.runId,
+        at: retryAt.toISOString(),
+      });
+      schedule.nextRunAt = retryAt.toISOString();
+    }
+    saveSchedule(schedule);
+  }
+  
+  shutdown.dispose();
+  log.info(`\n👋 Scheduler stopped (next swap was due ${new Date(schedule.nextRunAt).toLocaleString()}, kept in ${config.schedulePath})`, {
+    event: 'daemon-stop',
+    nextRunAt: schedule.nextRunAt,
+  });
+}
+
+/**
+ * Validate scheduler configuration (ACTIVE_HOURS, daily target)
+ * @returns {string[]} Errors
+ */
+export function validateScheduleConfig() {
+  const errors = [];
+  
+  try {
+    parseActiveHours(config.activeHours);
+  } catch (error) {
+    errors.push(`ACTIVE_HOURS: ${error.message}`);
+  }
+  
+  if (config.dailySwaps > 0 && config.dailyVolumeUsd > 0) {
+    errors.push('Set either DAILY_SWAPS or DAILY_VOLUME_USD, not both');
+  }
+  
+  // The volume target is converted to swaps with the typical amount of each leg
+  if (config.dailyVolumeUsd > 0) {
+    try {
+      const percentLegs = parseCycle(config.swapCycle).filter(leg => getSwapAmount(getToken(parsePair(leg)[0])) === null);
+      if (percentLegs.length > 0) {
+        errors.push(`DAILY_VOLUME_USD needs fixed or range amounts, not a share of the balance (${percentLegs.join(', ')})`);
+      }
+    } catch (error) {
+      // Invalid cycles and amounts are reported by validateTokenConfig
+    }
+  }
+  
+  return errors;
+}
@@ -0,0 +1,157 @@
+import { config } from './config.js';
+import { createConnection } from './rpc.js';
+import { sleep } from './utils.js';
+import { log } from './logger.js';
+
+// A blockhash is valid for ~150 blocks (about a minute); used as expiry when the block height can't be read
+const BLOCKHASH_LIFETIME_MS = 90000;
+// Failed status checks in a row, once the blockhash has expired, before giving up on the signature
+const MAX_FAILED_CHECKS_AFTER_EXPIRY = 10;
+
+let broadcastConnections = null;
+
+/**
+ * Connections for SEND_RPC_URLS, created on first use (none with the paper backend)
+ * @returns {Connection[]} Extra broadcast connections
+ */
+function getBroadcastConnections() {
+  if (!broadcastConnections) {
+    broadcastConnections = config.backend === 'paper' ? [] : config.sendRpcUrls.map(url => createConnection(url));
+  }
+  return broadcastConnections;
+}
+
+/**
+ * Outcome of a sent transaction
+ * - landed:  confirmed on-chain without error
+ * - failed:  confirmed on-chain with an error (fee was still paid)
+ * - expired: blockhash expired before it landed, it can never land anymore
+ *            (also given when its status still can't be checked well after expiry)
+ * @typedef {Object} SignatureOutcome
+ * @property {'landed'|'failed'|'expired'} status
+ * @property {Object|null} err - On-chain error (failed only)
+ * @property {number|null} slot - Slot the transaction landed in
+ */
+
+/**
+ * Classify a signature status, null if not yet definitive
+ * @param {Object|null} status - Entry from getSignatureStatuses
+ * @returns {SignatureOutcome|null}
+ */
+function classifyStatus(status) {
+  if (!status || !['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+    return null;
+  }
+  return {
+    status: status.err ? 'failed' : 'landed',
+    err: status.err || null,
+    slot: status.slot,
+  };
+}
+
+/**
+ * Poll a sent signature until it has definitively landed, failed on-chain or expired
+ * Network errors don't end the wait while the transaction can still land: a new attempt is only safe
+ * once this one is dead. Past expiry, MAX_FAILED_CHECKS_AFTER_EXPIRY failed checks in a row end it as expired
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction's blockhash is valid for
+ * @returns {Promise<SignatureOutcome>}
+ */
+export async function waitForSignature(connection, signature, lastValidBlockHeight) {
+  const startedAt = Date.now();
+  let pastExpiry = false;
+  let failedChecks = 0; // In a row, past expiry
+  while (true) {
+    try {
+      const { value: [status] } = await connection.getSignatureStatuses([signature]);
+      const outcome = classifyStatus(status);
+      if (outcome) {
+        return outcome;
+      }
+      
+      const blockHeight = await connection.getBlockHeight('confirmed');
+      failedChecks = 0;
+      if (blockHeight > lastValidBlockHeight) {
+        pastExpiry = true;
+        // Blockhash expired: one last look through history before declaring it dead
+        const { value: [finalStatus] } = await connection.getSignatureStatuses([signature], {
+          searchTransactionHistory: true,
+        });
+        const finalOutcome = classifyStatus(finalStatus);
+        if (finalOutcome) {
+          return finalOutcome;
+        }
+        // Seen but not confirmed yet: keep waiting for it to settle
+        if (!finalStatus) {
+          return { status: 'expired', err: null, slot: null };
+        }
+      }
+    } catch (e) {
+      if (pastExpiry || Date.now() - startedAt > BLOCKHASH_LIFETIME_MS) {
+        failedChecks++;
+      }
+      if (failedChecks >= MAX_FAILED_CHECKS_AFTER_EXPIRY) {
+        log.warn(`⚠️  Status check failed ${failedChecks} times after expiry, giving up: ${e.message}`, {
+          event: 'status-check-failed',
+          signature,
+          attempt: failedChecks,
+        });
+        return { status: 'expired', err: null, slot: null };
+      }
+      log.warn(`⚠️  Status check failed, retrying: ${e.message}`, { event: 'status-check-failed', signature });
+    }
+    
+    await sleep(config.statusPollMs);
+  }
+}
+
+/**
+ * Send a signed transaction and keep rebroadcasting it until it lands, fails or expires
+ * The same signed bytes are sent every REBROADCAST_MS to the primary connection
+ * and every SEND_RPC_URLS endpoint, so a dropped transaction gets another chance
+ * without ever creating a second swap
+ * @param {Connection} connection - Primary Solana connection
+ * @param {Uint8Array} rawTransaction - Serialized signed transaction
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction's blockhash is valid for
+ * @returns {Promise<SignatureOutcome & {broadcasts: number}>} Outcome and number of broadcast rounds
+ */
+export async function sendAndConfirmTransaction(connection, rawTransaction, signature, lastValidBlockHeight) {
+  const targets = [connection, ...getBroadcastConnections()];
+  
+  const broadcast = () => Promise.allSettled(
+    targets.map(c => c.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }))
+  );
+  
+  const first = await broadcast();
+  const rejected = first.filter(r => r.status === 'rejected');
+  if (rejected.length === targets.length) {
+    // Every endpoint errored, but a node may still have received it: keep going
+    log.warn(`⚠️  Send error (tx may still land): ${rejected[0].reason?.message}`, { event: 'send-error', signature });
+  }
+  
+  // Rebroadcast in the background until the outcome is known
+  let broadcasts = 1;
+  let stop;
+  const stopped = new Promise(resolve => { stop = resolve; });
+  const rebroadcaster = (async () => {
+    while (true) {
+      const isStopped = await Promise.race([sleep(config.rebroadcastMs).then(() => false), stopped.then(() => true)]);
+      if (isStopped) {
+        return;
+      }
+      await broadcast();
+      broadcasts++;
+      log.debug(`📡 Rebroadcast #${broadcasts}: ${signature}`, { event: 'rebroadcast', signature, broadcasts });
+    }
+  })();
+  
+  try {
+    const outcome = await waitForSignature(connection, signature, lastValidBlockHeight);
+    return { ...outcome, broadcasts };
+  } finally {
+    stop();
+    await rebroadcaster;
+  }
+}
@@ -2,289 +2,1347 @@ import {
   Connection,
   VersionedTransaction,
 } from '@solana/web3.js';
-import { config, TOKENS, DECIMALS } from './config.js';
+import { config } from './config.js';
+import bs58 from 'bs58';
 import {
-  getQuote,
-  getSwapTransaction,
-  getSwapAmountInSmallestUnits,
+  getSolPrice,
+  getUsdPrice,
   formatAmount,
 } from './jupiter.js';
+import { getMaskedPublicKey } from './wallet.js';
+import { getAssociatedTokenAddress, getTokenBalance, decodeTokenAmount } from './accounts.js';
+import { sendAndConfirmTransaction, waitForSignature } from './sender.js';
+import { fetchSwapAccounting } from './accounting.js';
+import { createRunId, appendJournal, getRunEntries } from './journal.js';
+import { describePriorityFee, getPriorityFee, recordSwapTransaction, recordSwapOutcome } from './fees.js';
+import { sleep, createShutdownSignal } from './utils.js';
+import { parsePair, parseCycle, getToken, resolveToken } from './tokens.js';
+import { planSwap, pickSwapAmount } from './balances.js';
+import { prepareTokenAccounts } from './rent.js';
+import { measureGoal, findUnvaluedSwap, describeGoal, formatGoalProgress } from './goals.js';
+import { checkQuote, computeLossUsd, describeGuards } from './guards.js';
+import { getRouteOptions, describeRouteOptions, getRouteLabels, describeRoute } from './routes.js';
+import { getSwapProvider, getProvider, describeProvider } from './providers.js';
+import { log } from './logger.js';
+
+// Pause before asking for a fresh quote after a guard rejected one
+const REQUOTE_DELAY_MS = 2000;
 
 /**
  * Execute a single swap
  * @param {Keypair} keypair - Wallet keypair
  * @param {Connection} connection - Solana connection
- * @param {string} direction - 'USDC_TO_USDT' or 'USDT_TO_USDC'
+ * @param {string} direction - Token pair, e.g. 'USDC->USDT' or 'SOL->USDC' (legacy 'USDC_TO_USDT' accepted)
+ * @param {Object} hooks - Optional callbacks
+ * @param {function(Object): void} hooks.onSent - Called with { signature, lastValidBlockHeight, mints, amounts, route... }
+ *   before the first broadcast, enough to account for the swap if it lands after an interruption
+ * @param {number} hooks.amount - Input amount in smallest units (default: drawn from SWAP_AMOUNT / SWAP_AMOUNTS)
  * @returns {Promise<Object>} Swap result
  */
-export async function executeSwap(keypair, connection, direction) {
+export async function executeSwap(keypair, connection, direction, hooks = {}) {
   const startTime = Date.now();
   
-  // Get balance before swap for gas calculation (optional, don't fail if it errors)
-  let balanceBefore = null;
-  try {
-    balanceBefore = await connection.getBalance(keypair.publicKey);
-  } catch (e) {
-    // Ignore balance fetch error, gas calculation will be skipped
+  // Determine input/output tokens (decimals and token program read from the mint if unknown)
+  const [inputSymbol, outputSymbol] = parsePair(direction);
+  const input = await resolveToken(connection, inputSymbol);
+  const output = await resolveToken(connection, outputSymbol);
+  if (input.mint === output.mint) {
+    throw new Error(`Cannot swap ${input.symbol} into itself`);
   }
+  const inputMint = input.mint;
+  const outputMint = output.mint;
+  direction = `${input.symbol}->${output.symbol}`;
+  const routeOptions = getRouteOptions(direction);
   
-  // Determine input/output tokens
-  const isUsdcToUsdt = direction === 'USDC_TO_USDT';
-  const inputToken = isUsdcToUsdt ? 'USDC' : 'USDT';
-  const outputToken = isUsdcToUsdt ? 'USDT' : 'USDC';
-  const inputMint = TOKENS[inputToken];
-  const outputMint = TOKENS[outputToken];
+  // Get swap amount (fixed, drawn from a range or a share of the balance)
+  const inputAmount = hooks.amount ?? await pickSwapAmount(connection, keypair.publicKey, input);
   
-  // Get fixed swap amount
-  const inputAmount = getSwapAmountInSmallestUnits(inputToken);
+  // Pick priority fee for this swap (fixed / percentile / adaptive), also used to compare providers
+  const priorityFee = await getPriorityFee(connection, direction);
   
-  console.log(`\n📊 Getting quote: ${formatAmount(inputAmount, inputToken)} → ${outputToken}`);
+  log.info(`\n📊 Getting quote: ${formatAmount(inputAmount, input)} → ${output.symbol}`);
   
-  // Get quote
-  const quote = await getQuote(inputMint, outputMint, inputAmount);
+  // Get quote, re-quoting while it fails the price impact / output ratio guards
+  const provider = getSwapProvider();
+  const request = {
+    input,
+    output,
+    amount: inputAmount,
+    routeOptions,
+    userPublicKey: keypair.publicKey.toBase58(),
+    priorityFee,
+  };
+  let quote = await provider.quote(request);
+  let rejection = await checkQuote(quote, input, output);
+  for (let requote = 1; rejection && requote <= config.guardRequotes; requote++) {
+    log.warn(`⚠️  Quote rejected (${rejection}), re-quoting ${requote}/${config.guardRequotes}...`, {
+      event: 'requote',
+      direction,
+      attempt: requote,
+      reason: rejection,
+    });
+    await sleep(REQUOTE_DELAY_MS);
+    quote = await provider.quote(request);
+    rejection = await checkQuote(quote, input, output);
+  }
+  if (rejection) {
+    const error = new Error(`Quote rejected: ${rejection}`);
+    error.status = 'rejected';
+    error.route = getRouteLabels(quote);
+    error.provider = quote.provider;
+    throw error;
+  }
   const expectedOutput = parseInt(quote.outAmount);
   
-  console.log(`💱 Expected output: ${formatAmount(expectedOutput, outputToken)}`);
-  console.log(`📈 Price impact: ${quote.priceImpactPct}%`);
+  log.info(`💱 Expected output: ${formatAmount(expectedOutput, output)}`, {
+    event: 'quote',
+    wallet: keypair.publicKey.toBase58(),
+    direction,
+    provider: quote.provider,
+    inputAmount,
+    expectedOutput,
+    priceImpactPct: parseFloat(quote.priceImpactPct || '0') * 100,
+  });
+  log.info(`📈 Price impact: ${(parseFloat(quote.priceImpactPct || '0') * 100).toFixed(4)}%`);
+  log.info(`🛣️  Route: ${describeRoute(quote)}`);
+  if (config.swapProvider !== 'jupiter') {
+    log.info(`🔌 Provider: ${quote.provider}`);
+  }
+  const route = getRouteLabels(quote);
+  // The provider's USD value of the quoted input, used when the price lookup fails
+  const quoteValueUsd = Number.isFinite(parseFloat(quote.swapUsdValue)) ? parseFloat(quote.swapUsdValue) : null;
   
-  // Get swap transaction
-  console.log('🔄 Building transaction...');
-  const swapResponse = await getSwapTransaction(quote, keypair.publicKey.toBase58());
+  // Get swap transaction from the provider that made the quote
+  const executor = getProvider(quote.provider);
+  log.info(`🔄 Building transaction (priority fee: ${priorityFee === 'auto' ? 'auto' : `${priorityFee} lamports`})...`);
+  const swapResponse = await executor.buildTransaction(quote, keypair.publicKey.toBase58(), priorityFee);
   
   // Deserialize and sign transaction
   const swapTransactionBuf = Buffer.from(swapResponse.swapTransaction, 'base64');
   const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
+  recordSwapTransaction(direction, transaction, swapResponse.computeUnitLimit);
   
   // Sign with wallet
   transaction.sign([keypair]);
   
-  // Send transaction
-  console.log('📤 Sending transaction...');
-  const signature = await connection.sendRawTransaction(transaction.serialize(), {
-    skipPreflight: true,
-    maxRetries: 3,
+  // Dry run: simulate instead of sending
+  if (config.dryRun) {
+    return simulateSwap(keypair, connection, transaction, {
+      direction,
+      input,
+      output,
+      inputAmount,
+      expectedOutput,
+      priorityFee,
+      route,
+      provider: quote.provider,
+      quoteValueUsd,
+      startTime,
+    });
+  }
+  
+  // The signature is known before sending, so it can be tracked even if the send call errors
+  const signature = bs58.encode(transaction.signatures[0]);
+  const lastValidBlockHeight = swapResponse.lastValidBlockHeight
+    ?? (await connection.getBlockHeight('confirmed')) + 150; // Blockhash lifetime fallback
+  
+  hooks.onSent?.({
+    signature,
+    lastValidBlockHeight,
+    inputMint,
+    outputMint,
+    inputAmount,
+    expectedOutput,
+    priorityFeeSetting: priorityFee,
+    route,
+    provider: quote.provider,
+    quoteValueUsd,
   });
   
-  console.log(`🔗 Signature: ${signature}`);
-  console.log(`🌐 Explorer: https://solscan.io/tx/${signature}`);
+  // Send and rebroadcast until landed, failed on-chain or expired (or let the provider land it)
+  log.info(`📤 Sending transaction (${signature})${executor.execute ? ` via ${executor.name}` : ''}...`, {
+    event: 'sent',
+    wallet: keypair.publicKey.toBase58(),
+    direction,
+    signature,
+    priorityFee,
+  });
+  log.info(`🌐 Explorer: https://solscan.io/tx/${signature}`);
+  log.info('⏳ Confirming transaction...');
+  const outcome = executor.execute
+    ? await executor.execute(quote, transaction, connection, lastValidBlockHeight)
+    : await sendAndConfirmTransaction(connection, transaction.serialize(), signature, lastValidBlockHeight);
+  if (outcome.broadcasts > 1) {
+    log.info(`📡 Broadcast ${outcome.broadcasts} times`);
+  }
+  recordSwapOutcome(outcome.status);
+  
+  if (outcome.status !== 'landed') {
+    const error = new Error(outcome.status === 'failed'
+      ? `Transaction failed: ${JSON.stringify(outcome.err)}`
+      : 'Transaction expired (blockhash no longer valid, it will not land)');
+    error.status = outcome.status;
+    error.signature = signature;
+    error.priorityFeeSetting = priorityFee;
+    error.route = route;
+    error.provider = quote.provider;
+    // A transaction that failed on-chain still paid its fee
+    if (outcome.status === 'failed') {
+      try {
+        const { fee } = await fetchSwapAccounting(connection, signature, keypair.publicKey.toBase58(), inputMint, outputMint);
+        error.fee = fee;
+      } catch (e) {
+        // Fee unknown
+      }
+    }
+    throw error;
+  }
   
-  // Confirm transaction
-  console.log('⏳ Confirming transaction...');
-  let confirmationError = null;
+  const duration = Date.now() - startTime;
+  
+  // Exact fee, rent and token movements from the transaction metadata
+  let accounting = null;
   try {
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-    if (confirmation.value.err) {
-      confirmationError = `Transaction failed: ${JSON.stringify(confirmation.value.err)}`;
+    accounting = await fetchSwapAccounting(connection, signature, keypair.publicKey.toBase58(), inputMint, outputMint);
+  } catch (e) {
+    log.warn(`⚠️  Accounting unavailable, using quote amounts: ${e.message}`, { event: 'accounting-unavailable', signature });
+  }
+  
+  if (accounting) {
+    const feeSol = accounting.fee / 1e9;
+    let feeDisplay = `⛽ Fee: ${feeSol.toFixed(6)} SOL (priority ${(accounting.priorityFee / 1e9).toFixed(6)})`;
+    try {
+      // Get SOL price for USD conversion
+      const solPriceUsdc = await getSolPrice();
+      feeDisplay += ` (~$${(feeSol * solPriceUsdc).toFixed(4)})`;
+    } catch (e) {
+      // Failed to get price, show without USD
+    }
+    log.info(feeDisplay);
+    
+    if (accounting.rentDeposits > 0 || accounting.rentRefunds > 0) {
+      log.info(`🏠 Rent: +${(accounting.rentDeposits / 1e9).toFixed(6)} SOL deposited, -${(accounting.rentRefunds / 1e9).toFixed(6)} SOL refunded`);
     }
+    log.info(`💱 Spent ${formatAmount(accounting.inputSpent, input)}, received ${formatAmount(accounting.outputReceived, output)} (quoted ${formatAmount(expectedOutput, output)})`);
+  }
+  
+  log.info(`✅ Swap completed in ${duration}ms`, {
+    event: 'swap',
+    wallet: keypair.publicKey.toBase58(),
+    direction,
+    signature,
+    inputAmount: accounting ? accounting.inputSpent : inputAmount,
+    outputAmount: accounting ? accounting.outputReceived : expectedOutput,
+    expectedOutput,
+    fee: accounting ? accounting.fee : null,
+    priorityFee: accounting ? accounting.priorityFee : null,
+    rentNet: accounting ? accounting.rentNet : 0,
+    slot: outcome.slot,
+    broadcasts: outcome.broadcasts,
+    durationMs: duration,
+  });
+  
+  return buildSwapResult({
+    wallet: keypair.publicKey.toBase58(),
+    signature,
+    direction,
+    input,
+    output,
+    inputAmount,
+    expectedOutput,
+    priorityFeeSetting: priorityFee,
+    route,
+    provider: quote.provider,
+    quoteValueUsd,
+    duration,
+    slot: outcome.slot,
+    broadcasts: outcome.broadcasts,
+  }, accounting);
+}
+
+/**
+ * Build the result of a landed swap, from its accounting or the quote amounts when that is unavailable
+ * @param {Object} swap - wallet, signature, direction, input/output tokens, inputAmount, expectedOutput,
+ *   priorityFeeSetting, route, provider, quoteValueUsd, duration, slot, broadcasts
+ * @param {SwapAccounting|null} accounting - Exact accounting from the transaction metadata
+ * @returns {Promise<Object>} Swap result
+ */
+async function buildSwapResult(swap, accounting) {
+  const { input, output, expectedOutput } = swap;
+  const inputAmount = accounting ? accounting.inputSpent : swap.inputAmount;
+  const outputAmount = accounting ? accounting.outputReceived : expectedOutput;
+  return {
+    wallet: swap.wallet,
+    signature: swap.signature,
+    direction: swap.direction,
+    inputAmount,
+    inputToken: input.symbol,
+    inputMint: input.mint,
+    inputDecimals: input.decimals,
+    inputValueUsd: await valueUsd(inputAmount, input) ?? swap.quoteValueUsd ?? null,
+    outputAmount,
+    expectedOutput,
+    outputToken: output.symbol,
+    outputMint: output.mint,
+    outputDecimals: output.decimals,
+    outputValueUsd: await valueUsd(outputAmount, output),
+    gasUsed: accounting ? accounting.fee : 0,
+    fee: accounting ? accounting.fee : null,
+    priorityFee: accounting ? accounting.priorityFee : null,
+    rentDeposits: accounting ? accounting.rentDeposits : 0,
+    rentRefunds: accounting ? accounting.rentRefunds : 0,
+    rentNet: accounting ? accounting.rentNet : 0,
+    accountsCreated: accounting ? accounting.accountsCreated : 0,
+    priorityFeeSetting: swap.priorityFeeSetting,
+    route: swap.route,
+    provider: swap.provider,
+    exact: Boolean(accounting),
+    duration: swap.duration,
+    status: 'landed',
+    slot: swap.slot,
+    broadcasts: swap.broadcasts,
+    success: true,
+  };
+}
+
+/**
+ * Account for a swap found landed (or failed on-chain) when resuming an interrupted run
+ * @param {Connection} connection - Solana connection
+ * @param {Object} sent - 'sent' journal entry of the transaction
+ * @param {Object} outcome - Outcome from waitForSignature
+ * @returns {Promise<{accounting: SwapAccounting|null, result: Object|null}>} Accounting (null if unavailable),
+ *   and the swap result if it landed
+ */
+async function reconcileSentSwap(connection, sent, outcome) {
+  // An expired transaction never made it on-chain, there is nothing to account for
+  if (outcome.status !== 'landed' && outcome.status !== 'failed') {
+    return { accounting: null, result: null };
+  }
+  const [inputSymbol, outputSymbol] = parsePair(sent.direction);
+  const input = await resolveToken(connection, inputSymbol);
+  const output = await resolveToken(connection, outputSymbol);
+  let accounting = null;
+  try {
+    accounting = await fetchSwapAccounting(
+      connection,
+      sent.signature,
+      sent.wallet,
+      sent.inputMint || input.mint,
+      sent.outputMint || output.mint,
+    );
   } catch (e) {
-    // Network error during confirmation - transaction may still have succeeded
-    console.log(`⚠️  Confirmation check failed (tx may still be successful): ${e.message}`);
+    log.warn(`⚠️  Accounting unavailable for ${sent.signature}: ${e.message}`, { event: 'accounting-unavailable', signature: sent.signature });
+  }
+  if (outcome.status !== 'landed') {
+    return { accounting, result: null };
   }
   
-  if (confirmationError) {
-    throw new Error(confirmationError);
+  const result = await buildSwapResult({
+    wallet: sent.wallet,
+    signature: sent.signature,
+    direction: sent.direction,
+    input,
+    output,
+    inputAmount: sent.inputAmount ?? null,
+    expectedOutput: sent.expectedOutput ?? null,
+    priorityFeeSetting: sent.priorityFeeSetting ?? null,
+    route: sent.route ?? null,
+    provider: sent.provider ?? null,
+    quoteValueUsd: sent.quoteValueUsd ?? null,
+    duration: null, // Started before the interruption
+    slot: outcome.slot,
+    broadcasts: null,
+  }, accounting);
+  return { accounting, result };
+}
+
+/**
+ * Simulate a signed swap transaction instead of sending it (dry run)
+ * Reports compute units, fee, logs and simulated balance changes
+ * @param {Keypair} keypair - Wallet keypair
+ * @param {Connection} connection - Solana connection
+ * @param {VersionedTransaction} transaction - Signed swap transaction
+ * @param {Object} swap - Swap details (direction, tokens, amounts, route, provider, quoteValueUsd, startTime)
+ * @returns {Promise<Object>} Swap result with simulation details
+ */
+async function simulateSwap(keypair, connection, transaction, swap) {
+  const { direction, input, output, inputAmount, expectedOutput, priorityFee, route, provider, quoteValueUsd, startTime } = swap;
+  const owner = keypair.publicKey;
+  const inputAccount = getAssociatedTokenAddress(owner, input.mint, input.programId);
+  const outputAccount = getAssociatedTokenAddress(owner, output.mint, output.programId);
+  
+  // Current state, to diff against the simulated post-state
+  const [solBefore, inputBefore, outputBefore] = await Promise.all([
+    connection.getBalance(owner),
+    getTokenBalance(connection, inputAccount),
+    getTokenBalance(connection, outputAccount),
+  ]);
+  
+  log.info('🧪 Simulating transaction (dry run)...');
+  const { value: simulation } = await connection.simulateTransaction(transaction, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    accounts: {
+      encoding: 'base64',
+      addresses: [owner, inputAccount, outputAccount].map(a => a.toBase58()),
+    },
+  });
+  
+  const logs = simulation.logs || [];
+  logs.forEach(line => log.info(`   │ ${line}`));
+  
+  if (simulation.err) {
+    throw new Error(`Simulation failed: ${JSON.stringify(simulation.err)}`);
   }
   
-  const duration = Date.now() - startTime;
+  // Post-state: missing accounts count as empty
+  const [ownerAfter, inputAfterAccount, outputAfterAccount] = simulation.accounts || [];
+  const tokenAfter = account => account ? decodeTokenAmount(Buffer.from(account.data[0], 'base64')) : 0n;
+  const solChange = ownerAfter ? ownerAfter.lamports - solBefore : null;
   
-  // Get balance after swap for gas calculation
-  let gasUsed = 0;
-  let isRentPayment = false;
+  // Fee for the signed message (base + priority fee)
+  let fee = null;
   try {
-    if (balanceBefore !== null) {
-      const balanceAfter = await connection.getBalance(keypair.publicKey);
-      gasUsed = balanceBefore - balanceAfter;
-      const gasUsedSol = gasUsed / 1e9;
-      
-      // Check if this includes rent (Token Account creation costs ~0.002 SOL)
-      // Normal swap gas is typically < 0.0005 SOL
-      if (gasUsedSol > 0.001) {
-        isRentPayment = true;
-        console.log(`⛽ Gas used: ${gasUsedSol.toFixed(6)} SOL (includes rent for Token Account creation)`);
-        // Set gasUsed to 0 so it won't be counted in statistics
-        gasUsed = 0;
-      } else {
-        // Get SOL price for USD conversion
-        let gasDisplay = `⛽ Gas used: ${gasUsedSol.toFixed(6)} SOL`;
-        try {
-          const solQuote = await getQuote(
-            'So11111111111111111111111111111111111111112', // SOL
-            TOKENS.USDC,
-            1e9 // 1 SOL
-          );
-          const solPriceUsdc = parseInt(solQuote.outAmount) / 1e6;
-          const gasUsdc = gasUsedSol * solPriceUsdc;
-          gasDisplay += ` (~$${gasUsdc.toFixed(4)})`;
-        } catch (e) {
-          // Failed to get price, show without USD
-        }
-        console.log(gasDisplay);
-      }
-    } else {
-      console.log(`⛽ Gas used: (unable to calculate)`);
-    }
+    ({ value: fee } = await connection.getFeeForMessage(transaction.message, 'confirmed'));
   } catch (e) {
-    console.log(`⛽ Gas used: (unable to fetch)`);
+    // Blockhash may already be unknown to the node, fee stays unknown
   }
   
-  console.log(`✅ Swap completed in ${duration}ms`);
+  // Native SOL is wrapped and unwrapped within the transaction, so it shows up in the wallet's lamports
+  const tokenChange = (token, before, after) => token.native
+    ? (solChange ?? 0) + (fee || 0)
+    : Number(tokenAfter(after) - before);
+  const inputChange = tokenChange(input, inputBefore, inputAfterAccount);
+  const outputChange = tokenChange(output, outputBefore, outputAfterAccount);
+  
+  const duration = Date.now() - startTime;
+  const signature = bs58.encode(transaction.signatures[0]);
   
+  log.info(`🧮 Compute units: ${simulation.unitsConsumed ?? '(unknown)'}`);
+  log.info(`⛽ Simulated fee: ${fee !== null ? `${(fee / 1e9).toFixed(6)} SOL` : '(unknown)'}`);
+  if (solChange !== null) {
+    log.info(`💰 SOL change: ${(solChange / 1e9).toFixed(6)} SOL`);
+  }
+  log.info(`💱 ${input.symbol} change: ${formatAmount(inputChange, input)}`);
+  log.info(`💱 ${output.symbol} change: ${formatAmount(outputChange, output)}`);
+  log.info(`✅ Simulation completed in ${duration}ms (nothing was sent)`, {
+    event: 'simulation',
+    wallet: owner.toBase58(),
+    direction,
+    inputAmount,
+    expectedOutput,
+    fee,
+    unitsConsumed: simulation.unitsConsumed ?? null,
+    durationMs: duration,
+  });
+  
+  const outputAmount = outputChange > 0 ? outputChange : expectedOutput;
   return {
+    wallet: owner.toBase58(),
     signature,
     direction,
     inputAmount,
-    inputToken,
-    outputAmount: expectedOutput,
-    outputToken,
-    gasUsed,
-    isRentPayment,
+    inputToken: input.symbol,
+    inputMint: input.mint,
+    inputDecimals: input.decimals,
+    inputValueUsd: await valueUsd(inputAmount, input) ?? quoteValueUsd,
+    outputAmount,
+    outputToken: output.symbol,
+    outputMint: output.mint,
+    outputDecimals: output.decimals,
+    outputValueUsd: await valueUsd(outputAmount, output),
+    gasUsed: fee || 0,
+    accountsCreated: 0,
+    priorityFeeSetting: priorityFee,
+    route,
+    provider,
     duration,
+    status: 'simulated',
     success: true,
+    dryRun: true,
+    simulation: {
+      unitsConsumed: simulation.unitsConsumed ?? null,
+      fee,
+      solChange,
+      tokenChanges: {
+        [input.symbol]: inputChange,
+        [output.symbol]: outputChange,
+      },
+      logs,
+    },
   };
 }
 
 /**
- * Execute batch swaps with alternating directions
- * Target: reach specified number of SUCCESSFUL swaps
+ * Value a token amount in USD at the current price
+ * @param {number} amount - Amount in smallest units
+ * @param {Token} token - Registry token
+ * @returns {Promise<number|null>} USD value, null if the price is unavailable
+ */
+async function valueUsd(amount, token) {
+  if (amount == null) {
+    return null;
+  }
+  try {
+    return amount / Math.pow(10, token.decimals) * await getUsdPrice(token);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Execute batch swaps along the configured token cycle
+ * Target: reach the goal on every wallet (SUCCESSFUL swaps by default, or traded volume / fees spent)
  * Failed swaps will be retried
- * @param {Keypair} keypair - Wallet keypair
+ * @param {Keypair|Keypair[]} keypairs - Wallet keypair, or several to run in turn / round-robin
  * @param {Connection} connection - Solana connection
- * @param {number} targetCount - Target number of successful swaps
+ * @param {number} targetCount - Target number of successful swaps per wallet (unless options.goal is set)
  * @param {number} delayMs - Delay between swaps in ms
+ * @param {Object} options - Batch options
+ * @param {Object} options.resume - Run state from loadRunState() to continue an interrupted batch
+ * @param {string} options.runId - Id for a new run (default: generated)
+ * @param {BatchGoal} options.goal - Goal per wallet (default: targetCount successful swaps; a resumed run keeps its own)
+ * @param {function(Object): Object} options.nextDelay - Called with { successful, total } after each swap,
+ *   returns { delayMs } to wait before the next one or { stop } to pause the run (still resumable)
+ * @param {function(): number} options.amountFactor - Multiplier on the swap amount, called once per swap
+ * @param {number} options.concurrency - Swaps in flight at once (default: SWAP_CONCURRENCY); with more than one,
+ *   the delay spaces out swap starts instead of following each swap
  * @returns {Promise<Object>} Batch result summary
  */
-export async function executeBatchSwaps(keypair, connection, targetCount, delayMs = config.swapDelayMs) {
-  const priorityFeeDisplay = config.priorityFeeLamports > 0 
-    ? `${config.priorityFeeLamports} lamports` 
-    : 'auto';
-  
-  console.log(`\n🚀 Starting batch targeting ${targetCount} successful swaps (USDC ↔ USDT)...`);
-  console.log(`⏱️  Delay between swaps: ${delayMs}ms`);
-  console.log(`💰 Amount per swap: ${config.swapAmount} USDC/USDT`);
-  console.log(`⛽ Priority fee: ${priorityFeeDisplay}`);
-  console.log(`🔄 Max retries per failure: ${config.maxRetries}`);
-  console.log('─'.repeat(50));
-  
-  const results = [];
-  let successCount = 0;
-  let totalAttempts = 0;
-  let totalFailures = 0;
-  let directionIndex = 0; // Track direction for alternating
-  
-  while (successCount < targetCount) {
-    // Alternate direction: even = USDC→USDT, odd = USDT→USDC
-    const direction = directionIndex % 2 === 0 ? 'USDC_TO_USDT' : 'USDT_TO_USDC';
-    
-    console.log(`\n[✅ ${successCount}/${targetCount}] Attempt #${totalAttempts + 1} - ${direction}`);
+export async function executeBatchSwaps(keypairs, connection, targetCount, delayMs = config.swapDelayMs, options = {}) {
+  const { resume = null, nextDelay = null, amountFactor = () => 1 } = options;
+  const concurrency = options.concurrency ?? config.swapConcurrency;
+  // Legs of the swap cycle, e.g. USDC->USDT->USDC gives USDC->USDT then USDT->USDC
+  const legs = parseCycle(config.swapCycle);
+  
+  // Per-wallet state, each wallet walks the cycle on its own
+  const wallets = (Array.isArray(keypairs) ? keypairs : [keypairs]).map(keypair => ({
+    keypair,
+    label: getMaskedPublicKey(keypair),
+    results: [],
+    successCount: 0,
+    totalFailures: 0,
+    attempts: newAttemptCounts(), // Every attempt, by outcome
+    directionIndex: 0, // Position in the swap cycle
+    stopped: null, // Why a balance check stopped this wallet
+    inFlight: 0, // Swaps started and not finished yet
+    pending: {}, // Input amounts reserved by swaps in flight, by symbol
+    waiting: false, // Waiting on its swaps in flight for funds
+  }));
+  const goal = resume?.start.goal || options.goal || { type: 'swaps', target: targetCount };
+  const totalTarget = goal.target * wallets.length;
+  const walletProgress = wallet => measureGoal(goal, wallet.results);
+  const totalProgress = () => wallets.reduce((sum, w) => sum + walletProgress(w), 0);
+  const goalReached = () => wallets.every(w => walletProgress(w) >= goal.target);
+  
+  // Every attempt is journaled so an interrupted batch can be resumed
+  const runId = resume ? resume.start.runId : options.runId || createRunId();
+  let walletCursor = 0; // Next wallet to use in round-robin order
+  if (resume) {
+    for (const wallet of wallets) {
+      const state = resume.wallets[wallet.keypair.publicKey.toBase58()];
+      if (state) {
+        wallet.results = state.results;
+        wallet.successCount = state.successCount;
+        wallet.totalFailures = state.totalFailures;
+        wallet.directionIndex = state.directionIndex;
+        Object.assign(wallet.attempts, state.attempts);
+      }
+    }
+    walletCursor = resume.walletCursor;
+    appendJournal({ type: 'batch-resume', runId });
+    log.info(`\n♻️  Resuming run ${runId}`, { event: 'batch-resume', runId });
     
+    // Transactions sent right before the interruption may still have landed
+    for (const sent of resume.pending) {
+      const wallet = wallets.find(w => w.keypair.publicKey.toBase58() === sent.wallet);
+      if (!wallet) {
+        continue;
+      }
+      log.info(`🔍 Reconciling in-flight ${sent.direction}: ${sent.signature}`);
+      const outcome = await waitForSignature(connection, sent.signature, sent.lastValidBlockHeight);
+      const { accounting, result } = await reconcileSentSwap(connection, sent, outcome);
+      wallet.attempts[outcome.status]++;
+      appendJournal(attemptEntry(runId, 0, result || { ...sent, status: outcome.status, fee: accounting?.fee ?? null }));
+      log.info(`   → ${outcome.status}`, {
+        event: 'reconcile',
+        wallet: sent.wallet,
+        direction: sent.direction,
+        signature: sent.signature,
+        status: outcome.status,
+        fee: accounting?.fee ?? null,
+      });
+      
+      if (result) {
+        wallet.results.push(result);
+        wallet.successCount++;
+        wallet.directionIndex++;
+        appendJournal({ type: 'swap', runId, wallet: sent.wallet, result });
+      }
+    }
+  } else {
+    appendJournal({
+      type: 'batch-start',
+      runId,
+      targetCount,
+      goal,
+      wallets: wallets.map(w => w.keypair.publicKey.toBase58()),
+      walletOrder: config.walletOrder,
+      delayMs,
+      swapAmount: config.swapAmount,
+      swapAmounts: config.swapAmounts,
+      swapCycle: config.swapCycle,
+      concurrency,
+      directionMode: config.directionMode,
+      lossBudgetUsd: config.lossBudgetUsd,
+      routeOptions: Object.fromEntries(legs.map(leg => [leg, getRouteOptions(leg)])),
+      slippageBps: config.slippageBps,
+      priorityFeeLamports: config.priorityFeeLamports,
+      swapProvider: describeProvider(),
+      maxRetries: config.maxRetries,
+      dryRun: config.dryRun,
+      backend: config.backend,
+    });
+  }
+  
+  log.info(`\n🚀 Starting batch targeting ${describeGoal(goal)} (${config.swapCycle})...`, {
+    event: 'batch-start',
+    runId,
+    goal,
+    wallets: wallets.length,
+    swapCycle: config.swapCycle,
+    concurrency,
+    dryRun: config.dryRun,
+    backend: config.backend,
+  });
+  if (wallets.length > 1) {
+    log.info(`👛 Wallets: ${wallets.length} (${config.walletOrder}), ${describeGoal({ ...goal, target: totalTarget })} in total`);
+  }
+  if (nextDelay) {
+    log.info(`⏱️  Delay between swaps: set by the schedule${concurrency > 1 ? ` (between starts, ${concurrency} swaps in flight)` : ''}`);
+  } else {
+    log.info(`⏱️  Delay between swaps: ${delayMs}ms${concurrency > 1 ? ` (between starts, ${concurrency} swaps in flight)` : ''}`);
+  }
+  log.info(`💰 Amount per swap: ${config.swapAmount}${config.swapAmounts ? ` (overrides: ${config.swapAmounts})` : ''}`);
+  log.info(`🧭 Direction: ${config.directionMode === 'rebalance' ? `rebalance (±${config.rebalanceBand * 100}% band)` : 'cycle'}, SOL reserve ${config.solReserve} SOL`);
+  log.info(`⛽ Priority fee: ${describePriorityFee()}`);
+  log.info(`🔌 Provider: ${describeProvider()}`);
+  log.info(`🛡️  Guards: ${describeGuards()}`);
+  for (const leg of new Set(legs)) {
+    log.info(`🛣️  Routes ${leg}: ${describeRouteOptions(getRouteOptions(leg))}`);
+  }
+  log.info(`🔄 Max retries per failure: ${config.maxRetries}`);
+  log.info(`📒 Run: ${runId} (journal: ${config.journalPath})`);
+  log.info('─'.repeat(50));
+  
+  // Token accounts the cycle trades into, created up front when CREATE_TOKEN_ACCOUNTS is set.
+  // Their rent is its own line item, including accounts created before a resume
+  const setup = { created: 0, rentDeposits: 0, fee: 0 };
+  for (const entry of resume?.setup || []) {
+    setup.created += entry.tokens.length;
+    setup.rentDeposits += entry.rentDeposits;
+    setup.fee += entry.fee;
+  }
+  const cycleTokens = [];
+  for (const symbol of new Set(legs.flatMap(parsePair))) {
+    cycleTokens.push(await resolveToken(connection, symbol));
+  }
+  for (const wallet of wallets) {
+    try {
+      const prepared = await prepareTokenAccounts(wallet.keypair, connection, cycleTokens, runId);
+      setup.created += prepared.created.length;
+      setup.rentDeposits += prepared.rentDeposits;
+      setup.fee += prepared.fee;
+    } catch (error) {
+      // Swaps still create the accounts they need
+      log.warn(`⚠️  ${wallets.length > 1 ? `${wallet.label}: ` : ''}Token account setup failed: ${error.message}`, {
+        event: 'setup-failed',
+        wallet: wallet.keypair.publicKey.toBase58(),
+      });
+    }
+  }
+  
+  let successCount = wallets.reduce((sum, w) => sum + w.successCount, 0);
+  
+  // Snapshot of RPC pool usage, to report which endpoints served this run
+  const endpointsBefore = connection.getEndpointStats?.() || null;
+  
+  // Ctrl-C / SIGTERM: stop scheduling, let the swaps in flight land or expire, then summarize
+  const shutdown = createShutdownSignal(`finishing the swap${concurrency > 1 ? 's' : ''} in flight, then printing the summary`);
+  
+  let batchStop = null; // Why the whole batch stopped (loss budget, guards)
+  let guardSkips = 0; // Swaps skipped because every quote failed a guard
+  let consecutiveGuardSkips = 0;
+  const inFlight = new Set(); // Promises of the swaps in flight
+  let swapNumber = 0; // Swaps started in this session
+  let nextStartAt = 0; // Earliest time the next swap may start
+  
+  // Progress the wallet's swaps in flight are expected to add (the average of its swaps so far)
+  const projectedProgress = wallet => {
+    const progress = walletProgress(wallet);
+    const perSwap = wallet.successCount > 0 ? progress / wallet.successCount : goal.type === 'swaps' ? 1 : 0;
+    return progress + wallet.inFlight * perSwap;
+  };
+  
+  // Wait before the next swap; a schedule may also pause the run
+  const scheduleNext = () => {
+    const next = nextDelay ? nextDelay({ successful: successCount, total: totalTarget }) : { delayMs };
+    if (next.stop) {
+      batchStop = next.stop;
+      log.info(`\n⏸️  Pausing: ${batchStop}`, { event: 'pause', reason: batchStop });
+      return;
+    }
+    if (next.delayMs >= 60000) {
+      log.info(`\n⏳ Next swap at ${new Date(Date.now() + next.delayMs).toLocaleTimeString()}...`);
+    } else if (next.delayMs > 0 || concurrency === 1) {
+      log.info(`\n⏳ Waiting ${next.delayMs}ms before next swap...`);
+    }
+    nextStartAt = Date.now() + next.delayMs;
+  };
+  
+  /**
+   * Run one swap slot with retries and record its outcome
+   * Never throws, so slots can run side by side and finish in any order
+   * @param {Object} wallet - Wallet state
+   * @param {string} direction - Leg assigned to this slot
+   * @param {Object|null} plan - Pre-flight plan (amount), null if the balance check failed
+   */
+  const runSwapSlot = async (wallet, direction, plan) => {
     let success = false;
+    let rejected = null; // Guard rejection, the swap is skipped without retries
     let lastError = null;
+    let lastStatus = null;
+    let failedAttemptFees = 0; // Fees paid by attempts that failed on-chain
+    const signatures = []; // Every signature sent for this swap
     
     // Try with retries
     for (let retry = 0; retry <= config.maxRetries; retry++) {
       if (retry > 0) {
-        console.log(`\n🔄 Retry ${retry}/${config.maxRetries}...`);
-        await sleep(delayMs); // Wait before retry
+        if (shutdown.requested) {
+          break; // Don't start a new attempt while stopping
+        }
+        log.info(`\n🔄 ${direction} retry ${retry}/${config.maxRetries}...`, {
+          event: 'retry',
+          wallet: wallet.keypair.publicKey.toBase58(),
+          direction,
+          attempt: retry,
+        });
+        await shutdown.sleep(delayMs); // Wait before retry
+        if (shutdown.requested) {
+          break;
+        }
       }
       
+      // executeSwap only returns/throws once the attempt is definitively dead or landed,
+      // so a retry can never double-swap
       try {
-        const result = await executeSwap(keypair, connection, direction);
-        results.push(result);
+        const result = await executeSwap(wallet.keypair, connection, direction, {
+          onSent: sent => appendJournal({ type: 'sent', runId, wallet: wallet.keypair.publicKey.toBase58(), direction, ...sent }),
+          amount: plan?.amount,
+        });
+        wallet.attempts[result.status]++;
+        appendJournal(attemptEntry(runId, retry, result));
+        const swapResult = { ...result, failedAttemptFees };
+        wallet.results.push(swapResult);
+        appendJournal({ type: 'swap', runId, wallet: swapResult.wallet, result: compactResult(swapResult) });
+        wallet.successCount++;
         successCount++;
-        directionIndex++; // Move to next direction only on success
+        consecutiveGuardSkips = 0;
         success = true;
         break;
       } catch (error) {
+        if (error.status === 'rejected') {
+          rejected = error.message;
+          break; // Nothing was sent; the quote already had its re-quotes
+        }
         lastError = error.message;
-        console.error(`❌ Swap failed: ${error.message}`);
+        lastStatus = error.status || 'notSent';
+        wallet.attempts[lastStatus]++;
+        if (error.signature) {
+          signatures.push(error.signature);
+        }
+        failedAttemptFees += error.fee || 0;
+        appendJournal(attemptEntry(runId, retry, {
+          wallet: wallet.keypair.publicKey.toBase58(),
+          direction,
+          status: lastStatus,
+          signature: error.signature || null,
+          fee: error.fee ?? null,
+          priorityFeeSetting: error.priorityFeeSetting ?? null,
+          route: error.route ?? null,
+          provider: error.provider ?? null,
+          error: error.message,
+        }));
+        log.error(`❌ Swap failed (${lastStatus}): ${error.message}`, {
+          event: 'attempt-failed',
+          wallet: wallet.keypair.publicKey.toBase58(),
+          direction,
+          attempt: retry,
+          status: lastStatus,
+          signature: error.signature || null,
+          fee: error.fee ?? null,
+          error: error.message,
+        });
       }
-      
-      totalAttempts++;
     }
     
-    if (!success) {
-      totalFailures++;
-      results.push({
+    if (rejected) {
+      guardSkips++;
+      consecutiveGuardSkips++;
+      appendJournal({ type: 'skip', runId, wallet: wallet.keypair.publicKey.toBase58(), direction, reason: rejected });
+      log.info(`⏭️  Skipping ${direction}: ${rejected}`, {
+        event: 'skip',
+        wallet: wallet.keypair.publicKey.toBase58(),
+        direction,
+        reason: rejected,
+      });
+      if (consecutiveGuardSkips >= config.guardMaxSkips && !batchStop) {
+        batchStop = `${consecutiveGuardSkips} swaps in a row skipped by the quote guards`;
+        log.warn(`\n🛑 Stopping: ${batchStop}`, { event: 'stop', reason: batchStop });
+      }
+    } else if (!success && shutdown.requested) {
+      // Retries were cut short: leave this slot open so a resume retries it
+      log.warn(`⚠️  Stopped before ${direction} succeeded, it is not counted as failed`);
+    } else if (!success) {
+      wallet.totalFailures++;
+      const failure = {
+        wallet: wallet.keypair.publicKey.toBase58(),
         direction,
         success: false,
+        status: lastStatus,
+        signatures,
+        failedAttemptFees,
+        error: lastError,
+      };
+      wallet.results.push(failure);
+      appendJournal({ type: 'swap', runId, wallet: failure.wallet, result: failure });
+      log.warn(`⚠️  Moving on from ${direction} after ${config.maxRetries} failed retries`, {
+        event: 'swap-failed',
+        wallet: failure.wallet,
+        direction,
+        status: lastStatus,
+        signatures,
+        fee: failedAttemptFees,
         error: lastError,
       });
-      // Still move to next direction after max retries exhausted
-      directionIndex++;
-      console.log(`⚠️  Moving to next swap after ${config.maxRetries} failed retries`);
     }
     
-    totalAttempts++;
+    if (concurrency === 1 && !goalReached() && !shutdown.requested && !batchStop) {
+      scheduleNext();
+    }
+  };
+  
+  // Swaps are planned and started one at a time, in cycle order; up to SWAP_CONCURRENCY of them
+  // are in flight at once and may finish in any order
+  while (!shutdown.requested && !batchStop) {
+    if (goalReached()) {
+      break;
+    }
+    
+    // A swap of unknown value can't count towards a volume goal: stop rather than trade on without progress
+    const unvalued = findUnvaluedSwap(goal, wallets.flatMap(w => w.results));
+    if (unvalued) {
+      batchStop = `USD value of ${unvalued.direction} swap ${unvalued.signature} is unknown, volume can't be measured`;
+      log.error(`\n🛑 Stopping: ${batchStop}`, { event: 'stop', reason: batchStop, signature: unvalued.signature });
+      break;
+    }
     
-    // Wait before next swap (if not done yet)
-    if (successCount < targetCount) {
-      console.log(`\n⏳ Waiting ${delayMs}ms before next swap...`);
-      await sleep(delayMs);
+    // Loss budget: slippage plus fees of the whole run, including before a resume
+    if (config.lossBudgetUsd > 0) {
+      let solPrice = null;
+      try {
+        solPrice = await getSolPrice();
+      } catch (e) {
+        // Fees can't be valued right now, slippage is still counted
+      }
+      const lossUsd = computeLossUsd(wallets.flatMap(w => w.results), solPrice);
+      if (lossUsd >= config.lossBudgetUsd) {
+        batchStop = `loss budget used up ($${lossUsd.toFixed(4)} of $${config.lossBudgetUsd})`;
+        log.warn(`\n🛑 Stopping: ${batchStop}`, { event: 'stop', reason: batchStop });
+        break;
+      }
+    }
+    
+    // Wallets that still need swaps and weren't stopped by a balance check
+    const active = wallets.filter(w => projectedProgress(w) < goal.target && !w.stopped);
+    // Of those, the ones that can start a swap now (not waiting on their swaps in flight for funds)
+    const ready = active.filter(w => !w.waiting);
+    const wait = nextStartAt - Date.now();
+    if (inFlight.size >= concurrency || ready.length === 0 || wait > 0) {
+      if (inFlight.size === 0 && active.length === 0) {
+        break;
+      }
+      await Promise.race([...inFlight, ...(wait > 0 ? [shutdown.sleep(wait)] : [])]);
+      continue;
+    }
+    
+    // Sequential: finish each wallet before the next; round-robin: rotate after every swap
+    let wallet;
+    if (config.walletOrder === 'round-robin') {
+      while (!ready.includes(wallets[walletCursor % wallets.length])) {
+        walletCursor++;
+      }
+      wallet = wallets[walletCursor % wallets.length];
+      walletCursor++;
+    } else if (ready.includes(active[0])) {
+      wallet = active[0];
+    } else {
+      await Promise.race(inFlight);
+      continue;
+    }
+    const walletTag = wallets.length > 1 ? ` [${wallet.label}]` : '';
+    
+    // Pre-flight: skip legs the wallet can't fund, stop it when SOL drops below the reserve.
+    // Input amounts of its swaps in flight are already spoken for
+    let plan = null;
+    try {
+      plan = await planSwap(connection, wallet.keypair.publicKey, legs, wallet.directionIndex, amountFactor(), wallet.pending);
+    } catch (error) {
+      log.warn(`⚠️ ${walletTag} Balance check failed, following the cycle: ${error.message}`, {
+        event: 'balance-check-failed',
+        wallet: wallet.keypair.publicKey.toBase58(),
+      });
+    }
+    if (plan && (plan.stop || plan.skipped.length > 0) && wallet.inFlight > 0) {
+      // Swaps in flight may bring the funds (or free them): wait for one to finish instead of skipping
+      wallet.waiting = true;
+      continue;
+    }
+    if (plan?.stop) {
+      plan.skipped.forEach(skip => log.info(`   - ${skip.direction}: ${skip.reason}`));
+      wallet.stopped = plan.stop;
+      log.warn(`\n🛑${walletTag} Stopping: ${plan.stop}`, { event: 'stop', wallet: wallet.keypair.publicKey.toBase58(), reason: plan.stop });
+      continue;
+    }
+    if (plan) {
+      for (const skip of plan.skipped) {
+        log.info(`⏭️ ${walletTag} Skipping ${skip.direction}: ${skip.reason}`, {
+          event: 'skip',
+          wallet: wallet.keypair.publicKey.toBase58(),
+          direction: skip.direction,
+          reason: skip.reason,
+        });
+        appendJournal({ type: 'skip', runId, wallet: wallet.keypair.publicKey.toBase58(), ...skip });
+      }
+      // Move to the chosen leg (the next one in cycle mode unless skipped, any leg when rebalancing)
+      wallet.directionIndex += (plan.legIndex - wallet.directionIndex % legs.length + legs.length) % legs.length;
+    }
+    
+    // The slot's direction is fixed when it starts, so out-of-order completions keep the cycle intact
+    const direction = legs[wallet.directionIndex % legs.length];
+    wallet.directionIndex++;
+    swapNumber++;
+    
+    const label = concurrency > 1 ? `Swap #${swapNumber}` : `Attempt #${countAttempts(wallet.attempts) + 1}`;
+    const running = concurrency > 1 ? ` (${inFlight.size + 1} in flight)` : '';
+    log.info(`\n[${formatGoalProgress(goal, totalProgress(), totalTarget)}]${walletTag} ${label} - ${direction}${running}`, {
+      event: 'swap-start',
+      wallet: wallet.keypair.publicKey.toBase58(),
+      direction,
+      swap: swapNumber,
+      inFlight: inFlight.size + 1,
+    });
+    
+    // Reserve the input amount until the swap finishes
+    const input = getToken(parsePair(direction)[0]);
+    const reserved = BigInt(plan?.amount ?? 0);
+    wallet.pending[input.symbol] = (wallet.pending[input.symbol] ?? 0n) + reserved;
+    wallet.inFlight++;
+    
+    const slot = runSwapSlot(wallet, direction, plan).finally(() => {
+      wallet.pending[input.symbol] -= reserved;
+      wallet.inFlight--;
+      // Balances changed: a wallet waiting for funds may be able to continue
+      wallet.waiting = false;
+      inFlight.delete(slot);
+    });
+    inFlight.add(slot);
+    
+    if (concurrency > 1 && !goalReached()) {
+      scheduleNext();
+    }
+  }
+  
+  // Stopping: let every swap in flight land or expire so the summary and journal are complete
+  if (inFlight.size > 0) {
+    log.info(`\n⏳ Waiting for ${inFlight.size} swap(s) in flight...`);
+    await Promise.all(inFlight);
+  }
+  
+  const stopReasons = wallets.filter(w => w.stopped).map(w => ({ wallet: w.keypair.publicKey.toBase58(), reason: w.stopped }));
+  if (batchStop) {
+    stopReasons.push({ wallet: null, reason: batchStop });
+  }
+  const interrupted = (shutdown.requested || stopReasons.length > 0) && !goalReached();
+  const progress = totalProgress();
+  shutdown.dispose();
+  
+  const results = wallets.flatMap(w => w.results);
+  const attempts = newAttemptCounts();
+  for (const w of wallets) {
+    for (const key of Object.keys(attempts)) {
+      attempts[key] += w.attempts[key];
     }
   }
+  const totalAttempts = countAttempts(attempts);
+  const totalFailures = wallets.reduce((sum, w) => sum + w.totalFailures, 0);
   
-  // Calculate total gas used (exclude rent payments)
-  const swapResults = results.filter(r => r.success && r.gasUsed && !r.isRentPayment);
-  const rentPayments = results.filter(r => r.success && r.isRentPayment).length;
-  const totalGasUsed = swapResults.reduce((sum, r) => sum + r.gasUsed, 0);
+  // Calculate fees, rent and slippage from the per-swap accounting
+  const costs = summarizeCosts(results);
+  const { swapCount, totalGasUsed, rentPayments } = costs;
   const totalGasSol = totalGasUsed / 1e9;
   
   // Get SOL price in USDC
   let solPriceUsdc = null;
   try {
-    const { getQuote } = await import('./jupiter.js');
-    const quote = await getQuote(
-      'So11111111111111111111111111111111111111112', // SOL
-      TOKENS.USDC,
-      1e9 // 1 SOL in lamports
-    );
-    solPriceUsdc = parseInt(quote.outAmount) / 1e6;
+    solPriceUsdc = await getSolPrice();
   } catch (e) {
     // Failed to get price
   }
   
   // Print summary
-  console.log('\n' + '═'.repeat(50));
-  console.log('📊 BATCH SUMMARY');
-  console.log('═'.repeat(50));
-  console.log(`🎯 Target swaps: ${targetCount}`);
-  console.log(`✅ Successful: ${successCount}`);
-  console.log(`❌ Failed (after retries): ${totalFailures}`);
-  console.log(`📈 Total attempts: ${totalAttempts}`);
+  log.info('\n' + '═'.repeat(50));
+  log.info(interrupted ? '📊 BATCH SUMMARY (stopped early)' : '📊 BATCH SUMMARY');
+  log.info('═'.repeat(50));
+  if (goal.type === 'swaps') {
+    log.info(`🎯 Target swaps: ${totalTarget}`);
+  } else {
+    log.info(`🎯 Goal: ${describeGoal({ ...goal, target: totalTarget })}`);
+    log.info(`📊 Progress: ${formatGoalProgress(goal, progress, totalTarget)} (${(progress / totalTarget * 100).toFixed(1)}%)`);
+  }
+  log.info(`✅ Successful: ${successCount}`);
+  log.info(`❌ Failed (after retries): ${totalFailures}`);
+  log.info(`📈 Total attempts: ${totalAttempts} (${formatAttemptCounts(attempts)})`);
+  for (const w of wallets.filter(w => w.stopped)) {
+    log.info(`🛑 ${wallets.length > 1 ? `${w.label}: ` : ''}${w.stopped}`);
+  }
+  if (batchStop) {
+    log.info(`🛑 ${batchStop}`);
+  }
+  if (guardSkips > 0) {
+    log.info(`🛡️  Skipped by quote guards: ${guardSkips}`);
+  }
   
-  // Show rent payment info if any
-  if (rentPayments > 0) {
-    console.log(`🏠 Token Account rent payments: ${rentPayments} (excluded from gas stats)`);
+  // Show rent info if any (tracked separately from gas, recoverable with `cleanup`)
+  if (setup.created > 0) {
+    log.info(`🏠 Rent (setup): ${setup.created} account(s) created up front, +${(setup.rentDeposits / 1e9).toFixed(6)} SOL deposited, fee ${(setup.fee / 1e9).toFixed(6)} SOL`);
+  }
+  if (rentPayments > 0 || costs.rentRefunds > 0) {
+    log.info(`🏠 Rent (swaps): ${rentPayments} account creation(s), +${(costs.rentDeposits / 1e9).toFixed(6)} SOL deposited, -${(costs.rentRefunds / 1e9).toFixed(6)} SOL refunded`);
   }
   
-  const swapCount = swapResults.length;
   if (solPriceUsdc && swapCount > 0) {
     const totalGasUsdc = totalGasSol * solPriceUsdc;
-    console.log(`⛽ Total gas used: ${totalGasSol.toFixed(6)} SOL (~$${totalGasUsdc.toFixed(4)}) [${swapCount} swaps]`);
+    log.info(`⛽ Total gas used: ${totalGasSol.toFixed(6)} SOL (~$${totalGasUsdc.toFixed(4)}) [${swapCount} swaps]`);
     const avgGasSol = totalGasSol / swapCount;
     const avgGasUsdc = totalGasUsdc / swapCount;
-    console.log(`⛽ Avg gas per swap: ${avgGasSol.toFixed(6)} SOL (~$${avgGasUsdc.toFixed(4)})`);
+    log.info(`⛽ Avg gas per swap: ${avgGasSol.toFixed(6)} SOL (~$${avgGasUsdc.toFixed(4)})`);
   } else if (swapCount > 0) {
-    console.log(`⛽ Total gas used: ${totalGasSol.toFixed(6)} SOL [${swapCount} swaps]`);
-    console.log(`⛽ Avg gas per swap: ${(totalGasSol / swapCount).toFixed(6)} SOL`);
+    log.info(`⛽ Total gas used: ${totalGasSol.toFixed(6)} SOL [${swapCount} swaps]`);
+    log.info(`⛽ Avg gas per swap: ${(totalGasSol / swapCount).toFixed(6)} SOL`);
   } else {
-    console.log(`⛽ Gas stats: (no data available)`);
+    log.info(`⛽ Gas stats: (no data available)`);
+  }
+  if (costs.totalPriorityFees > 0) {
+    log.info(`⛽ Priority fees: ${(costs.totalPriorityFees / 1e9).toFixed(6)} SOL`);
+  }
+  
+  // Chosen priority fees vs landing rate, to tune the cost / landing trade-off
+  const feeSettings = results
+    .filter(r => r.success && typeof r.priorityFeeSetting === 'number')
+    .map(r => r.priorityFeeSetting);
+  if (feeSettings.length > 0) {
+    const avgSetting = feeSettings.reduce((sum, f) => sum + f, 0) / feeSettings.length;
+    log.info(`⛽ Priority fee chosen (${config.priorityFeeStrategy}): min ${Math.min(...feeSettings)} / avg ${Math.round(avgSetting)} / max ${Math.max(...feeSettings)} lamports`);
+  }
+  const sent = attempts.landed + attempts.failed + attempts.expired;
+  if (sent > 0) {
+    log.info(`📡 Landing rate: ${(attempts.landed / sent * 100).toFixed(1)}% (${attempts.landed}/${sent} sent)`);
+  }
+  
+  // True net P&L: slippage/spread + fees + net rent (swaps and setup)
+  const rentNet = costs.rentNet + setup.rentDeposits;
+  let netPnlUsd = null;
+  if (costs.exactCount > 0) {
+    const loss = costs.slippageLossUsd;
+    log.info(`💵 Slippage/spread: ${loss > 0 ? '-' : '+'}$${Math.abs(loss).toFixed(6)} [${costs.exactCount} swaps]`);
+    if (solPriceUsdc) {
+      const feesUsd = (totalGasUsed + setup.fee) / 1e9 * solPriceUsdc;
+      const rentUsd = rentNet / 1e9 * solPriceUsdc;
+      netPnlUsd = -(costs.slippageLossUsd + feesUsd + rentUsd);
+      log.info(`💵 Fees: -$${feesUsd.toFixed(4)} | Rent (net): -$${rentUsd.toFixed(4)}`);
+      log.info(`💵 Net P&L: ${netPnlUsd < 0 ? '-' : '+'}$${Math.abs(netPnlUsd).toFixed(4)}`);
+    }
+  }
+  if (config.lossBudgetUsd > 0) {
+    const lossUsd = computeLossUsd(results, solPriceUsdc);
+    log.info(`🛡️  Loss budget: $${lossUsd.toFixed(4)} of $${config.lossBudgetUsd} used`);
+  }
+  
+  // Dry run: project the cost of the full batch from the simulated swaps
+  const simulated = results.filter(r => r.success && r.dryRun);
+  if (simulated.length > 0) {
+    const avgUnits = simulated.reduce((sum, r) => sum + (r.simulation.unitsConsumed || 0), 0) / simulated.length;
+    const avgFeeSol = simulated.reduce((sum, r) => sum + r.gasUsed, 0) / simulated.length / 1e9;
+    // Value lost to slippage/spread is input minus output value, at current prices
+    const avgLossUsd = simulated.reduce(
+      (sum, r) => sum + (r.inputValueUsd ?? 0) - (r.outputValueUsd ?? 0),
+      0
+    ) / simulated.length;
+    // Swaps the goal takes, from the average progress per simulated swap
+    const perSwap = measureGoal(goal, simulated) / simulated.length;
+    const projectedSwaps = goal.type === 'swaps' || !(perSwap > 0) ? totalTarget : Math.ceil(totalTarget / perSwap);
+    const projectedFeeSol = avgFeeSol * projectedSwaps;
+    const projectedLossUsd = avgLossUsd * projectedSwaps;
+    
+    log.info('─'.repeat(50));
+    log.info(`🧪 DRY RUN PROJECTION (${projectedSwaps} swaps, from ${simulated.length} simulated)`);
+    log.info(`   - Avg compute units: ${Math.round(avgUnits)}`);
+    log.info(`   - Avg fee per swap: ${avgFeeSol.toFixed(6)} SOL`);
+    log.info(`   - Avg slippage/spread per swap: ~$${avgLossUsd.toFixed(6)}`);
+    if (solPriceUsdc) {
+      const projectedFeeUsd = projectedFeeSol * solPriceUsdc;
+      log.info(`   - Projected fees: ${projectedFeeSol.toFixed(6)} SOL (~$${projectedFeeUsd.toFixed(4)})`);
+      log.info(`   - Projected slippage/spread: ~$${projectedLossUsd.toFixed(4)}`);
+      log.info(`   - Projected total cost: ~$${(projectedFeeUsd + projectedLossUsd).toFixed(4)}`);
+    } else {
+      log.info(`   - Projected fees: ${projectedFeeSol.toFixed(6)} SOL`);
+      log.info(`   - Projected slippage/spread: ~$${projectedLossUsd.toFixed(4)}`);
+    }
+  }
+  
+  // Landing rate and fees per venue (route AMM labels), over the whole run including before a resume
+  const routes = summarizeRoutes(getRunEntries(runId).filter(e => e.type === 'attempt'));
+  if (routes.length > 0) {
+    log.info('─'.repeat(50));
+    log.info('🛣️  Routes:');
+    for (const r of routes) {
+      const avgFee = r.avgFee !== null ? `${(r.avgFee / 1e9).toFixed(6)} SOL` : 'unknown';
+      log.info(`   ${r.route}: ${r.landed}/${r.sent} landed (${(r.landed / r.sent * 100).toFixed(1)}%), avg fee ${avgFee}`);
+    }
   }
   
+  // RPC endpoints that served this run
+  let endpoints = null;
+  if (endpointsBefore) {
+    endpoints = connection.getEndpointStats().map((stats, i) => ({
+      ...stats,
+      served: stats.served - endpointsBefore[i].served,
+      errors: stats.errors - endpointsBefore[i].errors,
+    }));
+    log.info('─'.repeat(50));
+    log.info('🌐 RPC endpoints:');
+    for (const e of endpoints) {
+      const latency = e.latencyMs !== null ? `, ~${e.latencyMs}ms` : '';
+      log.info(`   ${e.healthy ? '✅' : '❌'} ${e.url}: ${e.served} calls, ${e.errors} errors${latency}`);
+    }
+  }
+  
+  // Per-wallet breakdown
+  if (wallets.length > 1) {
+    log.info('─'.repeat(50));
+    log.info('👛 Per wallet:');
+    for (const w of wallets) {
+      const gas = summarizeCosts(w.results);
+      const gasSol = gas.totalGasUsed / 1e9;
+      const gasDisplay = solPriceUsdc
+        ? `${gasSol.toFixed(6)} SOL (~$${(gasSol * solPriceUsdc).toFixed(4)})`
+        : `${gasSol.toFixed(6)} SOL`;
+      const goalProgress = goal.type === 'swaps' ? '' : `${formatGoalProgress(goal, walletProgress(w), goal.target)} | `;
+      log.info(`   ${w.label}: ${goalProgress}✅ ${w.successCount} | ❌ ${w.totalFailures} | 📈 ${countAttempts(w.attempts)} attempts | ⛽ ${gasDisplay}`);
+    }
+  }
+  
+  const summary = {
+    progress,
+    successful: successCount,
+    failed: totalFailures,
+    attempts,
+    totalGasUsed,
+    rentNet,
+    setup,
+    slippageLossUsd: costs.slippageLossUsd,
+    solPriceUsdc,
+    netPnlUsd,
+    endpoints,
+    guardSkips,
+    routes,
+    stopReasons,
+  };
+  
+  // A stopped run stays resumable
+  appendJournal({ type: interrupted ? 'batch-stop' : 'batch-end', runId, summary });
+  log.info(`📒 Run ${runId} ${interrupted ? 'stopped' : 'completed'} (journal: ${config.journalPath})`, {
+    event: interrupted ? 'batch-stop' : 'batch-end',
+    runId,
+    ...summary,
+  });
+  
   return {
-    total: targetCount,
+    runId,
+    interrupted,
+    goal,
+    total: totalTarget,
+    progress,
     successful: successCount,
     failed: totalFailures,
+    attempts,
     totalGasUsed,
+    totalPriorityFees: costs.totalPriorityFees,
     rentPayments,
+    rentDeposits: costs.rentDeposits,
+    rentRefunds: costs.rentRefunds,
+    rentNet,
+    setup,
+    slippageLossUsd: costs.slippageLossUsd,
+    solPriceUsdc,
+    netPnlUsd,
+    endpoints,
+    guardSkips,
+    routes,
+    stopReasons,
     results,
+    wallets: wallets.map(w => ({
+      wallet: w.keypair.publicKey.toBase58(),
+      label: w.label,
+      successful: w.successCount,
+      failed: w.totalFailures,
+      attempts: w.attempts,
+      totalGasUsed: summarizeCosts(w.results).totalGasUsed,
+      results: w.results,
+    })),
   };
 }
 
 /**
- * Sleep helper
- * @param {number} ms - Milliseconds to sleep
+ * Sum fees, rent and slippage over swap results
+ * Fees include attempts that failed on-chain; slippage only counts swaps with exact accounting
+ * @param {Object[]} results - Swap results
+ * @returns {Object} Totals (lamports, USD for slippage)
+ */
+export function summarizeCosts(results) {
+  const swapResults = results.filter(r => r.success && r.gasUsed);
+  const exactResults = results.filter(r => r.success && r.exact && r.inputValueUsd != null && r.outputValueUsd != null);
+  const sum = (list, pick) => list.reduce((total, r) => total + (pick(r) || 0), 0);
+  
+  return {
+    swapCount: swapResults.length,
+    totalGasUsed: sum(swapResults, r => r.gasUsed) + sum(results, r => r.failedAttemptFees),
+    totalPriorityFees: sum(swapResults, r => r.priorityFee),
+    // Journaled results from before account counts only flagged a rent payment
+    rentPayments: sum(results.filter(r => r.success), r => r.accountsCreated ?? (r.isRentPayment ? 1 : 0)),
+    rentDeposits: sum(results, r => r.rentDeposits),
+    rentRefunds: sum(results, r => r.rentRefunds),
+    rentNet: sum(results, r => r.rentNet),
+    exactCount: exactResults.length,
+    // Value lost is input minus output value, at the prices when each swap landed
+    slippageLossUsd: sum(exactResults, r => r.inputValueUsd - r.outputValueUsd),
+  };
+}
+
+/**
+ * Group sent attempts by route to compare venues (prefixed by provider when several were used)
+ * @param {Object[]} attempts - Attempt journal entries of a run
+ * @returns {Object[]} { route, sent, landed, avgFee } per route, most used first (avgFee null if no fee is known)
+ */
+export function summarizeRoutes(attempts) {
+  const byRoute = new Map();
+  const sent = attempts.filter(a => a.signature || a.status === 'simulated');
+  const byProvider = new Set(sent.map(a => a.provider)).size > 1;
+  for (const attempt of sent) {
+    const route = attempt.route?.length > 0 ? attempt.route.join(' → ') : '(unknown)';
+    const key = byProvider ? `${attempt.provider || '(unknown)'}: ${route}` : route;
+    const stats = byRoute.get(key) || { route: key, sent: 0, landed: 0, totalFee: 0, withFee: 0 };
+    stats.sent++;
+    // Expired attempts and ones whose fee is unknown are left out of the average
+    if (attempt.fee != null) {
+      stats.totalFee += attempt.fee;
+      stats.withFee++;
+    }
+    if (attempt.status === 'landed' || attempt.status === 'simulated') {
+      stats.landed++;
+    }
+    byRoute.set(key, stats);
+  }
+  
+  return [...byRoute.values()]
+    .map(({ totalFee, withFee, ...stats }) => ({ ...stats, avgFee: withFee > 0 ? totalFee / withFee : null }))
+    .sort((a, b) => b.sent - a.sent);
+}
+
+/**
+ * Build a journal entry for one swap attempt
+ * @param {string} runId - Run id
+ * @param {number} retry - Retry number (0 = first try)
+ * @param {Object} attempt - Swap result, or failure details
+ * @returns {Object} Journal entry
+ */
+function attemptEntry(runId, retry, attempt) {
+  return {
+    type: 'attempt',
+    runId,
+    retry,
+    wallet: attempt.wallet,
+    direction: attempt.direction,
+    status: attempt.status,
+    signature: attempt.signature || null,
+    inputToken: attempt.inputToken,
+    inputAmount: attempt.inputAmount,
+    outputToken: attempt.outputToken,
+    outputAmount: attempt.outputAmount,
+    fee: attempt.fee !== undefined ? attempt.fee : attempt.gasUsed ?? null, // null: unknown, not free
+    priorityFee: attempt.priorityFee ?? null,
+    priorityFeeSetting: attempt.priorityFeeSetting ?? null,
+    route: attempt.route ?? null,
+    provider: attempt.provider ?? null,
+    rentNet: attempt.rentNet ?? null,
+    duration: attempt.duration,
+    error: attempt.error || null,
+  };
+}
+
+/**
+ * Strip bulky fields (simulation logs) before journaling a result
+ * @param {Object} result - Swap result
+ * @returns {Object} Result safe to journal
+ */
+function compactResult(result) {
+  if (!result.simulation) {
+    return result;
+  }
+  const { logs, ...simulation } = result.simulation;
+  return { ...result, simulation };
+}
+
+/**
+ * Attempt counters by outcome
+ * landed / failed (on-chain) / expired come from signature reconciliation,
+ * notSent covers quote/build errors, simulated covers dry runs
+ * @returns {Object} Zeroed counters
+ */
+function newAttemptCounts() {
+  return { landed: 0, failed: 0, expired: 0, notSent: 0, simulated: 0 };
+}
+
+/**
+ * Total number of attempts
+ * @param {Object} attempts - Attempt counters
+ * @returns {number}
+ */
+function countAttempts(attempts) {
+  return Object.values(attempts).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Format non-zero attempt counters for display
+ * @param {Object} attempts - Attempt counters
+ * @returns {string} e.g. "landed 200, expired 3"
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function formatAttemptCounts(attempts) {
+  const labels = { landed: 'landed', failed: 'failed on-chain', expired: 'expired', notSent: 'not sent', simulated: 'simulated' };
+  return Object.entries(attempts)
+    .filter(([, n]) => n > 0)
+    .map(([key, n]) => `${labels[key]} ${n}`)
+    .join(', ') || 'none';
 }
@@ -0,0 +1,299 @@
+import { PublicKey } from '@solana/web3.js';
+import { config, TOKENS, DECIMALS, SOL_MINT } from './config.js';
+import { TOKEN_PROGRAM_ID } from './accounts.js';
+
+/**
+ * Token registry entry
+ * @typedef {Object} Token
+ * @property {string} symbol - Display symbol (e.g. 'USDC')
+ * @property {string} mint - Mint address
+ * @property {number|null} decimals - Decimals (null until read from the mint)
+ * @property {PublicKey|null} programId - Token program owning the mint (null until read)
+ * @property {boolean} native - Native SOL (wrapped/unwrapped by Jupiter)
+ * @property {number|null} pegUsd - USD value of a stablecoin, used instead of a market quote
+ */
+
+// Built-in tokens, extended by CUSTOM_TOKENS
+const BUILTIN_TOKENS = [
+  { symbol: 'SOL', mint: SOL_MINT, decimals: 9, programId: TOKEN_PROGRAM_ID, native: true, pegUsd: null },
+  ...Object.keys(TOKENS).map(symbol => ({
+    symbol,
+    mint: TOKENS[symbol],
+    decimals: DECIMALS[symbol],
+    programId: TOKEN_PROGRAM_ID,
+    native: false,
+    pegUsd: 1, // USDC and USDT are valued at $1, so a depeg shows up as swap loss
+  })),
+];
+
+// Registry by upper-case symbol, built on first use
+let registry = null;
+
+/**
+ * Parse CUSTOM_TOKENS entries: "SYMBOL:mint" or "SYMBOL:mint:decimals"
+ * @param {string} spec - Comma separated token entries
+ * @returns {Token[]} Tokens
+ */
+export function parseCustomTokens(spec) {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [symbol, mint, decimals] = entry.split(':').map(part => part.trim());
+      if (!symbol || !mint) {
+        throw new Error(`invalid token "${entry}", expected SYMBOL:mint[:decimals]`);
+      }
+      try {
+        new PublicKey(mint);
+      } catch (e) {
+        throw new Error(`invalid mint address for ${symbol}: ${mint}`);
+      }
+      if (decimals !== undefined && !/^\d+$/.test(decimals)) {
+        throw new Error(`invalid decimals for ${symbol}: ${decimals}`);
+      }
+      return {
+        symbol: symbol.toUpperCase(),
+        mint,
+        decimals: decimals !== undefined ? parseInt(decimals) : null,
+        programId: null,
+        native: false,
+        pegUsd: null,
+      };
+    });
+}
+
+/**
+ * Get the token registry (built-ins + CUSTOM_TOKENS)
+ * @returns {Map<string, Token>} Tokens by upper-case symbol
+ */
+function getRegistry() {
+  if (!registry) {
+    registry = new Map();
+    for (const token of [...BUILTIN_TOKENS, ...parseCustomTokens(config.customTokens)]) {
+      registry.set(token.symbol, { ...token });
+    }
+  }
+  return registry;
+}
+
+/**
+ * List registered tokens
+ * @returns {Token[]} Tokens
+ */
+export function listTokens() {
+  return [...getRegistry().values()];
+}
+
+/**
+ * Look up a token by symbol or mint address
+ * An unknown mint address is registered on the fly (decimals read later from the chain)
+ * @param {string} symbolOrMint - Token symbol (case-insensitive) or mint address
+ * @returns {Token} Registry entry
+ */
+export function getToken(symbolOrMint) {
+  const tokens = getRegistry();
+  const bySymbol = tokens.get(symbolOrMint.toUpperCase());
+  if (bySymbol) {
+    return bySymbol;
+  }
+  
+  const byMint = [...tokens.values()].find(t => t.mint === symbolOrMint);
+  if (byMint) {
+    return byMint;
+  }
+  
+  try {
+    new PublicKey(symbolOrMint);
+  } catch (e) {
+    throw new Error(`Unknown token: ${symbolOrMint} (add it to CUSTOM_TOKENS)`);
+  }
+  
+  const token = {
+    symbol: `${symbolOrMint.slice(0, 4)}...${symbolOrMint.slice(-4)}`,
+    mint: symbolOrMint,
+    decimals: null,
+    programId: null,
+    native: false,
+    pegUsd: null,
+  };
+  tokens.set(symbolOrMint.toUpperCase(), token);
+  return token;
+}
+
+/**
+ * Look up a token and fill in decimals/program from the on-chain mint when missing
+ * Mint layout: mint authority option (36) | supply (8) | decimals (u8 at 44) | ...
+ * @param {Connection} connection - Solana connection
+ * @param {string} symbolOrMint - Token symbol or mint address
+ * @returns {Promise<Token>} Complete registry entry
+ */
+export async function resolveToken(connection, symbolOrMint) {
+  const token = getToken(symbolOrMint);
+  if (token.decimals !== null && token.programId !== null) {
+    return token;
+  }
+  
+  const info = await connection.getAccountInfo(new PublicKey(token.mint));
+  if (!info) {
+    throw new Error(`Mint account not found for ${token.symbol}: ${token.mint}`);
+  }
+  if (token.decimals === null) {
+    token.decimals = info.data.readUInt8(44);
+  }
+  token.programId = info.owner;
+  return token;
+}
+
+/**
+ * Split a swap direction into input/output token symbols
+ * Accepts "A->B", "A→B" and the legacy "A_TO_B" form
+ * @param {string} direction - Swap direction
+ * @returns {[string, string]} Input and output symbol (or mint)
+ */
+export function parsePair(direction) {
+  const parts = direction.split(/->|→|_TO_/i).map(part => part.trim());
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new Error(`Invalid swap direction "${direction}", expected A->B`);
+  }
+  return parts;
+}
+
+/**
+ * Check whether a string looks like a swap direction
+ * @param {string} value - CLI argument
+ * @returns {boolean}
+ */
+export function isPair(value) {
+  return /->|→|_TO_/i.test(value || '');
+}
+
+/**
+ * Turn a cycle such as "USDC->SOL->USDT->USDC" into its legs
+ * @param {string} spec - Token cycle (first and last token should match)
+ * @returns {string[]} Legs, e.g. ['USDC->SOL', 'SOL->USDT', 'USDT->USDC']
+ */
+export function parseCycle(spec) {
+  const symbols = spec.split(/->|→/).map(part => part.trim()).filter(Boolean);
+  if (symbols.length < 2) {
+    throw new Error(`Invalid swap cycle "${spec}", expected e.g. USDC->USDT->USDC`);
+  }
+  
+  const legs = [];
+  for (let i = 0; i < symbols.length - 1; i++) {
+    legs.push(`${symbols[i]}->${symbols[i + 1]}`);
+  }
+  return legs;
+}
+
+/**
+ * Validate token related configuration (CUSTOM_TOKENS, SWAP_CYCLE, SWAP_AMOUNTS)
+ * @returns {string[]} Errors
+ */
+export function validateTokenConfig() {
+  const errors = [];
+  
+  try {
+    parseCustomTokens(config.customTokens);
+  } catch (error) {
+    errors.push(`CUSTOM_TOKENS: ${error.message}`);
+    return errors;
+  }
+  
+  try {
+    for (const leg of parseCycle(config.swapCycle)) {
+      parsePair(leg).forEach(getToken);
+    }
+  } catch (error) {
+    errors.push(`SWAP_CYCLE: ${error.message}`);
+  }
+  
+  try {
+    parseAmountSpec(config.swapAmount);
+  } catch (error) {
+    errors.push(`SWAP_AMOUNT: ${error.message}`);
+  }
+  
+  try {
+    for (const symbol of Object.keys(parseSwapAmounts(config.swapAmounts))) {
+      getToken(symbol);
+    }
+  } catch (error) {
+    errors.push(`SWAP_AMOUNTS: ${error.message}`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Swap amount setting
+ * @typedef {Object} AmountSpec
+ * @property {number} min - Smallest amount in token units (fixed amounts: min = max)
+ * @property {number} max - Largest amount in token units
+ * @property {number|null} percent - Share of the input token balance instead, in %
+ */
+
+/**
+ * Parse an amount: fixed ("0.5"), a range drawn from per swap ("0.5-2") or a share of the balance ("10%")
+ * @param {string|number} spec - Amount
+ * @returns {AmountSpec}
+ */
+export function parseAmountSpec(spec) {
+  const text = String(spec).trim();
+  const percent = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (percent) {
+    const value = parseFloat(percent[1]);
+    if (!(value > 0 && value <= 100)) {
+      throw new Error(`percentage "${text}" must be above 0 and at most 100`);
+    }
+    return { min: null, max: null, percent: value };
+  }
+  
+  const range = text.match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?$/);
+  if (!range) {
+    throw new Error(`invalid amount "${text}", expected an amount, a range (0.5-2) or a percentage (10%)`);
+  }
+  const min = parseFloat(range[1]);
+  const max = range[2] !== undefined ? parseFloat(range[2]) : min;
+  if (!(min > 0) || max < min) {
+    throw new Error(`amount "${text}" must be positive, with min not above max`);
+  }
+  return { min, max, percent: null };
+}
+
+/**
+ * Parse per-token swap amounts: "SOL:0.00001,USDC:1-5,USDT:10%"
+ * @param {string} spec - Comma separated SYMBOL:amount entries
+ * @returns {Object<string, AmountSpec>} Amount by upper-case symbol
+ */
+export function parseSwapAmounts(spec) {
+  const amounts = {};
+  for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [symbol, amount] = entry.split(':').map(part => part.trim());
+    if (!symbol || !amount) {
+      throw new Error(`invalid amount "${entry}", expected SYMBOL:amount`);
+    }
+    amounts[symbol.toUpperCase()] = parseAmountSpec(amount);
+  }
+  return amounts;
+}
+
+/**
+ * Swap amount setting for an input token
+ * SWAP_AMOUNTS overrides SWAP_AMOUNT per token (e.g. a smaller amount for SOL legs)
+ * @param {Token} token - Input token
+ * @returns {AmountSpec}
+ */
+export function getAmountSpec(token) {
+  return parseSwapAmounts(config.swapAmounts)[token.symbol] ?? parseAmountSpec(config.swapAmount);
+}
+
+/**
+ * Typical swap amount for an input token, in token units (the middle of a range)
+ * @param {Token} token - Input token
+ * @returns {number|null} Amount in token units, null when it is a share of the balance
+ */
+export function getSwapAmount(token) {
+  const spec = getAmountSpec(token);
+  return spec.percent ? null : (spec.min + spec.max) / 2;
+}
@@ -0,0 +1,44 @@
+import { log } from './logger.js';
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds to sleep
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Graceful shutdown on SIGINT/SIGTERM
+ * The first signal sets `requested` and resolves `promise` so loops can stop scheduling work;
+ * a second signal forces an immediate exit
+ * @param {string} message - What happens on the first signal (e.g. "finishing the current swap")
+ * @returns {{requested: boolean, promise: Promise<void>, sleep: function(number): Promise<void>, dispose: function(): void}}
+ */
+export function createShutdownSignal(message) {
+  let resolveStop;
+  const signal = {
+    requested: false,
+    promise: new Promise(resolve => { resolveStop = resolve; }),
+    // Sleep that wakes up early on shutdown
+    sleep: ms => Promise.race([sleep(ms), signal.promise]),
+    dispose: () => {
+      process.off('SIGINT', handler);
+      process.off('SIGTERM', handler);
+    },
+  };
+  
+  function handler(name) {
+    if (signal.requested) {
+      log.warn(`\n⚡ ${name} again, forcing exit`, { event: 'shutdown', signal: name, forced: true });
+      process.exit(130);
+    }
+    signal.requested = true;
+    log.warn(`\n🛑 ${name} received: ${message} (press Ctrl-C again to force exit)`, { event: 'shutdown', signal: name, forced: false });
+    resolveStop();
+  }
+  
+  process.on('SIGINT', handler);
+  process.on('SIGTERM', handler);
+  return signal;
+}
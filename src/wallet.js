@@ -1,36 +1,115 @@
 import { Keypair } from '@solana/web3.js';
 import * as bip39 from 'bip39';
 import { derivePath } from 'ed25519-hd-key';
-import { config } from './config.js';
+import { readFileSync } from 'fs';
+import { config, parseIndexList } from './config.js';
+import { keystoreExists, readKeystore } from './keystore.js';
 
 /**
- * Derive Solana keypair from mnemonic using standard derivation path
+ * Build the derivation path for an account index
+ * Uses Solana's standard path template by default (Phantom, Solflare, etc.)
+ * @param {number} index - Account index
+ * @returns {string} Derivation path
+ */
+export function getDerivationPath(index = 0) {
+  return config.derivationPath.replace(/\{index\}/g, String(index));
+}
+
+/**
+ * Derive Solana keypair from mnemonic using the configured derivation path
+ * @param {number} index - Account index (default: 0)
+ * @param {string} phrase - Mnemonic phrase (default: SOLANA_MNEMONIC)
  * @returns {Keypair} Solana keypair
  */
-export function getKeypairFromMnemonic() {
-  const mnemonic = config.mnemonic.trim();
+export function getKeypairFromMnemonic(index = 0, phrase = config.mnemonic) {
+  const mnemonic = phrase.trim();
   
   if (!bip39.validateMnemonic(mnemonic)) {
     throw new Error('Invalid mnemonic phrase');
   }
   
-  // Convert mnemonic to seed
-  const seed = bip39.mnemonicToSeedSync(mnemonic);
+  // Convert mnemonic to seed (with optional BIP39 passphrase)
+  const seed = bip39.mnemonicToSeedSync(mnemonic, config.bip39Passphrase);
   
-  // Use Solana's standard derivation path (Phantom, Solflare, etc.)
-  const derivationPath = "m/44'/501'/0'/0'";
-  const derivedSeed = derivePath(derivationPath, seed.toString('hex')).key;
+  const derivedSeed = derivePath(getDerivationPath(index), seed.toString('hex')).key;
   
   return Keypair.fromSeed(derivedSeed);
 }
 
+/**
+ * Derive every wallet configured in WALLET_INDICES
+ * @param {string} phrase - Mnemonic phrase (default: SOLANA_MNEMONIC)
+ * @returns {Keypair[]} Solana keypairs, in index order
+ */
+export function getKeypairsFromMnemonic(phrase = config.mnemonic) {
+  return parseIndexList(config.walletIndices).map(index => getKeypairFromMnemonic(index, phrase));
+}
+
+/**
+ * Load a solana-keygen JSON keypair file (array of 64 secret key bytes)
+ * @param {string} path - Keypair file path
+ * @returns {Keypair} Solana keypair
+ */
+export function loadKeypairFile(path) {
+  let bytes;
+  try {
+    bytes = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read keypair file ${path}: ${error.message}`);
+  }
+  
+  if (!Array.isArray(bytes) || bytes.length !== 64) {
+    throw new Error(`Invalid keypair file ${path}: expected a JSON array of 64 bytes`);
+  }
+  
+  return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+/**
+ * Describe where wallets will be loaded from
+ * Priority: KEYPAIR_PATH > encrypted keystore > SOLANA_MNEMONIC
+ * @returns {'keypair-file'|'keystore'|'mnemonic'} Wallet source
+ */
+export function getWalletSource() {
+  if (config.keypairPath) {
+    return 'keypair-file';
+  }
+  if (keystoreExists(config.keystorePath)) {
+    return 'keystore';
+  }
+  return 'mnemonic';
+}
+
+/**
+ * Load all configured wallets from the active source
+ * @param {function(): Promise<string>} askPassphrase - Called when the keystore passphrase is needed
+ * @returns {Promise<Keypair[]>} Solana keypairs
+ */
+export async function loadKeypairs(askPassphrase) {
+  const source = getWalletSource();
+  
+  if (source === 'keypair-file') {
+    return config.keypairPath
+      .split(',')
+      .map(p => p.trim())
+      .filter(Boolean)
+      .map(loadKeypairFile);
+  }
+  
+  if (source === 'keystore') {
+    const passphrase = config.keystorePassword || await askPassphrase();
+    return getKeypairsFromMnemonic(readKeystore(config.keystorePath, passphrase));
+  }
+  
+  return getKeypairsFromMnemonic();
+}
+
 /**
  * Get wallet public key (masked for logging)
- * @param {Keypair} keypair 
+ * @param {Keypair} keypair
  * @returns {string} Masked public key
  */
 export function getMaskedPublicKey(keypair) {
   const pubkey = keypair.publicKey.toBase58();
   return `${pubkey.slice(0, 4)}...${pubkey.slice(-4)}`;
 }
-
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSwapAccounting } from '../src/accounting.js';
+import { SOL_MINT, TOKENS } from '../src/config.js';
+
+const OWNER = 'Owner1111111111111111111111111111111111111';
+const RENT = 2039280; // Rent-exempt deposit of a token account
+
+/**
+ * Transaction as returned by getTransaction, with only the fields accounting reads
+ * @param {Object} meta - fee, pre/post lamports and token balances
+ * @param {number} signatures - Signature count
+ * @returns {Object}
+ */
+function makeTransaction(meta, signatures = 1) {
+  return {
+    transaction: { signatures: Array(signatures).fill('sig') },
+    meta: { preTokenBalances: [], postTokenBalances: [], ...meta },
+  };
+}
+
+/**
+ * Token balance entry of the owner
+ * @param {string} mint - Mint
+ * @param {number} amount - Amount in smallest units
+ * @returns {Object}
+ */
+function tokenBalance(mint, amount) {
+  return { owner: OWNER, mint, uiTokenAmount: { amount: String(amount) } };
+}
+
+test('token swap: fee, priority fee and token movements', () => {
+  const tx = makeTransaction({
+    fee: 15000,
+    preBalances: [1e9, RENT, RENT],
+    postBalances: [1e9 - 15000, RENT, RENT],
+    preTokenBalances: [tokenBalance(TOKENS.USDC, 5000000), tokenBalance(TOKENS.USDT, 0)],
+    postTokenBalances: [tokenBalance(TOKENS.USDC, 4000000), tokenBalance(TOKENS.USDT, 999500)],
+  });
+  const accounting = parseSwapAccounting(tx, OWNER, TOKENS.USDC, TOKENS.USDT);
+  
+  assert.equal(accounting.fee, 15000);
+  assert.equal(accounting.priorityFee, 10000);
+  assert.equal(accounting.inputSpent, 1000000);
+  assert.equal(accounting.outputReceived, 999500);
+  assert.equal(accounting.rentNet, 0);
+  assert.equal(accounting.accountsCreated, 0);
+});
+
+test('token swap opening an output account: its deposit is rent', () => {
+  const tx = makeTransaction({
+    fee: 5000,
+    preBalances: [1e9, RENT, 0],
+    postBalances: [1e9 - 5000 - RENT, RENT, RENT],
+    preTokenBalances: [tokenBalance(TOKENS.USDC, 5000000)],
+    postTokenBalances: [tokenBalance(TOKENS.USDC, 4000000), tokenBalance(TOKENS.USDT, 999500)],
+  });
+  const accounting = parseSwapAccounting(tx, OWNER, TOKENS.USDC, TOKENS.USDT);
+  
+  assert.equal(accounting.rentDeposits, RENT);
+  assert.equal(accounting.rentRefunds, 0);
+  assert.equal(accounting.rentNet, RENT);
+  assert.equal(accounting.accountsCreated, 1);
+});
+
+test('SOL input: the lamports swapped are the input, rent stays apart', () => {
+  const tx = makeTransaction({
+    fee: 5000,
+    preBalances: [10e9, 0],
+    postBalances: [10e9 - 5000 - 1e9 - RENT, RENT],
+    postTokenBalances: [tokenBalance(TOKENS.USDC, 150000000)],
+  });
+  const accounting = parseSwapAccounting(tx, OWNER, SOL_MINT, TOKENS.USDC);
+  
+  assert.equal(accounting.inputSpent, 1e9);
+  assert.equal(accounting.outputReceived, 150000000);
+  assert.equal(accounting.rentNet, RENT);
+});
+
+test('SOL input closing a wrapped SOL account: its refund is not counted as swapped', () => {
+  const tx = makeTransaction({
+    fee: 10000,
+    preBalances: [10e9, RENT, 0],
+    postBalances: [10e9 - 10000 - 1e9, 0, RENT],
+    postTokenBalances: [tokenBalance(TOKENS.USDC, 150000000)],
+  });
+  const accounting = parseSwapAccounting(tx, OWNER, SOL_MINT, TOKENS.USDC);
+  
+  assert.equal(accounting.rentDeposits, RENT);
+  assert.equal(accounting.rentRefunds, RENT);
+  assert.equal(accounting.rentNet, 0);
+  assert.equal(accounting.inputSpent, 1e9);
+});
+
+test('SOL output: the lamports received are the output', () => {
+  const tx = makeTransaction({
+    fee: 5000,
+    preBalances: [1e9, RENT],
+    postBalances: [1e9 - 5000 + 6e6, RENT],
+    preTokenBalances: [tokenBalance(TOKENS.USDC, 5000000)],
+    postTokenBalances: [tokenBalance(TOKENS.USDC, 4000000)],
+  });
+  const accounting = parseSwapAccounting(tx, OWNER, TOKENS.USDC, SOL_MINT);
+  
+  assert.equal(accounting.inputSpent, 1000000);
+  assert.equal(accounting.outputReceived, 6e6);
+  assert.equal(accounting.rentNet, 0);
+});
@@ -0,0 +1,66 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, applyConfigOverrides } from '../src/cli.js';
+import { config } from '../src/config.js';
+
+// applyConfigOverrides sets the shared config, restore it after each test
+const original = { ...config };
+afterEach(() => {
+  Object.assign(config, original);
+});
+
+test('parseArgs: command, arguments and flag forms', () => {
+  const { command, args, flags } = parseArgs(['history', '--limit=5', '--json', '--no-dry-run', 'extra', '--note=a=b']);
+  
+  assert.equal(command, 'history');
+  assert.deepEqual(args, ['extra']);
+  assert.deepEqual(flags, { limit: '5', json: true, 'dry-run': 'false', note: 'a=b' });
+});
+
+test('parseArgs: no command is a batch, a bare pair is a swap', () => {
+  assert.equal(parseArgs([]).command, 'batch');
+  assert.equal(parseArgs(['--yes']).command, 'batch');
+  
+  const swap = parseArgs(['USDC_TO_USDT']);
+  assert.equal(swap.command, 'swap');
+  assert.deepEqual(swap.args, ['USDC_TO_USDT']);
+  assert.equal(parseArgs(['SOL->USDC']).command, 'swap');
+});
+
+test('parseArgs: commands are case insensitive, unknown ones are rejected', () => {
+  assert.equal(parseArgs(['Report']).command, 'report');
+  assert.throws(() => parseArgs(['frobnicate']), /Unknown command: frobnicate/);
+});
+
+test('applyConfigOverrides: kebab-case names and aliases set typed values', () => {
+  const overridden = applyConfigOverrides('batch', {
+    'slippage-bps': '75',
+    amount: '0.5-2',
+    'dry-run': true,
+    yes: true,
+  });
+  
+  assert.equal(config.slippageBps, 75);
+  assert.equal(config.swapAmount, '0.5-2');
+  assert.equal(config.dryRun, true);
+  assert.deepEqual([...overridden].sort(), ['dryRun', 'slippageBps', 'swapAmount']);
+});
+
+test('applyConfigOverrides: --no- turns a boolean off', () => {
+  applyConfigOverrides('batch', parseArgs(['batch', '--no-catch-up']).flags);
+  assert.equal(config.catchUp, false);
+});
+
+test('applyConfigOverrides: command flags are only allowed on their command', () => {
+  assert.doesNotThrow(() => applyConfigOverrides('report', { export: 'csv' }));
+  assert.throws(() => applyConfigOverrides('batch', { export: 'csv' }), /Unknown flag: --export/);
+});
+
+test('applyConfigOverrides: invalid values name the flag', () => {
+  assert.throws(() => applyConfigOverrides('batch', { slippage: 'lots' }), /^Error: --slippage /);
+  assert.throws(() => applyConfigOverrides('batch', { slippage: true }), /--slippage expects a value/);
+});
+
+test('applyConfigOverrides: secrets are not settable from the command line', () => {
+  assert.throws(() => applyConfigOverrides('batch', { mnemonic: 'word word' }), /Unknown flag: --mnemonic/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIndexList, parseConfigValue } from '../src/config.js';
+
+test('parseIndexList: lists and ranges, sorted and unique', () => {
+  assert.deepEqual(parseIndexList('0'), [0]);
+  assert.deepEqual(parseIndexList('5-7, 0,2 ,6'), [0, 2, 5, 6, 7]);
+  assert.deepEqual(parseIndexList('3 - 4'), [3, 4]);
+});
+
+test('parseIndexList: rejects malformed, reversed and empty lists', () => {
+  assert.throws(() => parseIndexList('a'), /invalid index or range "a"/);
+  assert.throws(() => parseIndexList('-1'), /invalid index or range/);
+  assert.throws(() => parseIndexList('7-5'), /range "7-5" is reversed/);
+  assert.throws(() => parseIndexList(' , '), /no indices given/);
+});
+
+test('parseIndexList: indices stay below the hardened BIP44 limit', () => {
+  assert.deepEqual(parseIndexList('2147483647'), [2147483647]);
+  assert.throws(() => parseIndexList('2147483648'), /hardened BIP44 limit \(2147483647\)/);
+});
+
+test('parseIndexList: the wallet count is capped before building the list', () => {
+  assert.equal(parseIndexList('0-999').length, 1000);
+  assert.throws(() => parseIndexList('0-99999999'), /more than 1000 wallets/);
+  assert.throws(() => parseIndexList('0-999,1000'), /1001 wallets given, at most 1000/);
+});
+
+test('parseConfigValue: values are converted to the setting type', () => {
+  assert.equal(parseConfigValue('slippageBps', '50'), 50);
+  assert.equal(parseConfigValue('intervalJitter', '0.25'), 0.25);
+  assert.equal(parseConfigValue('dryRun', 'true'), true);
+  assert.equal(parseConfigValue('dryRun', 'false'), false);
+  assert.deepEqual(parseConfigValue('sendRpcUrls', 'https://a, https://b'), ['https://a', 'https://b']);
+  assert.throws(() => parseConfigValue('slippageBps', '1.5'), /expected an integer/);
+  assert.throws(() => parseConfigValue('intervalJitter', ''), /expected a number/);
+  assert.throws(() => parseConfigValue('dryRun', 'yes'), /expected true or false/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureGoal, findUnvaluedSwap, describeGoal, formatGoalProgress, getRunGoal } from '../src/goals.js';
+
+const results = [
+  { success: true, inputValueUsd: 10, gasUsed: 6000 },
+  { success: true, inputValueUsd: 2.5, gasUsed: 6000, failedAttemptFees: 5000 },
+  { success: false, failedAttemptFees: 10000 },
+];
+
+test('measureGoal: successful swaps, USD volume or SOL fees', () => {
+  assert.equal(measureGoal({ type: 'swaps', target: 5 }, results), 2);
+  assert.equal(measureGoal({ type: 'volume', target: 100 }, results), 12.5);
+  // Fees include attempts that failed on-chain
+  assert.equal(measureGoal({ type: 'fees', target: 1 }, results), 27000 / 1e9);
+});
+
+test('measureGoal: swaps of unknown value add no volume, and are found', () => {
+  const goal = { type: 'volume', target: 100 };
+  const unvalued = { success: true, signature: 'abc', inputValueUsd: null };
+  
+  assert.equal(measureGoal(goal, [...results, unvalued]), 12.5);
+  assert.equal(findUnvaluedSwap(goal, [...results, unvalued]), unvalued);
+  assert.equal(findUnvaluedSwap(goal, results), null);
+  // Other goals don't need a USD value
+  assert.equal(findUnvaluedSwap({ type: 'swaps', target: 5 }, [unvalued]), null);
+});
+
+test('getRunGoal: runs journaled before goals counted swaps', () => {
+  assert.deepEqual(getRunGoal({ targetCount: 20 }), { type: 'swaps', target: 20 });
+  assert.deepEqual(getRunGoal({ targetCount: 20, goal: { type: 'fees', target: 0.01 } }), { type: 'fees', target: 0.01 });
+});
+
+test('describeGoal: small volume goals keep their digits', () => {
+  assert.equal(describeGoal({ type: 'swaps', target: 200 }), '200 successful swaps');
+  assert.equal(describeGoal({ type: 'volume', target: 500 }), '$500.00 volume');
+  assert.equal(describeGoal({ type: 'volume', target: 0.003 }), '$0.00300 volume');
+  assert.equal(describeGoal({ type: 'fees', target: 0.01 }), '0.010000 SOL in fees');
+});
+
+test('formatGoalProgress: progress in the goal unit', () => {
+  assert.equal(formatGoalProgress({ type: 'swaps' }, 12, 200), '✅ 12/200');
+  assert.equal(formatGoalProgress({ type: 'volume' }, 120.5, 500), '💵 $120.50/$500.00');
+  assert.equal(formatGoalProgress({ type: 'volume' }, 0, 0.003), '💵 $0.00/$0.00300');
+  assert.equal(formatGoalProgress({ type: 'fees' }, 0.0012, 0.01), '⛽ 0.001200/0.010000 SOL');
+});
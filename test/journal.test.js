@@ -0,0 +1,99 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { appendJournal, readJournal, listRuns, loadRunState } from '../src/journal.js';
+
+const A = 'WalletA1111111111111111111111111111111111111';
+const B = 'WalletB1111111111111111111111111111111111111';
+
+const original = { ...config };
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'seeker-journal-'));
+  config.journalPath = join(dir, 'journal.ndjson');
+});
+beforeEach(() => {
+  writeFileSync(config.journalPath, '');
+});
+after(() => {
+  Object.assign(config, original);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Journal a two-wallet run: A swapped twice (one failure), B once, B skipped a leg,
+ * and A had a transaction in flight when the run was interrupted
+ */
+function writeInterruptedRun() {
+  appendJournal({ type: 'batch-start', runId: 'r1', targetCount: 3, wallets: [A, B] });
+  appendJournal({ type: 'sent', runId: 'r1', wallet: A, direction: 'USDC->USDT', signature: 's1' });
+  appendJournal({ type: 'attempt', runId: 'r1', wallet: A, status: 'landed', signature: 's1', fee: 6000 });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: A, result: { success: true, signature: 's1', inputValueUsd: 1 } });
+  appendJournal({ type: 'sent', runId: 'r1', wallet: B, direction: 'USDC->USDT', signature: 's2' });
+  appendJournal({ type: 'attempt', runId: 'r1', wallet: B, status: 'landed', signature: 's2', fee: 6000 });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: B, result: { success: true, signature: 's2', inputValueUsd: 1 } });
+  appendJournal({ type: 'attempt', runId: 'r1', wallet: A, status: 'notSent', signature: null, fee: null });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: A, result: { success: false } });
+  appendJournal({ type: 'skip', runId: 'r1', wallet: B, direction: 'USDT->USDC' });
+  appendJournal({ type: 'sent', runId: 'r1', wallet: A, direction: 'USDC->USDT', signature: 's3', lastValidBlockHeight: 100 });
+}
+
+test('loadRunState: per-wallet progress, cycle position and the next wallet', () => {
+  writeInterruptedRun();
+  const state = loadRunState('r1');
+  
+  assert.equal(state.start.targetCount, 3);
+  assert.equal(state.completed, false);
+  assert.deepEqual(state.wallets[A].attempts, { landed: 1, notSent: 1 });
+  assert.equal(state.wallets[A].successCount, 1);
+  assert.equal(state.wallets[A].totalFailures, 1);
+  // Failed slots and skipped legs move the cycle on too
+  assert.equal(state.wallets[A].directionIndex, 2);
+  assert.equal(state.wallets[B].directionIndex, 2);
+  // The last swap slot was A's, B is next in round-robin order
+  assert.equal(state.walletCursor, 1);
+});
+
+test('loadRunState: sent transactions without an attempt are pending', () => {
+  writeInterruptedRun();
+  const { pending } = loadRunState('r1');
+  
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].signature, 's3');
+  assert.equal(pending[0].lastValidBlockHeight, 100);
+});
+
+test('loadRunState: unknown runs', () => {
+  writeInterruptedRun();
+  assert.equal(loadRunState('nope'), null);
+});
+
+test('listRuns: status, counts, fees and goal progress', () => {
+  writeInterruptedRun();
+  appendJournal({ type: 'batch-start', runId: 'r2', targetCount: 1, goal: { type: 'volume', target: 5 }, wallets: [A] });
+  appendJournal({ type: 'attempt', runId: 'r2', wallet: A, status: 'landed', signature: 's4', fee: 5000 });
+  appendJournal({ type: 'swap', runId: 'r2', wallet: A, result: { success: true, inputValueUsd: 5 } });
+  appendJournal({ type: 'batch-end', runId: 'r2', summary: { successful: 1 } });
+  
+  const [r1, r2] = listRuns();
+  assert.equal(r1.status, 'interrupted');
+  assert.equal(r1.successful, 2);
+  assert.equal(r1.failed, 1);
+  assert.equal(r1.attempts, 3);
+  assert.equal(r1.fees, 12000);
+  assert.equal(r1.progress, 2);
+  assert.equal(r2.status, 'completed');
+  assert.deepEqual(r2.goal, { type: 'volume', target: 5 });
+  assert.equal(r2.progress, 5);
+  assert.deepEqual(r2.summary, { successful: 1 });
+});
+
+test('readJournal: a line truncated by a crash is skipped', () => {
+  appendJournal({ type: 'batch-start', runId: 'r1', targetCount: 1, wallets: [A] });
+  appendFileSync(config.journalPath, '{"type":"swap","runId":"r1","res');
+  
+  assert.equal(readJournal().length, 1);
+});
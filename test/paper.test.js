@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Keypair } from '@solana/web3.js';
+import { config } from '../src/config.js';
+import { createPaperConnection } from '../src/ledger.js';
+import { executeBatchSwaps } from '../src/swap.js';
+import { loadRunState, getRunEntries } from '../src/journal.js';
+import { buildRunReport } from '../src/report.js';
+
+// End-to-end batches on the paper backend: simulated market and ledger, nothing touches the network
+
+const original = { ...config };
+let dir;
+let keypair;
+let connection;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'seeker-paper-'));
+  Object.assign(config, {
+    backend: 'paper',
+    paperSeed: 42,
+    paperLedgerPath: join(dir, 'paper-ledger.json'),
+    journalPath: join(dir, 'journal.ndjson'),
+    paperBalances: 'SOL:1,USDC:100,USDT:100',
+    paperLatencyMs: 50,
+    paperDropRate: 0, // Dropped transactions take ~10s to expire
+    paperFailRate: 0.3,
+    statusPollMs: 100,
+    rebroadcastMs: 100,
+    swapCycle: 'USDC->USDT->USDC',
+    swapAmount: '1',
+    swapAmounts: '',
+    swapConcurrency: 1,
+    createTokenAccounts: false,
+    lossBudgetUsd: 0,
+    maxRetries: 5,
+    dryRun: false,
+    quiet: true,
+    logFile: '',
+  });
+  keypair = Keypair.generate();
+  connection = createPaperConnection([keypair.publicKey]);
+});
+after(() => {
+  Object.assign(config, original);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('executeBatchSwaps: reaches the goal, journals every attempt and accounts every swap', async () => {
+  const result = await executeBatchSwaps(keypair, connection, 4, 0);
+  
+  assert.equal(result.interrupted, false);
+  assert.equal(result.successful, 4);
+  assert.equal(result.failed, 0);
+  assert.equal(result.attempts.landed, 4);
+  assert.equal(result.attempts.failed + result.attempts.landed, result.routes.reduce((sum, r) => sum + r.sent, 0));
+  
+  const swaps = result.results.filter(r => r.success);
+  assert.deepEqual(swaps.map(r => r.direction), ['USDC->USDT', 'USDT->USDC', 'USDC->USDT', 'USDT->USDC']);
+  for (const swap of swaps) {
+    assert.equal(swap.exact, true);
+    assert.equal(swap.inputAmount, 1000000);
+    assert.ok(swap.outputAmount > 990000 && swap.outputAmount < 1000000, `output ${swap.outputAmount}`);
+    assert.ok(swap.gasUsed >= 5000);
+    assert.ok(swap.inputValueUsd > 0.99);
+  }
+  
+  // The journal tells the same story as the result
+  const entries = getRunEntries(result.runId);
+  assert.equal(entries.filter(e => e.type === 'attempt').length, result.attempts.landed + result.attempts.failed);
+  assert.equal(entries.at(-1).type, 'batch-end');
+  const report = buildRunReport(result.runId);
+  assert.equal(report.successful, 4);
+  assert.equal(report.costs.fees, result.totalGasUsed);
+  assert.equal(loadRunState(result.runId).completed, true);
+});
+
+test('executeBatchSwaps: a swap in flight at an interruption is accounted on resume', async () => {
+  const first = await executeBatchSwaps(keypair, connection, 2, 0, { goal: { type: 'volume', target: 1.9 } });
+  assert.equal(first.successful, 2);
+  
+  // Cut the journal right after the last swap's transaction was sent, as a crash would
+  const { signature } = first.results.at(-1);
+  const lines = readFileSync(config.journalPath, 'utf8').trim().split('\n');
+  const sent = lines.findIndex(line => JSON.parse(line).type === 'sent' && JSON.parse(line).signature === signature);
+  writeFileSync(config.journalPath, lines.slice(0, sent + 1).join('\n') + '\n');
+  const state = loadRunState(first.runId);
+  assert.equal(state.pending.length, 1);
+  
+  const resumed = await executeBatchSwaps(keypair, connection, 2, 0, { resume: state });
+  const reconciled = resumed.results.find(r => r.signature === signature);
+  assert.equal(reconciled.status, 'landed');
+  assert.equal(reconciled.exact, true);
+  assert.ok(reconciled.gasUsed >= 5000);
+  assert.ok(reconciled.inputValueUsd > 0.99);
+  assert.deepEqual(reconciled.route, ['Paper']);
+  
+  // Its volume counts, so the goal was already reached: no extra swap
+  assert.equal(resumed.interrupted, false);
+  assert.equal(resumed.successful, 2);
+  assert.equal(resumed.totalGasUsed, first.totalGasUsed);
+  // Route stats cover the whole run, not just this session
+  assert.deepEqual(resumed.routes, first.routes);
+});
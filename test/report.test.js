@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { appendJournal } from '../src/journal.js';
+import { summarizeRoutes, summarizeCosts } from '../src/swap.js';
+import { buildRunReport, formatReportCsv } from '../src/report.js';
+
+const A = 'WalletA1111111111111111111111111111111111111';
+
+const original = { ...config };
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'seeker-report-'));
+  config.journalPath = join(dir, 'journal.ndjson');
+  
+  // USDC->USDT landed after an expired attempt, USDT->USDC landed first try, then a swap gave up
+  appendJournal({ type: 'batch-start', runId: 'r1', targetCount: 3, wallets: [A], swapCycle: 'USDC->USDT->USDC', priorityFeeLamports: 1000 });
+  const attempt = fields => appendJournal({ type: 'attempt', runId: 'r1', wallet: A, priorityFeeSetting: 1000, route: ['Orca'], provider: 'jupiter', ...fields });
+  attempt({ retry: 0, direction: 'USDC->USDT', status: 'expired', signature: 'e1', fee: null });
+  attempt({ retry: 1, direction: 'USDC->USDT', status: 'landed', signature: 'l1', fee: 6000, priorityFee: 1000, duration: 1000 });
+  attempt({ retry: 0, direction: 'USDT->USDC', status: 'landed', signature: 'l2', fee: 8000, priorityFee: 3000, duration: 3000, route: ['Raydium'] });
+  attempt({ retry: 0, direction: 'USDC->USDT', status: 'failed', signature: 'f1', fee: 5000, error: 'slippage, "tolerance" exceeded' });
+  attempt({ retry: 1, direction: 'USDC->USDT', status: 'notSent', signature: null, fee: null, route: null });
+  const result = fields => ({
+    wallet: A, success: true, exact: true, rentNet: 0, rentDeposits: 0, rentRefunds: 0, inputDecimals: 6, ...fields,
+  });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: A, result: result({ direction: 'USDC->USDT', inputToken: 'USDC', inputAmount: 1000000, inputValueUsd: 1, outputValueUsd: 0.999, gasUsed: 6000, priorityFee: 1000 }) });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: A, result: result({ direction: 'USDT->USDC', inputToken: 'USDT', inputAmount: 999000, inputValueUsd: 0.999, outputValueUsd: 0.998, gasUsed: 8000, priorityFee: 3000, rentNet: 2039280, rentDeposits: 2039280 }) });
+  appendJournal({ type: 'swap', runId: 'r1', wallet: A, result: { wallet: A, direction: 'USDC->USDT', success: false, failedAttemptFees: 5000 } });
+  appendJournal({ type: 'batch-end', runId: 'r1', summary: { solPriceUsdc: 100 } });
+});
+after(() => {
+  Object.assign(config, original);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('summarizeRoutes: landing rate per route, fees averaged over attempts that have one', () => {
+  const routes = summarizeRoutes([
+    { route: ['Orca'], status: 'landed', signature: 'a', fee: 6000 },
+    { route: ['Orca'], status: 'expired', signature: 'b', fee: null },
+    { route: ['Orca', 'Raydium'], status: 'simulated', signature: null, fee: 5000 },
+    { route: ['Orca'], status: 'notSent', signature: null, fee: null },
+  ]);
+  
+  assert.deepEqual(routes, [
+    { route: 'Orca', sent: 2, landed: 1, avgFee: 6000 },
+    { route: 'Orca → Raydium', sent: 1, landed: 1, avgFee: 5000 },
+  ]);
+});
+
+test('summarizeRoutes: routes are told apart by provider when several were used', () => {
+  const routes = summarizeRoutes([
+    { route: ['Orca'], provider: 'jupiter', status: 'landed', signature: 'a', fee: null },
+    { route: ['Orca'], provider: 'ultra', status: 'landed', signature: 'b', fee: 7000 },
+  ]);
+  
+  assert.deepEqual(routes.map(r => [r.route, r.avgFee]), [['jupiter: Orca', null], ['ultra: Orca', 7000]]);
+});
+
+test('summarizeCosts: fees include failed attempts, slippage only exact swaps', () => {
+  const costs = summarizeCosts([
+    { success: true, exact: true, gasUsed: 6000, priorityFee: 1000, inputValueUsd: 1, outputValueUsd: 0.99, rentNet: 100 },
+    { success: true, exact: false, gasUsed: 6000, priorityFee: 1000, inputValueUsd: 1, outputValueUsd: 0.5 },
+    { success: false, failedAttemptFees: 5000 },
+  ]);
+  
+  assert.equal(costs.swapCount, 2);
+  assert.equal(costs.totalGasUsed, 17000);
+  assert.equal(costs.totalPriorityFees, 2000);
+  assert.equal(costs.rentNet, 100);
+  assert.equal(costs.exactCount, 1);
+  assert.ok(Math.abs(costs.slippageLossUsd - 0.01) < 1e-9);
+});
+
+test('buildRunReport: rates, retries, latency and costs of a run', () => {
+  const report = buildRunReport('r1');
+  
+  assert.equal(report.status, 'completed');
+  assert.deepEqual(report.attemptsByStatus, { expired: 1, landed: 2, failed: 1, notSent: 1 });
+  assert.ok(Math.abs(report.successRate - 2 / 3) < 1e-9);
+  assert.equal(report.landingRate, 2 / 4);
+  assert.deepEqual(report.retries, { 0: 1, 1: 1, gaveUp: 1 });
+  assert.deepEqual(report.latency, { count: 2, avg: 2000, p50: 1000, p90: 3000, p99: 3000, max: 3000 });
+  assert.equal(report.costs.fees, 19000);
+  assert.equal(report.costs.priorityFees, 4000);
+  assert.equal(report.costs.rentNet, 2039280);
+  assert.ok(Math.abs(report.costs.feesUsd - 0.0019) < 1e-9);
+});
+
+test('buildRunReport: routes, directions and priority fees agree on the average fee', () => {
+  const report = buildRunReport();
+  
+  assert.deepEqual(report.routes, {
+    Orca: { sent: 3, landed: 1, avgFee: 5500 },
+    Raydium: { sent: 1, landed: 1, avgFee: 8000 },
+  });
+  assert.equal(report.directions['USDC->USDT'].sent, 3);
+  assert.equal(report.directions['USDC->USDT'].landed, 1);
+  assert.equal(report.directions['USDT->USDC'].inputVolume, 0.999);
+  assert.deepEqual(report.priorityFees.map(p => [p.setting, p.sent, p.landed, p.avgFee]), [[1000, 4, 2, 19000 / 3]]);
+});
+
+test('buildRunReport: unknown runs', () => {
+  assert.throws(() => buildRunReport('nope'), /Unknown run: nope/);
+});
+
+test('formatReportCsv: one row per attempt, fields quoted when needed', () => {
+  const lines = formatReportCsv(buildRunReport('r1')).trim().split('\n');
+  
+  assert.equal(lines.length, 6);
+  assert.ok(lines[0].startsWith('timestamp,wallet,direction,retry,status,signature'));
+  assert.ok(lines[4].endsWith(',"slippage, ""tolerance"" exceeded"'));
+});
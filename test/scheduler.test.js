@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { parseActiveHours, pickNextRun, planDay } from '../src/scheduler.js';
+
+const original = { ...config };
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'seeker-scheduler-'));
+  Object.assign(config, {
+    quiet: true,
+    logFile: '',
+    journalPath: join(dir, 'journal.ndjson'),
+    activeHours: '09:00-17:00',
+    intervalJitter: 0,
+    swapDelayMs: 0,
+    dailySwaps: 10,
+    catchUp: true,
+  });
+});
+after(() => {
+  Object.assign(config, original);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Local time of a day used by the tests
+ * @param {number} hours - Hour
+ * @param {number} minutes - Minute
+ * @returns {Date}
+ */
+function at(hours, minutes = 0) {
+  return new Date(2026, 9, 19, hours, minutes);
+}
+
+test('parseActiveHours: windows in minutes, split at midnight and merged', () => {
+  assert.deepEqual(parseActiveHours('09:00-17:00'), [[540, 1020]]);
+  assert.deepEqual(parseActiveHours('22:00-02:00'), [[0, 120], [1320, 1440]]);
+  assert.deepEqual(parseActiveHours('9-12, 11:30-13'), [[540, 780]]);
+  assert.throws(() => parseActiveHours('9-9'), /is empty/);
+  assert.throws(() => parseActiveHours('25:00-26:00'), /invalid time/);
+});
+
+test('pickNextRun: the active time left, spread over the remaining swaps', () => {
+  // 8 active hours and 3 swaps: one every 2 hours without jitter
+  assert.deepEqual(pickNextRun(at(9), 3), at(11));
+  // Before the window opens, the spacing starts at its opening
+  assert.deepEqual(pickNextRun(at(6), 3), at(11));
+  // Late in the day the rest is squeezed in
+  assert.deepEqual(pickNextRun(at(16), 1), at(16, 30));
+});
+
+test('pickNextRun: null when nothing is left to do today', () => {
+  assert.equal(pickNextRun(at(10), 0), null);
+  assert.equal(pickNextRun(at(18), 5), null);
+});
+
+test('pickNextRun: jitter stays inside the active hours', () => {
+  config.intervalJitter = 1;
+  try {
+    for (let i = 0; i < 50; i++) {
+      const next = pickNextRun(at(16, 50), 4);
+      assert.ok(next >= at(16, 50) && next <= at(17), `${next} outside the active hours`);
+    }
+  } finally {
+    config.intervalJitter = 0;
+  }
+});
+
+test('planDay: the daily target, first swap inside the active hours', async () => {
+  const plan = await planDay(null, at(9), null, 1);
+  
+  assert.equal(plan.day, '2026-10-19');
+  assert.equal(plan.target, 10);
+  assert.equal(plan.carried, 0);
+  assert.equal(plan.runId, null);
+  assert.equal(new Date(plan.nextRunAt).getTime(), at(9).getTime() + Math.floor(8 * 3600000 / 11));
+});
+
+test('planDay: missed swaps are carried over, at most one extra day', async () => {
+  // The previous day's run isn't in the journal: all of its target was missed
+  const plan = await planDay(null, at(9), { day: '2026-10-18', target: 25, runId: null }, 1);
+  assert.equal(plan.carried, 10);
+  assert.equal(plan.target, 20);
+  
+  config.catchUp = false;
+  try {
+    assert.equal((await planDay(null, at(9), { day: '2026-10-18', target: 25, runId: null }, 1)).carried, 0);
+  } finally {
+    config.catchUp = true;
+  }
+});
+
+test('planDay: no active time left starts tomorrow', async () => {
+  const plan = await planDay(null, at(18), null, 1);
+  assert.deepEqual(new Date(plan.nextRunAt), new Date(2026, 9, 20, 9, 0));
+});
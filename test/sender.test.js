@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { waitForSignature } from '../src/sender.js';
+
+const original = { ...config };
+before(() => {
+  Object.assign(config, { statusPollMs: 100, quiet: true, logFile: '' });
+});
+after(() => {
+  Object.assign(config, original);
+});
+
+/**
+ * Fake connection: statuses by call, and a fixed block height
+ * @param {Array<Object|Error|null>} statuses - getSignatureStatuses answers in order (the last one repeats)
+ * @param {number} blockHeight - Current block height
+ * @returns {Object}
+ */
+function fakeConnection(statuses, blockHeight) {
+  let call = 0;
+  return {
+    async getSignatureStatuses() {
+      const status = statuses[Math.min(call++, statuses.length - 1)];
+      if (status instanceof Error) {
+        throw status;
+      }
+      return { value: [status] };
+    },
+    async getBlockHeight() {
+      return blockHeight;
+    },
+  };
+}
+
+test('waitForSignature: landed and failed once confirmed', async () => {
+  const landed = fakeConnection([null, { confirmationStatus: 'processed' }, { confirmationStatus: 'confirmed', slot: 7, err: null }], 50);
+  assert.deepEqual(await waitForSignature(landed, 'sig', 100), { status: 'landed', err: null, slot: 7 });
+  
+  const failed = fakeConnection([{ confirmationStatus: 'finalized', slot: 8, err: { InstructionError: [2, 'Custom'] } }], 50);
+  assert.equal((await waitForSignature(failed, 'sig', 100)).status, 'failed');
+});
+
+test('waitForSignature: expired once the blockhash is past and history has nothing', async () => {
+  const connection = fakeConnection([null], 101);
+  assert.deepEqual(await waitForSignature(connection, 'sig', 100), { status: 'expired', err: null, slot: null });
+});
+
+test('waitForSignature: network errors keep the wait going while the transaction can land', async () => {
+  const connection = fakeConnection([new Error('rpc down'), new Error('rpc down'), { confirmationStatus: 'confirmed', slot: 9, err: null }], 50);
+  assert.equal((await waitForSignature(connection, 'sig', 100)).status, 'landed');
+});
+
+test('waitForSignature: gives up after repeated failed checks past expiry', async () => {
+  // Seen but unconfirmed past expiry, then the RPC stops answering
+  const connection = fakeConnection([null, { confirmationStatus: 'processed' }, new Error('rpc down')], 101);
+  assert.deepEqual(await waitForSignature(connection, 'sig', 100), { status: 'expired', err: null, slot: null });
+});
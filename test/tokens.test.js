@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmountSpec, parseSwapAmounts, parsePair, parseCycle, isPair } from '../src/tokens.js';
+
+test('parseAmountSpec: fixed amounts, ranges and shares of the balance', () => {
+  assert.deepEqual(parseAmountSpec('0.5'), { min: 0.5, max: 0.5, percent: null });
+  assert.deepEqual(parseAmountSpec(2), { min: 2, max: 2, percent: null });
+  assert.deepEqual(parseAmountSpec('0.5 - 2'), { min: 0.5, max: 2, percent: null });
+  assert.deepEqual(parseAmountSpec('10%'), { min: null, max: null, percent: 10 });
+});
+
+test('parseAmountSpec: rejects zero, reversed ranges and bad percentages', () => {
+  assert.throws(() => parseAmountSpec('0'), /must be positive/);
+  assert.throws(() => parseAmountSpec('2-1'), /min not above max/);
+  assert.throws(() => parseAmountSpec('0%'), /above 0 and at most 100/);
+  assert.throws(() => parseAmountSpec('150%'), /above 0 and at most 100/);
+  assert.throws(() => parseAmountSpec('lots'), /invalid amount "lots"/);
+});
+
+test('parseSwapAmounts: per token, upper-case symbols', () => {
+  assert.deepEqual(parseSwapAmounts('sol:0.01, USDC:1-5'), {
+    SOL: { min: 0.01, max: 0.01, percent: null },
+    USDC: { min: 1, max: 5, percent: null },
+  });
+  assert.throws(() => parseSwapAmounts('USDC'), /expected SYMBOL:amount/);
+});
+
+test('parsePair: arrow, unicode arrow and legacy forms', () => {
+  assert.deepEqual(parsePair('USDC->USDT'), ['USDC', 'USDT']);
+  assert.deepEqual(parsePair('SOL → USDC'), ['SOL', 'USDC']);
+  assert.deepEqual(parsePair('USDC_TO_USDT'), ['USDC', 'USDT']);
+  assert.throws(() => parsePair('USDC'));
+  assert.throws(() => parsePair('->USDT'));
+});
+
+test('isPair: only well-formed pairs', () => {
+  assert.equal(isPair('USDC->USDT'), true);
+  assert.equal(isPair('batch'), false);
+});
+
+test('parseCycle: every leg of a cycle', () => {
+  assert.deepEqual(parseCycle('USDC->USDT->USDC'), ['USDC->USDT', 'USDT->USDC']);
+  assert.deepEqual(parseCycle('USDC->SOL->USDT->USDC'), ['USDC->SOL', 'SOL->USDT', 'USDT->USDC']);
+});